@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import { summarizeOccupancy } from '../service/occupancy.js';
+import { admitPatient, transferPatient, dischargePatient } from '../controller/admissionsController.js';
+import Admission from '../model/admissionModel.js';
+import Ward from '../model/wardModel.js';
+import Bed from '../model/bedModel.js';
+import Patient from '../model/patientModel.js';
+import { recordAudit } from '../service/auditLog.js';
+
+// Mock the audit log, the models are kept so that admissions are validated
+jest.mock('../service/auditLog.js');
+
+describe('Admissions', () => {
+  const patientId = '64b7f0c2a1b2c3d4e5f60718';
+  const wardId = '64b7f0c2a1b2c3d4e5f60801';
+  const otherWardId = '64b7f0c2a1b2c3d4e5f60802';
+  const bedId = '64b7f0c2a1b2c3d4e5f60901';
+  const otherBedId = '64b7f0c2a1b2c3d4e5f60902';
+  const nurse = { id: 'u1', username: 'nurse1', role: 'nurse' };
+  const wards = {
+    [wardId]: { _id: wardId, name: 'Cardiology' },
+    [otherWardId]: { _id: otherWardId, name: 'Oncology' }
+  };
+  let res;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    recordAudit.mockClear();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (work) => work(),
+      endSession: jest.fn()
+    });
+    jest.spyOn(Admission.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Ward, 'findById').mockImplementation((id) => Promise.resolve(wards[id] || null));
+    jest.spyOn(Patient, 'findByIdAndUpdate').mockResolvedValue({});
+    jest.spyOn(Bed, 'updateOne').mockResolvedValue({});
+  });
+
+  describe('summarizeOccupancy', () => {
+    it('should count the beds in service and the patients on the ward', () => {
+      const beds = [
+        { wardId, active: true, patientId: 'p1' },
+        { wardId, active: true, patientId: null },
+        { wardId, active: false, patientId: null },
+        { wardId: otherWardId, active: true, patientId: 'p3' }
+      ];
+      const admissions = [
+        { wardId, bedId, patientId: 'p1' },
+        { wardId, bedId: null, patientId: 'p2' },
+        { wardId: otherWardId, bedId: otherBedId, patientId: 'p3' }
+      ];
+
+      expect(summarizeOccupancy(wards[wardId], beds, admissions)).toEqual({
+        wardId,
+        name: 'Cardiology',
+        beds: 2,
+        occupiedBeds: 1,
+        availableBeds: 1,
+        patients: 2,
+        patientsWithoutBed: 1,
+        occupancyRate: 0.5
+      });
+    });
+
+    it('should not give a rate for a ward without beds', () => {
+      expect(summarizeOccupancy(wards[wardId], [], []).occupancyRate).toBeNull();
+    });
+  });
+
+  describe('admitPatient', () => {
+    beforeEach(() => {
+      jest.spyOn(Patient, 'findById').mockResolvedValue({ _id: patientId, archived: false, admissionId: null });
+    });
+
+    it('should admit the patient to a free bed and record where they are', async () => {
+      jest.spyOn(Bed, 'findOneAndUpdate').mockResolvedValue({ _id: bedId, wardId, label: 'C-1' });
+      const req = { params: { id: patientId }, body: { wardId, bedId, reason: 'Chest pain' }, user: nurse };
+
+      await admitPatient(req, res);
+
+      expect(Bed.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: bedId, wardId, active: true, patientId: null },
+        { patientId },
+        expect.objectContaining({ new: true })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      const admission = res.json.mock.calls[0][0];
+      expect(admission.status).toBe('active');
+      expect(admission.movements[0]).toEqual(expect.objectContaining({ type: 'admission', wardName: 'Cardiology', bedLabel: 'C-1' }));
+      expect(Patient.findByIdAndUpdate).toHaveBeenCalledWith(
+        patientId,
+        { admissionId: admission._id, ward: 'Cardiology', bed: 'C-1' },
+        expect.anything()
+      );
+      expect(recordAudit).toHaveBeenCalledWith(req, expect.objectContaining({ action: 'create', entity: 'Admission' }));
+    });
+
+    it('should refuse a bed that is occupied or on another ward', async () => {
+      jest.spyOn(Bed, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(admitPatient({ params: { id: patientId }, body: { wardId, bedId }, user: nurse }, res))
+        .rejects.toMatchObject({ status: 409, message: 'Bed is not available on this ward' });
+      expect(Patient.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(recordAudit).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a patient who is already admitted', async () => {
+      Patient.findById.mockResolvedValue({ _id: patientId, archived: false, admissionId: 'a1' });
+      jest.spyOn(Admission, 'findById').mockResolvedValue(new Admission({ patientId, wardId }));
+
+      await expect(admitPatient({ params: { id: patientId }, body: { wardId }, user: nurse }, res))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should reject a ward ID that is not an ObjectId', async () => {
+      await expect(admitPatient({ params: { id: patientId }, body: { wardId: 'cardio' }, user: nurse }, res))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('transferPatient and dischargePatient', () => {
+    let current;
+
+    beforeEach(() => {
+      current = new Admission({ patientId, wardId, bedId });
+      jest.spyOn(Patient, 'findById').mockResolvedValue({ _id: patientId, archived: false, admissionId: current._id, ward: 'Cardiology' });
+      jest.spyOn(Admission, 'findById').mockResolvedValue(current);
+    });
+
+    it('should release the current bed before claiming the new one', async () => {
+      jest.spyOn(Bed, 'findOneAndUpdate').mockResolvedValue({ _id: otherBedId, wardId: otherWardId, label: 'O-4' });
+      const previousBedId = current.bedId;
+
+      await transferPatient({ params: { id: patientId }, body: { wardId: otherWardId, bedId: otherBedId }, user: nurse }, res);
+
+      expect(Bed.updateOne).toHaveBeenCalledWith({ _id: previousBedId, patientId }, { patientId: null }, expect.anything());
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(String(current.wardId)).toBe(otherWardId);
+      expect(current.movements[0]).toEqual(expect.objectContaining({ type: 'transfer', wardName: 'Oncology', bedLabel: 'O-4' }));
+      expect(Patient.findByIdAndUpdate).toHaveBeenCalledWith(
+        patientId,
+        { admissionId: current._id, ward: 'Oncology', bed: 'O-4' },
+        expect.anything()
+      );
+    });
+
+    it('should reject a transfer to the ward and bed the patient is in', async () => {
+      await expect(transferPatient({ params: { id: patientId }, body: { wardId, bedId }, user: nurse }, res))
+        .rejects.toMatchObject({ status: 400 });
+      expect(Bed.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should discharge the patient, releasing their bed and clearing their ward', async () => {
+      const req = { params: { id: patientId }, body: { notes: 'Recovered' }, user: nurse };
+
+      await dischargePatient(req, res);
+
+      expect(Bed.updateOne).toHaveBeenCalled();
+      expect(current.status).toBe('discharged');
+      expect(current.dischargedAt).toBeInstanceOf(Date);
+      expect(current.movements[0]).toEqual(expect.objectContaining({ type: 'discharge', wardName: 'Cardiology', notes: 'Recovered' }));
+      expect(Patient.findByIdAndUpdate).toHaveBeenCalledWith(patientId, { admissionId: null, ward: null, bed: null }, expect.anything());
+      expect(recordAudit).toHaveBeenCalledWith(req, expect.objectContaining({ action: 'update', before: expect.objectContaining({ status: 'active' }) }));
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { EventEmitter } from 'events';
+import { matchesAlertFilter, raiseAlert, escalateOverdueAlerts, ALERT_EVENT } from '../service/alerts.js';
+import { streamAlerts, getAlerts, acknowledgeAlert } from '../controller/alertsController.js';
+import eventBus from '../service/eventBus.js';
+import Alert from '../model/alertModel.js';
+
+// Mock the Alert model
+jest.mock('../model/alertModel.js');
+
+describe('Alerts', () => {
+  let req, res, published;
+  const record = (payload) => published.push(payload);
+
+  beforeEach(() => {
+    published = [];
+    eventBus.on(ALERT_EVENT, record);
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 'u1', username: 'nurse1', role: 'nurse' }
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    eventBus.off(ALERT_EVENT, record);
+  });
+
+  describe('matchesAlertFilter', () => {
+    const alert = { patientId: 'p1', ward: 'ICU' };
+
+    it('should match by ward and patient', () => {
+      expect(matchesAlertFilter(alert, {})).toBe(true);
+      expect(matchesAlertFilter(alert, { ward: 'ICU', patientId: 'p1' })).toBe(true);
+      expect(matchesAlertFilter(alert, { ward: 'Cardiology' })).toBe(false);
+      expect(matchesAlertFilter(alert, { patientId: 'p2' })).toBe(false);
+    });
+  });
+
+  describe('raiseAlert', () => {
+    it('should save and publish a critical alert', async () => {
+      Alert.mockImplementation((data) => ({ save: jest.fn().mockResolvedValue({ _id: 'a1', ...data }) }));
+
+      await raiseAlert(
+        { _id: 'p1', name: 'Jane', ward: 'ICU' },
+        { criticalCondition: true, criticalReasons: ['SpO2 85 low'] }
+      );
+
+      expect(published).toHaveLength(1);
+      expect(published[0].event).toBe('alert.raised');
+      expect(published[0].alert).toMatchObject({ patientId: 'p1', ward: 'ICU', type: 'critical', reasons: ['SpO2 85 low'] });
+    });
+  });
+
+  describe('escalateOverdueAlerts', () => {
+    it('should escalate unacknowledged critical alerts older than the timeout', async () => {
+      process.env.ALERT_ESCALATION_MINUTES = '10';
+      const alert = { _id: 'a1', escalated: false, save: jest.fn().mockResolvedValue() };
+      Alert.find = jest.fn().mockResolvedValue([alert]);
+      const now = new Date('2026-10-19T12:00:00Z');
+
+      const escalated = await escalateOverdueAlerts(now);
+
+      expect(Alert.find).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'critical',
+        acknowledged: false,
+        escalated: false,
+        createdAt: { $lte: new Date('2026-10-19T11:50:00Z') }
+      }));
+      expect(escalated).toBe(1);
+      expect(alert).toMatchObject({ escalated: true, escalatedAt: now });
+      expect(published[0].event).toBe('alert.escalated');
+      delete process.env.ALERT_ESCALATION_MINUTES;
+    });
+  });
+
+  describe('acknowledgeAlert', () => {
+    it('should record who acknowledged the alert and publish it', async () => {
+      const alert = { _id: 'a1', acknowledged: false };
+      alert.save = jest.fn().mockResolvedValue(alert);
+      Alert.findById = jest.fn().mockResolvedValue(alert);
+
+      req.params.id = 'a1';
+      await acknowledgeAlert(req, res);
+
+      expect(alert.acknowledged).toBe(true);
+      expect(alert.acknowledgedBy).toEqual({ id: 'u1', username: 'nurse1', role: 'nurse' });
+      expect(res.json).toHaveBeenCalledWith(alert);
+      expect(published[0].event).toBe('alert.acknowledged');
+    });
+
+    it('should return 409 when the alert is already acknowledged', async () => {
+      Alert.findById = jest.fn().mockResolvedValue({ acknowledged: true });
+
+      req.params.id = 'a1';
+      await expect(acknowledgeAlert(req, res)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should return 404 when the alert does not exist', async () => {
+      Alert.findById = jest.fn().mockResolvedValue(null);
+
+      req.params.id = 'missing';
+      await expect(acknowledgeAlert(req, res)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('streamAlerts', () => {
+    it('should only send the alerts matching the subscription until the client disconnects', () => {
+      const stream = Object.assign(new EventEmitter(), { query: { ward: 'ICU' } });
+      const written = [];
+      const response = {
+        set: jest.fn(),
+        flushHeaders: jest.fn(),
+        write: jest.fn((chunk) => written.push(chunk))
+      };
+
+      streamAlerts(stream, response);
+      eventBus.emit(ALERT_EVENT, { event: 'alert.raised', alert: { _id: 'a1', ward: 'ICU' } });
+      eventBus.emit(ALERT_EVENT, { event: 'alert.raised', alert: { _id: 'a2', ward: 'Cardiology' } });
+      stream.emit('close');
+      eventBus.emit(ALERT_EVENT, { event: 'alert.raised', alert: { _id: 'a3', ward: 'ICU' } });
+
+      const events = written.filter((chunk) => chunk.startsWith('id:'));
+      expect(events).toEqual([`id: a1\nevent: alert.raised\ndata: ${JSON.stringify({ _id: 'a1', ward: 'ICU' })}\n\n`]);
+      expect(response.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    });
+
+    it('should mask the patient\'s name unless unmasked by an allowed role', () => {
+      const stream = Object.assign(new EventEmitter(), { query: {}, user: { role: 'auditor' } });
+      const written = [];
+      const response = { set: jest.fn(), flushHeaders: jest.fn(), write: jest.fn((chunk) => written.push(chunk)) };
+
+      streamAlerts(stream, response);
+      eventBus.emit(ALERT_EVENT, { event: 'alert.raised', alert: { _id: 'a1', patientName: 'Jane Doe' } });
+      stream.emit('close');
+
+      expect(written.find((chunk) => chunk.startsWith('id:'))).toContain('"patientName":"J*** D***"');
+      expect(() => streamAlerts(Object.assign(stream, { query: { unmask: 'true' } }), response))
+        .toThrow(expect.objectContaining({ status: 403 }));
+    });
+  });
+
+  describe('getAlerts', () => {
+    it('should mask the patient\'s name unless unmasked', async () => {
+      const alerts = [{ _id: 'a1', patientName: 'Jane Doe', type: 'critical' }];
+      Alert.find = jest.fn().mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(alerts)
+      });
+      Alert.countDocuments = jest.fn().mockResolvedValue(1);
+
+      await getAlerts(req, res);
+      expect(res.json.mock.calls[0][0].data).toEqual([{ _id: 'a1', patientName: 'J*** D***', type: 'critical' }]);
+
+      req.query.unmask = 'true';
+      await getAlerts(req, res);
+      expect(res.json.mock.calls[1][0].data).toEqual(alerts);
+    });
+  });
+});
@@ -4,28 +4,60 @@ import {
     getPatientById, 
     getTestsForPatient,
     updatePatient,
+    patchPatient,
+    addTestForPatient,
     deletePatient,
+    restorePatient,
+    purgePatient,
     updateTest,
     deleteTest,
     getTestById
   } from '../controller/hospitalController.js';
   import Patient from '../model/patientModel.js';
   import Test from '../model/testsModel.js';
+  import Appointment from '../model/appointmentModel.js';
+  import mongoose from 'mongoose';
+  import { refreshPatientStatus } from '../service/patientStatus.js';
+  import { recordAudit } from '../service/auditLog.js';
   
   // Mock the Patient and Test models
   jest.mock('../model/patientModel.js');
   jest.mock('../model/testsModel.js');
+  jest.mock('../model/auditLogModel.js');
+  jest.mock('../model/appointmentModel.js');
+  jest.mock('../model/medicationOrderModel.js');
+  jest.mock('../model/medicationAdministrationModel.js');
+  jest.mock('../model/admissionModel.js');
+  jest.mock('../model/bedModel.js');
+  jest.mock('../service/patientStatus.js');
+  jest.mock('../service/auditLog.js');
   
   describe('Hospital Controller', () => {
     let req, res;
   
+    // Mock a paginated find returning the given documents
+    const mockFind = (model, documents) => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(documents)
+      };
+      model.find = jest.fn().mockReturnValue(query);
+      model.countDocuments = jest.fn().mockResolvedValue(documents.length);
+      return query;
+    };
+  
     beforeEach(() => {
+      process.env.PII_INDEX_KEY = 'test-index-key';
       req = {
         body: {},
-        params: {}
+        params: {},
+        query: {},
+        get: jest.fn()
       };
       res = {
         status: jest.fn().mockReturnThis(),
+        set: jest.fn(),
         json: jest.fn()
       };
     });
@@ -34,6 +66,7 @@ import {
       describe('addPatient', () => {
         it('should add a new patient successfully', async () => {
             const mockPatient = { _id: '123', name: 'John Doe', age: 30 };
+            mockFind(Patient, []);
             Patient.mockImplementation(() => ({
               save: jest.fn().mockResolvedValue(mockPatient)
             }));
@@ -42,111 +75,443 @@ import {
           await addPatient(req, res);
   
           expect(res.status).toHaveBeenCalledWith(201);
+          expect(res.json).toHaveBeenCalledWith({ ...mockPatient, name: 'J*** D***' });
+        });
+
+        it('should send the created patient unmasked when an allowed role asks for it', async () => {
+          const mockPatient = { _id: '123', name: 'John Doe', age: 30 };
+          mockFind(Patient, []);
+          Patient.mockImplementation(() => ({
+            save: jest.fn().mockResolvedValue(mockPatient)
+          }));
+
+          req.body = { name: 'John Doe', age: 30 };
+          req.query.unmask = 'true';
+          req.user = { id: 'u1', role: 'nurse' };
+          await addPatient(req, res);
+
           expect(res.json).toHaveBeenCalledWith(mockPatient);
         });
       });
   
       describe('getAllPatients', () => {
-        it('should retrieve all patients', async () => {
-          const mockPatients = [{ _id: '123', name: 'John Doe' }, { _id: '456', name: 'Jane Doe' }];
-          Patient.find = jest.fn().mockResolvedValue(mockPatients);
+        it('should retrieve a page of patients with their details masked', async () => {
+          const mockPatients = [{ _id: '123', name: 'John Doe' }, { _id: '456', name: 'Jane Doe', phoneNumber: '555-010-1234' }];
+          mockFind(Patient, mockPatients);
   
           await getAllPatients(req, res);
   
-          expect(res.json).toHaveBeenCalledWith(mockPatients);
+          expect(Patient.find).toHaveBeenCalledWith({ archived: { $ne: true } });
+          expect(res.json).toHaveBeenCalledWith({
+            data: [{ _id: '123', name: 'J*** D***' }, { _id: '456', name: 'J*** D***', phoneNumber: '***-***-1234' }],
+            meta: { total: 2, limit: 20, sort: 'createdAt', nextCursor: null }
+          });
+        });
+
+        it('should only unmask patients for the roles allowed to', async () => {
+          const mockPatients = [{ _id: '123', name: 'John Doe' }];
+          mockFind(Patient, mockPatients);
+
+          req.query.unmask = 'true';
+          req.user = { role: 'doctor' };
+          await getAllPatients(req, res);
+          expect(res.json.mock.calls[0][0].data).toEqual(mockPatients);
+
+          req.user = { role: 'auditor' };
+          await expect(getAllPatients(req, res)).rejects.toMatchObject({ status: 403 });
+        });
+  
+        it('should include archived patients when requested', async () => {
+          mockFind(Patient, []);
+  
+          req.query.includeArchived = 'true';
+          await getAllPatients(req, res);
+  
+          expect(Patient.find).toHaveBeenCalledWith({});
+        });
+  
+        it('should filter patients by gender, age range, critical flag and name', async () => {
+          mockFind(Patient, []);
+  
+          req.query = { gender: 'female', minAge: '30', maxAge: '60', critical: 'true', name: 'doe' };
+          await getAllPatients(req, res);
+  
+          expect(Patient.find).toHaveBeenCalledWith({
+            archived: { $ne: true },
+            gender: /^female$/i,
+            age: { $gte: 30, $lte: 60 },
+            criticalCondition: true,
+            piiIndex: { $all: [expect.any(String)] }
+          });
+        });
+  
+        it('should reject an invalid limit', async () => {
+          req.query.limit = '500';
+          await expect(getAllPatients(req, res)).rejects.toMatchObject({ status: 400 });
         });
       });
   
       describe('getPatientById', () => {
-        it('should retrieve a patient by ID', async () => {
-          const mockPatient = { _id: '123', name: 'John Doe' };
+        it('should retrieve a patient by ID with their version as the ETag', async () => {
+          const mockPatient = { _id: '123', name: 'John Doe', __v: 2 };
           Patient.findById = jest.fn().mockResolvedValue(mockPatient);
   
           req.params.id = '123';
           await getPatientById(req, res);
   
+          expect(res.set).toHaveBeenCalledWith('ETag', '"2"');
+          expect(res.json).toHaveBeenCalledWith({ ...mockPatient, name: 'J*** D***' });
+        });
+
+        it('should only send the patient unmasked to the allowed roles that ask for it', async () => {
+          const mockPatient = { _id: '123', name: 'John Doe', __v: 2 };
+          Patient.findById = jest.fn().mockResolvedValue(mockPatient);
+          req.params.id = '123';
+          req.query.unmask = 'true';
+
+          req.user = { id: 'u1', role: 'doctor' };
+          await getPatientById(req, res);
           expect(res.json).toHaveBeenCalledWith(mockPatient);
+
+          req.user = { id: 'u2', role: 'auditor' };
+          await expect(getPatientById(req, res)).rejects.toMatchObject({ status: 403 });
         });
       });
   
       describe('updatePatient', () => {
+        // Mock a patient document at the given version
+        const mockPatientDocument = (version) => {
+          const patient = {
+            _id: '123',
+            name: 'John Doe',
+            age: 30,
+            __v: version,
+            toObject: jest.fn().mockReturnValue({ _id: '123', name: 'John Doe', age: 30 }),
+            set: jest.fn(),
+            save: jest.fn(async () => { patient.__v += 1; })
+          };
+          return patient;
+        };
+
         it('should update a patient successfully', async () => {
-          const mockUpdatedPatient = { _id: '123', name: 'John Updated', age: 31 };
-          Patient.findByIdAndUpdate = jest.fn().mockResolvedValue(mockUpdatedPatient);
+          const mockPatient = mockPatientDocument(3);
+          Patient.findById = jest.fn().mockResolvedValue(mockPatient);
   
           req.params.id = '123';
           req.body = { name: 'John Updated', age: 31 };
+          req.get.mockReturnValue('"3"');
           await updatePatient(req, res);
   
-          expect(res.json).toHaveBeenCalledWith(mockUpdatedPatient);
+          expect(mockPatient.set).toHaveBeenCalledWith(req.body);
+          expect(recordAudit).toHaveBeenCalledWith(req, expect.objectContaining({
+            action: 'update',
+            before: { _id: '123', name: 'John Doe', age: 30 },
+            after: mockPatient
+          }));
+          expect(res.set).toHaveBeenCalledWith('ETag', '"4"');
+          expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ _id: '123', name: 'J*** D***', age: 30 }));
+        });
+
+        it('should only send the updated patient unmasked to the allowed roles that ask for it', async () => {
+          const mockPatient = mockPatientDocument(3);
+          Patient.findById = jest.fn().mockResolvedValue(mockPatient);
+          req.params.id = '123';
+          req.body = { age: 31 };
+          req.query.unmask = 'true';
+
+          req.user = { id: 'u1', role: 'doctor' };
+          await updatePatient(req, res);
+          expect(res.json).toHaveBeenCalledWith(mockPatient);
+
+          req.user = { id: 'u2', role: 'auditor' };
+          await expect(updatePatient(req, res)).rejects.toMatchObject({ status: 403 });
+          expect(mockPatient.save).toHaveBeenCalledTimes(1);
+        });
+
+        it('should refuse an update made with a stale ETag', async () => {
+          const mockPatient = mockPatientDocument(4);
+          Patient.findById = jest.fn().mockResolvedValue(mockPatient);
+
+          req.params.id = '123';
+          req.body = { name: 'John Updated' };
+          req.get.mockReturnValue('"3"');
+          await expect(updatePatient(req, res)).rejects.toMatchObject({ status: 412, extensions: { etag: '"4"' } });
+          expect(mockPatient.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to save back the masked details of a patient read masked', async () => {
+          const mockPatient = {
+            ...mockPatientDocument(3),
+            address: '1 Main St',
+            phoneNumber: '555-010-1234',
+            toJSON: () => ({ _id: '123', name: 'John Doe', age: 30, address: '1 Main St', phoneNumber: '555-010-1234' })
+          };
+          Patient.findById = jest.fn().mockResolvedValue(mockPatient);
+          req.params.id = '123';
+          await getPatientById(req, res);
+          const read = res.json.mock.calls[0][0];
+          expect(read).toMatchObject({ name: 'J*** D***', address: '***', phoneNumber: '***-***-1234' });
+
+          req.body = { ...read, age: 31 };
+          await expect(updatePatient(req, res)).rejects.toMatchObject({
+            status: 400,
+            extensions: { fields: ['name', 'address', 'phoneNumber'] }
+          });
+          req.body = { phoneNumber: read.phoneNumber };
+          await expect(patchPatient(req, res)).rejects.toMatchObject({ status: 400, extensions: { fields: ['phoneNumber'] } });
+          expect(mockPatient.set).not.toHaveBeenCalled();
+          expect(mockPatient.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to change an archived patient', async () => {
+          const mockPatient = { ...mockPatientDocument(3), archived: true };
+          Patient.findById = jest.fn().mockResolvedValue(mockPatient);
+
+          req.params.id = '123';
+          req.body = { name: 'John Updated' };
+          await expect(updatePatient(req, res)).rejects.toMatchObject({ status: 409 });
+          expect(mockPatient.set).not.toHaveBeenCalled();
+          expect(mockPatient.save).not.toHaveBeenCalled();
+        });
+      });
+
+      describe('patchPatient', () => {
+        it('should apply a merge patch to the patient', async () => {
+          const mockPatient = {
+            _id: '123',
+            __v: 1,
+            toObject: jest.fn().mockReturnValue({}),
+            get: jest.fn(),
+            set: jest.fn(),
+            save: jest.fn().mockResolvedValue()
+          };
+          Patient.findById = jest.fn().mockResolvedValue(mockPatient);
+
+          req.params.id = '123';
+          req.body = { phoneNumber: null, age: 31 };
+          await patchPatient(req, res);
+
+          expect(mockPatient.set).toHaveBeenCalledWith('phoneNumber', undefined);
+          expect(mockPatient.set).toHaveBeenCalledWith('age', 31);
+          expect(mockPatient.save).toHaveBeenCalled();
+          expect(res.json).toHaveBeenCalledWith(mockPatient);
         });
       });
   
       describe('deletePatient', () => {
-        it('should delete a patient successfully', async () => {
-          Patient.findByIdAndDelete = jest.fn().mockResolvedValue({ _id: '123' });
+        it('should archive a patient and their tests', async () => {
+          Patient.findById = jest.fn().mockResolvedValue({ _id: '123', archived: false, __v: 2 });
+          Patient.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: '123', archived: true });
+          Test.updateMany = jest.fn().mockResolvedValue({});
   
           req.params.id = '123';
+          req.get.mockReturnValue('"2"');
           await deletePatient(req, res);
   
-          expect(res.json).toHaveBeenCalledWith({ message: 'Patient deleted successfully' });
+          expect(Patient.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: '123', __v: 2 },
+            expect.objectContaining({ archived: true }),
+            { new: true }
+          );
+          expect(Test.updateMany).toHaveBeenCalledWith({ patientId: '123' }, { archived: true });
+          expect(res.json).toHaveBeenCalledWith({ message: 'Patient archived successfully' });
+        });
+  
+        it('should return 404 for an already archived patient', async () => {
+          Patient.findById = jest.fn().mockResolvedValue({ _id: '123', archived: true });
+  
+          req.params.id = '123';
+          await expect(deletePatient(req, res)).rejects.toMatchObject({ status: 404 });
+        });
+
+        it('should refuse to archive a patient who is still admitted', async () => {
+          Patient.findById = jest.fn().mockResolvedValue({ _id: '123', archived: false, admissionId: 'a1' });
+          Patient.findOneAndUpdate = jest.fn();
+
+          req.params.id = '123';
+          await expect(deletePatient(req, res)).rejects.toMatchObject({ status: 409 });
+          expect(Patient.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+      });
+  
+      describe('restorePatient', () => {
+        it('should restore an archived patient and their tests', async () => {
+          const mockPatient = { _id: '123', name: 'John Doe', archived: false };
+          Patient.findById = jest.fn().mockResolvedValue({ _id: '123', archived: true });
+          Patient.findByIdAndUpdate = jest.fn().mockResolvedValue(mockPatient);
+          Test.updateMany = jest.fn().mockResolvedValue({});
+  
+          req.params.id = '123';
+          await restorePatient(req, res);
+  
+          expect(Test.updateMany).toHaveBeenCalledWith({ patientId: '123' }, { archived: false });
+          expect(res.json).toHaveBeenCalledWith({ ...mockPatient, name: 'J*** D***' });
+        });
+      });
+  
+      describe('purgePatient', () => {
+        it('should remove the patient, their tests and appointments in a transaction', async () => {
+          const session = {
+            withTransaction: jest.fn((callback) => callback()),
+            endSession: jest.fn()
+          };
+          jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+          Patient.findByIdAndDelete = jest.fn().mockResolvedValue({ _id: '123' });
+          Test.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 2 });
+  
+          req.params.id = '123';
+          await purgePatient(req, res);
+  
+          expect(Patient.findByIdAndDelete).toHaveBeenCalledWith('123', { session });
+          expect(Test.deleteMany).toHaveBeenCalledWith({ patientId: '123' }, { session });
+          expect(Appointment.deleteMany).toHaveBeenCalledWith({ patientId: '123' }, { session });
+          expect(session.endSession).toHaveBeenCalled();
+          expect(res.json).toHaveBeenCalledWith({ message: 'Patient purged successfully', deletedTests: 2 });
         });
       });
     });
   
     describe('Test-related functions', () => {
+      describe('addTestForPatient', () => {
+        it('should return 404 for an unknown patient', async () => {
+          Patient.findById = jest.fn().mockResolvedValue(null);
+
+          req.params.id = '123';
+          req.body = { type: 'Heart Rate', value: 80 };
+          await expect(addTestForPatient(req, res)).rejects.toMatchObject({ status: 404 });
+          expect(Test).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to add a test for an archived patient', async () => {
+          Patient.findById = jest.fn().mockResolvedValue({ _id: '123', archived: true });
+
+          req.params.id = '123';
+          req.body = { type: 'Heart Rate', value: 80 };
+          await expect(addTestForPatient(req, res)).rejects.toMatchObject({ status: 409 });
+          expect(Test).not.toHaveBeenCalled();
+        });
+      });
+
       describe('getTestsForPatient', () => {
         it('should retrieve all tests for a patient', async () => {
           const mockTests = [
             { _id: '456', type: 'Blood Pressure', value: '120/80' },
             { _id: '789', type: 'Heart Rate', value: '72' }
           ];
-          Test.find = jest.fn().mockReturnThis();
-          Test.select = jest.fn().mockReturnThis();
-          Test.sort = jest.fn().mockResolvedValue(mockTests);
+          const query = mockFind(Test, mockTests);
   
           req.params.id = '123';
+          req.query = { type: 'Blood Pressure', from: '2024-01-01' };
           await getTestsForPatient(req, res);
   
-          expect(res.json).toHaveBeenCalledWith(mockTests);
+          expect(Test.find).toHaveBeenCalledWith({
+            patientId: '123',
+            archived: { $ne: true },
+            type: 'Blood Pressure',
+            date: { $gte: new Date('2024-01-01') }
+          });
+          expect(query.sort).toHaveBeenCalledWith({ date: -1, _id: -1 });
+          expect(res.json.mock.calls[0][0].data).toEqual(mockTests);
         });
       });
   
       describe('updateTest', () => {
         it('should update a test successfully', async () => {
-          const mockUpdatedTest = { _id: '456', type: 'Blood Pressure', value: '130/85' };
-          Test.findByIdAndUpdate = jest.fn().mockResolvedValue(mockUpdatedTest);
+          const mockTest = {
+            _id: '456',
+            patientId: '123',
+            type: 'Blood Pressure',
+            __v: 0,
+            toObject: jest.fn().mockReturnValue({ systolic: 120, diastolic: 80 }),
+            set: jest.fn(),
+            save: jest.fn().mockResolvedValue()
+          };
+          Test.findOne = jest.fn().mockResolvedValue(mockTest);
   
+          req.params.id = '123';
           req.params.testId = '456';
-          req.body = { value: '130/85' };
+          req.body = { systolic: 130, diastolic: 85 };
           await updateTest(req, res);
   
-          expect(res.json).toHaveBeenCalledWith(mockUpdatedTest);
+          expect(Test.findOne).toHaveBeenCalledWith({ _id: '456', patientId: '123', archived: { $ne: true } });
+          expect(mockTest.set).toHaveBeenCalledWith(req.body);
+          expect(mockTest.save).toHaveBeenCalled();
+          expect(refreshPatientStatus).toHaveBeenCalledWith('123');
+          expect(res.set).toHaveBeenCalledWith('ETag', '"0"');
+          expect(res.json).toHaveBeenCalledWith(mockTest);
+        });
+
+        it('should return 404 for a test of another patient', async () => {
+          Test.findOne = jest.fn().mockResolvedValue(null);
+
+          req.params.id = '999';
+          req.params.testId = '456';
+          req.body = { systolic: 130 };
+          await expect(updateTest(req, res)).rejects.toMatchObject({ status: 404 });
         });
       });
   
       describe('deleteTest', () => {
         it('should delete a test successfully', async () => {
-          Test.findByIdAndDelete = jest.fn().mockResolvedValue({ _id: '456' });
+          Test.findOne = jest.fn().mockResolvedValue({ _id: '456', patientId: '123', __v: 0 });
+          Test.findOneAndDelete = jest.fn().mockResolvedValue({ _id: '456', patientId: '123' });
   
+          req.params.id = '123';
           req.params.testId = '456';
           await deleteTest(req, res);
   
+          expect(Test.findOneAndDelete).toHaveBeenCalledWith({ _id: '456', patientId: '123', archived: { $ne: true } });
+          expect(refreshPatientStatus).toHaveBeenCalledWith('123');
+          expect(recordAudit).toHaveBeenCalledWith(req, expect.objectContaining({ action: 'delete', entity: 'Test' }));
           expect(res.json).toHaveBeenCalledWith({ message: 'Test deleted successfully' });
         });
+
+        it('should refuse to delete a test changed since the ETag sent', async () => {
+          Test.findOne = jest.fn().mockResolvedValue({ _id: '456', patientId: '123', __v: 1 });
+          Test.findOneAndDelete = jest.fn();
+
+          req.params.id = '123';
+          req.params.testId = '456';
+          req.get.mockReturnValue('"0"');
+          await expect(deleteTest(req, res)).rejects.toMatchObject({ status: 412 });
+          expect(Test.findOneAndDelete).not.toHaveBeenCalled();
+        });
   
       });
   
       describe('getTestById', () => {
         it('should retrieve a test by ID', async () => {
           const mockTest = { _id: '456', type: 'Blood Pressure', value: '120/80' };
-          Test.findById = jest.fn().mockResolvedValue(mockTest);
+          Test.findOne = jest.fn().mockResolvedValue(mockTest);
   
+          req.params.id = '123';
           req.params.testId = '456';
           await getTestById(req, res);
   
+          expect(Test.findOne).toHaveBeenCalledWith({ _id: '456', patientId: '123', archived: { $ne: true } });
           expect(res.json).toHaveBeenCalledWith(mockTest);
         });
+
+        it('should only retrieve a test archived with its patient when archived records are included', async () => {
+          const mockTest = { _id: '456', type: 'Heart Rate', value: 80, archived: true };
+          Test.findOne = jest.fn().mockResolvedValue(mockTest);
+
+          req.params.id = '123';
+          req.params.testId = '456';
+          req.query.includeArchived = 'true';
+          await getTestById(req, res);
+
+          expect(Test.findOne).toHaveBeenCalledWith({ _id: '456', patientId: '123' });
+          expect(res.json).toHaveBeenCalledWith(mockTest);
+        });
+
+        it('should return 404 for a test of another patient', async () => {
+          Test.findOne = jest.fn().mockResolvedValue(null);
+
+          req.params.id = '999';
+          req.params.testId = '456';
+          await expect(getTestById(req, res)).rejects.toMatchObject({ status: 404 });
+        });
   
       });
     });
@@ -0,0 +1,209 @@
+import mongoose from 'mongoose';
+import { dayRange, findConflicts } from '../service/appointments.js';
+import { getAppointments, bookAppointment, rescheduleAppointment, cancelAppointment } from '../controller/appointmentsController.js';
+import Appointment from '../model/appointmentModel.js';
+import Patient from '../model/patientModel.js';
+import User from '../model/userModel.js';
+import Schedule from '../model/scheduleModel.js';
+import { recordAudit } from '../service/auditLog.js';
+
+// Mock the audit log, the models are kept so that the end of each slot is calculated
+jest.mock('../service/auditLog.js');
+
+describe('Appointments', () => {
+  const patientId = '64b7f0c2a1b2c3d4e5f60718';
+  const providerId = '64b7f0c2a1b2c3d4e5f60719';
+  const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  let res;
+
+  // Mock the overlapping appointments found for a slot
+  const mockConflicts = (conflicts) => {
+    const sort = jest.fn().mockResolvedValue(conflicts);
+    jest.spyOn(Appointment, 'find').mockReturnValue({ sort });
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    recordAudit.mockClear();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    jest.spyOn(Patient, 'findById').mockResolvedValue({ _id: patientId });
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: providerId, role: 'doctor', active: true });
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (work) => work(),
+      endSession: jest.fn()
+    });
+    jest.spyOn(Schedule, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(Appointment.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  describe('dayRange', () => {
+    it('should cover a day from midnight to midnight UTC', () => {
+      expect(dayRange('2026-10-19')).toEqual({
+        $gte: new Date('2026-10-19T00:00:00.000Z'),
+        $lt: new Date('2026-10-20T00:00:00.000Z')
+      });
+      expect(dayRange('2026-02-30')).toBeNull();
+      expect(dayRange('19/10/2026')).toBeNull();
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('should find the booked appointments overlapping the slot for the provider or patient', async () => {
+      mockConflicts([]);
+      const end = new Date(start.getTime() + 30 * 60 * 1000);
+
+      const session = {};
+      await findConflicts({ patientId, providerId, start, end }, { excludeId: 'a1', session });
+
+      expect(Appointment.find).toHaveBeenCalledWith({
+        status: 'booked',
+        start: { $lt: end },
+        end: { $gt: start },
+        $or: [{ providerId }, { patientId }],
+        _id: { $ne: 'a1' }
+      }, null, { session });
+    });
+  });
+
+  describe('bookAppointment', () => {
+    const req = { body: { patientId, providerId, start: start.toISOString(), durationMinutes: 30, reason: 'Follow-up' } };
+
+    it('should book a free slot and calculate its end', async () => {
+      mockConflicts([]);
+
+      await bookAppointment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const appointment = res.json.mock.calls[0][0];
+      expect(appointment.status).toBe('booked');
+      expect(appointment.end).toEqual(new Date(start.getTime() + 30 * 60 * 1000));
+      expect(recordAudit).toHaveBeenCalledWith(req, expect.objectContaining({ action: 'create', entity: 'Appointment' }));
+    });
+
+    it('should refuse a slot that is already booked', async () => {
+      mockConflicts([{ _id: 'a1' }]);
+
+      await expect(bookAppointment(req, res)).rejects.toMatchObject({
+        status: 409,
+        message: 'The time slot is already booked',
+        extensions: { conflicts: [{ _id: 'a1' }] }
+      });
+      expect(Appointment.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should let only one of two concurrent bookings take a slot', async () => {
+      // Emulate the database: while a transaction holds the schedules, another writing to them
+      // has a write conflict and is retried once the first ends
+      const schedules = { holder: null, free: Promise.resolve() };
+      const saved = [];
+      jest.spyOn(mongoose, 'startSession').mockImplementation(async () => {
+        const session = {
+          endSession: jest.fn(),
+          withTransaction: async (work) => {
+            for (;;) {
+              try {
+                return await work();
+              } catch (error) {
+                if (!error.errorLabels?.includes('TransientTransactionError')) throw error;
+                await schedules.free;
+              } finally {
+                if (schedules.holder === session) {
+                  schedules.holder = null;
+                  schedules.release();
+                }
+              }
+            }
+          }
+        };
+        return session;
+      });
+      Schedule.bulkWrite.mockImplementation(async (operations, { session }) => {
+        if (schedules.holder && schedules.holder !== session) {
+          throw Object.assign(new Error('Write conflict'), { errorLabels: ['TransientTransactionError'] });
+        }
+        if (!schedules.holder) {
+          schedules.holder = session;
+          schedules.free = new Promise((resolve) => { schedules.release = resolve; });
+        }
+        return {};
+      });
+      jest.spyOn(Appointment, 'find').mockImplementation(() => ({ sort: async () => [...saved] }));
+      Appointment.prototype.save.mockImplementation(async function save() {
+        saved.push(this);
+        return this;
+      });
+
+      const results = await Promise.allSettled([bookAppointment(req, res), bookAppointment(req, res)]);
+
+      expect(results.map(({ status }) => status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason).toMatchObject({ status: 409, message: 'The time slot is already booked' });
+      expect(saved).toHaveLength(1);
+      expect(Schedule.bulkWrite).toHaveBeenCalledTimes(3);
+    });
+
+    it('should refuse a slot in the past', async () => {
+      mockConflicts([]);
+
+      await expect(bookAppointment({ body: { ...req.body, start: '2020-01-01T09:00:00Z' } }, res))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should only book active doctors and nurses', async () => {
+      User.findById.mockResolvedValue({ _id: providerId, role: 'auditor', active: true });
+
+      await expect(bookAppointment(req, res))
+        .rejects.toMatchObject({ status: 400, message: 'Provider must be an active doctor or nurse' });
+    });
+  });
+
+  describe('rescheduleAppointment', () => {
+    const booked = () => new Appointment({ patientId, providerId, start, durationMinutes: 15 });
+
+    it('should move the slot, ignoring the appointment itself when checking conflicts', async () => {
+      const appointment = booked();
+      jest.spyOn(Appointment, 'findById').mockResolvedValue(appointment);
+      mockConflicts([]);
+      const newStart = new Date(start.getTime() + 60 * 60 * 1000);
+
+      await rescheduleAppointment({ params: { appointmentId: appointment._id }, body: { start: newStart.toISOString() } }, res);
+
+      expect(Appointment.find.mock.calls[0][0]._id).toEqual({ $ne: appointment._id });
+      expect(res.json.mock.calls[0][0].end).toEqual(new Date(newStart.getTime() + 15 * 60 * 1000));
+    });
+
+    it('should only change the time slot, duration and provider', async () => {
+      await expect(rescheduleAppointment({ params: { appointmentId: 'a1' }, body: { patientId } }, res))
+        .rejects.toMatchObject({ status: 422 });
+    });
+  });
+
+  describe('cancelAppointment', () => {
+    it('should cancel a booked appointment with its reason', async () => {
+      const appointment = new Appointment({ patientId, providerId, start });
+      jest.spyOn(Appointment, 'findById').mockResolvedValue(appointment);
+
+      await cancelAppointment({ params: { appointmentId: appointment._id }, body: { reason: 'Patient unwell' } }, res);
+
+      expect(res.json.mock.calls[0][0]).toMatchObject({ status: 'cancelled', cancellationReason: 'Patient unwell' });
+    });
+
+    it('should refuse to cancel an appointment twice', async () => {
+      const appointment = new Appointment({ patientId, providerId, start, status: 'cancelled' });
+      jest.spyOn(Appointment, 'findById').mockResolvedValue(appointment);
+
+      await expect(cancelAppointment({ params: { appointmentId: appointment._id }, body: {} }, res))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('getAppointments', () => {
+    it('should reject a date that is not a day', async () => {
+      await expect(getAppointments({ query: { date: 'tomorrow' } }, res)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
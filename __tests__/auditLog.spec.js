@@ -0,0 +1,128 @@
+import { randomBytes } from 'crypto';
+import { diffRecords, recordAudit, decryptEntry, maskEntry, replayPatient } from '../service/auditLog.js';
+import { isEncrypted } from '../service/fieldEncryption.js';
+import AuditLog from '../model/auditLogModel.js';
+
+describe('Audit log', () => {
+  beforeAll(() => {
+    process.env.PII_ENCRYPTION_KEYS = `k1:${randomBytes(32).toString('base64')}`;
+  });
+
+  describe('diffRecords', () => {
+    it('should list the fields that changed, ignoring bookkeeping fields', () => {
+      const changes = diffRecords(
+        { name: 'John Doe', age: 30, updatedAt: '2024-01-01', __v: 0 },
+        { name: 'John Doe', age: 31, address: '1 Main St', updatedAt: '2024-02-01', __v: 0 }
+      );
+
+      expect(changes).toEqual([
+        { path: 'age', before: 30, after: 31 },
+        { path: 'address', before: undefined, after: '1 Main St' }
+      ]);
+    });
+  });
+
+  describe('recordAudit', () => {
+    it('should record the user, route and diff of a change', async () => {
+      const create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+      const req = {
+        method: 'PUT',
+        originalUrl: '/api/patients/123',
+        user: { id: 'u1', username: 'doc', role: 'doctor' }
+      };
+
+      await recordAudit(req, {
+        action: 'update',
+        entity: 'Patient',
+        entityId: '123',
+        patientId: '123',
+        before: { name: 'John', age: 30 },
+        after: { name: 'Johnny', age: 31 }
+      });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        user: { id: 'u1', username: 'doc', role: 'doctor' },
+        route: { method: 'PUT', path: '/api/patients/123' }
+      }));
+      expect(decryptEntry(create.mock.calls[0][0]).changes).toEqual([
+        { path: 'name', before: 'John', after: 'Johnny' },
+        { path: 'age', before: 30, after: 31 }
+      ]);
+      create.mockRestore();
+    });
+
+    it('should store the route without its query string', async () => {
+      const create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+
+      await recordAudit({ method: 'GET', originalUrl: '/api/patients/123/report?format=html&unmask=true' }, {
+        action: 'read',
+        entity: 'Patient',
+        entityId: '123',
+        patientId: '123'
+      });
+
+      expect(create.mock.calls[0][0].route).toEqual({ method: 'GET', path: '/api/patients/123/report' });
+      create.mockRestore();
+    });
+
+    it('should store the patient\'s name, address and phone number encrypted', async () => {
+      const create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+
+      await recordAudit({ method: 'POST', originalUrl: '/api/patients' }, {
+        action: 'create',
+        entity: 'Patient',
+        entityId: '123',
+        patientId: '123',
+        after: { name: 'John Doe', address: '1 Main St', phoneNumber: '555-0100', age: 30 }
+      });
+
+      const entry = create.mock.calls[0][0];
+      expect(JSON.stringify(entry)).not.toMatch(/John|Main|555/);
+      expect(isEncrypted(entry.after.name)).toBe(true);
+      expect(entry.after.age).toBe(30);
+      expect(decryptEntry(entry).after).toEqual({ name: 'John Doe', address: '1 Main St', phoneNumber: '555-0100', age: 30 });
+      create.mockRestore();
+    });
+  });
+
+  describe('maskEntry', () => {
+    it('should mask the patient\'s PII in the states and changes of patient entries', () => {
+      const entry = {
+        entity: 'Patient',
+        action: 'update',
+        before: { name: 'John Doe', age: 30 },
+        after: { name: 'Johnny Doe', age: 30 },
+        changes: [{ path: 'name', before: 'John Doe', after: 'Johnny Doe' }]
+      };
+
+      expect(maskEntry(entry)).toMatchObject({
+        before: { name: 'J*** D***', age: 30 },
+        after: { name: 'J*** D***', age: 30 },
+        changes: [{ path: 'name', before: 'J*** D***', after: 'J*** D***' }]
+      });
+      const test = { entity: 'Test', after: { name: 'Heart rate' }, changes: [] };
+      expect(maskEntry(test)).toEqual(test);
+    });
+  });
+
+  describe('replayPatient', () => {
+    it('should replay the successive states of the patient record', () => {
+      const states = replayPatient([
+        { entity: 'Patient', action: 'create', at: 1, after: { name: 'John' } },
+        { entity: 'Patient', action: 'read', at: 2 },
+        { entity: 'Test', action: 'create', at: 3, after: { type: 'Heartbeat Rate' } },
+        { entity: 'Patient', action: 'update', at: 4, after: { name: 'Johnny' } },
+        { entity: 'Patient', action: 'delete', at: 5, before: { name: 'Johnny' } }
+      ]);
+
+      expect(states.map((state) => state.state)).toEqual([{ name: 'John' }, { name: 'Johnny' }, null]);
+    });
+  });
+
+  describe('AuditLog model', () => {
+    it('should refuse to update or delete entries', async () => {
+      await expect(AuditLog.updateOne({}, { action: 'read' })).rejects.toThrow('cannot be modified');
+      await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be modified');
+    });
+  });
+});
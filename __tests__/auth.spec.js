@@ -0,0 +1,142 @@
+import { login, addUser } from '../controller/authController.js';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { signToken } from '../service/authToken.js';
+import { UnauthorizedError, ForbiddenError } from '../service/errors.js';
+import User from '../model/userModel.js';
+
+// Mock the User model
+jest.mock('../model/userModel.js');
+
+describe('Authentication', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    req = {
+      body: {},
+      params: {},
+      headers: {}
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  describe('login', () => {
+    const mockUser = (user) => {
+      User.findOne = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(user)
+      });
+    };
+
+    it('should issue a token for valid credentials', async () => {
+      mockUser({
+        _id: 'u1',
+        username: 'nina',
+        role: 'nurse',
+        active: true,
+        verifyPassword: jest.fn().mockResolvedValue(true)
+      });
+
+      req.body = { username: 'Nina', password: 'secret' };
+      await login(req, res);
+
+      const body = res.json.mock.calls[0][0];
+      expect(User.findOne).toHaveBeenCalledWith({ username: 'nina' });
+      expect(body.user).toMatchObject({ username: 'nina', role: 'nurse' });
+      expect(typeof body.token).toBe('string');
+    });
+
+    it('should reject an invalid password', async () => {
+      mockUser({
+        active: true,
+        verifyPassword: jest.fn().mockResolvedValue(false)
+      });
+
+      req.body = { username: 'nina', password: 'wrong' };
+      await expect(login(req, res)).rejects.toBeInstanceOf(UnauthorizedError);
+    });
+  });
+
+  describe('addUser', () => {
+    it('should hash the password and hide it from the response', async () => {
+      const saved = { _id: 'u2', username: 'doc', role: 'doctor', active: true, passwordHash: 'hash' };
+      const setPassword = jest.fn();
+      User.mockImplementation(() => ({
+        setPassword,
+        save: jest.fn().mockResolvedValue(saved)
+      }));
+
+      req.body = { username: 'doc', role: 'doctor', password: 'secret' };
+      await addUser(req, res);
+
+      expect(setPassword).toHaveBeenCalledWith('secret');
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0]).not.toHaveProperty('passwordHash');
+    });
+  });
+
+  describe('authenticate', () => {
+    const nurse = { _id: 'u1', username: 'nina', role: 'nurse', active: true };
+
+    beforeEach(() => {
+      req.headers.authorization = `Bearer ${signToken(nurse)}`;
+    });
+
+    it('should attach the user for a valid token', async () => {
+      User.findById = jest.fn().mockResolvedValue(nurse);
+      await authenticate(req, res, next);
+
+      expect(User.findById).toHaveBeenCalledWith('u1');
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toEqual({ id: 'u1', username: 'nina', role: 'nurse' });
+    });
+
+    it('should reject a missing or invalid token', async () => {
+      delete req.headers.authorization;
+      await authenticate(req, res, next);
+      expect(next).toHaveBeenLastCalledWith(expect.any(UnauthorizedError));
+
+      req.headers.authorization = 'Bearer not-a-token';
+      await authenticate(req, res, next);
+      expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ status: 401, message: 'Invalid or expired token' }));
+      expect(req.user).toBeUndefined();
+    });
+
+    it('should reject the token of a deactivated user', async () => {
+      User.findById = jest.fn().mockResolvedValue({ ...nurse, active: false });
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+      expect(req.user).toBeUndefined();
+    });
+
+    it('should use the role the user holds now rather than the one in the token', async () => {
+      User.findById = jest.fn().mockResolvedValue({ ...nurse, role: 'auditor' });
+      await authenticate(req, res, next);
+
+      expect(req.user.role).toBe('auditor');
+    });
+
+    it('should reject a token issued before the password was changed', async () => {
+      User.findById = jest.fn().mockResolvedValue({ ...nurse, passwordChangedAt: new Date(Date.now() + 2000) });
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+    });
+  });
+
+  describe('authorize', () => {
+    it('should only allow the listed roles', () => {
+      req.user = { role: 'auditor' };
+      authorize('nurse', 'doctor', 'admin')(req, res, next);
+      expect(next).toHaveBeenLastCalledWith(expect.any(ForbiddenError));
+
+      req.user = { role: 'nurse' };
+      authorize('nurse', 'doctor', 'admin')(req, res, next);
+      expect(next).toHaveBeenLastCalledWith();
+    });
+  });
+});
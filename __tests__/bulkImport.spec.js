@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import { parseCsv, parseNdjson, validateRows, commitRows } from '../service/bulkImport.js';
+import { importRecords } from '../controller/importController.js';
+import Patient from '../model/patientModel.js';
+import Test from '../model/testsModel.js';
+import { refreshPatientStatus } from '../service/patientStatus.js';
+import { recordAudit } from '../service/auditLog.js';
+import { findDuplicatesOfEach } from '../service/duplicatePatients.js';
+
+// Mock the services writing to the database and the search for existing duplicates
+// The models are kept so that rows are validated against them, and rows are compared with
+// each other for real
+jest.mock('../service/patientStatus.js');
+jest.mock('../service/auditLog.js');
+jest.mock('../service/duplicatePatients.js', () => ({
+  ...jest.requireActual('../service/duplicatePatients.js'),
+  findDuplicatesOfEach: jest.fn()
+}));
+
+describe('Bulk import', () => {
+  const patientId = '64b7f0c2a1b2c3d4e5f60718';
+  const session = { withTransaction: async (callback) => callback(), endSession: jest.fn() };
+
+  // Mock inserts returning the documents with generated IDs
+  const mockInserts = () => {
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Patient, 'insertMany').mockImplementation(async (docs) => docs.map((doc, index) => ({ _id: `p${index}`, ...doc })));
+    jest.spyOn(Test, 'insertMany').mockImplementation(async (docs) => docs.map((doc, index) => ({ _id: `t${index}`, ...doc })));
+  };
+
+  // Mock the search for existing duplicates finding the given duplicates for every row
+  const mockExistingDuplicates = (duplicates) => {
+    findDuplicatesOfEach.mockReset().mockImplementation(async (fieldsList) => fieldsList.map(() => duplicates));
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    process.env.PII_INDEX_KEY = 'test-index-key';
+    refreshPatientStatus.mockClear();
+    recordAudit.mockClear();
+    mockExistingDuplicates([]);
+    jest.spyOn(Patient, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: patientId }]) });
+  });
+
+  describe('parseCsv', () => {
+    it('should parse quoted fields and number rows by their line', () => {
+      const rows = parseCsv('record,name,address\r\npatient,"Doe, Jane","1 Main St\nApt ""2"""\r\n\r\npatient,John,\r\n');
+
+      expect(rows).toEqual([
+        { row: 2, data: { record: 'patient', name: 'Doe, Jane', address: '1 Main St\nApt "2"' } },
+        { row: 5, data: { record: 'patient', name: 'John', address: '' } }
+      ]);
+    });
+
+    it('should reject an unterminated quoted field', () => {
+      expect(() => parseCsv('record,name\npatient,"Jane')).toThrow('Unterminated quoted field starting on line 2');
+    });
+  });
+
+  describe('parseNdjson', () => {
+    it('should keep lines that are not JSON objects with an error', () => {
+      const rows = parseNdjson('{"record":"patient"}\n\nnot json\n[1]\n');
+
+      expect(rows[0]).toEqual({ row: 1, data: { record: 'patient' } });
+      expect(rows[1]).toMatchObject({ row: 3, parseError: expect.stringContaining('Invalid JSON') });
+      expect(rows[2]).toMatchObject({ row: 4, parseError: 'Line must be a JSON object' });
+    });
+  });
+
+  describe('validateRows', () => {
+    it('should report the errors of every invalid row', async () => {
+      const rows = await validateRows(parseCsv([
+        'record,ref,patientRef,patientId,name,age,gender,medicalHistory,type,value',
+        'patient,p1,,,Jane Doe,42,female,Asthma;Diabetes,,',
+        'patient,p2,,,No Age,,male,,,',
+        'test,,p1,,,,,,Heartbeat Rate,72',
+        'test,,p2,,,,,,Heartbeat Rate,80',
+        'test,,,,,,,,Temperature,37',
+        'test,,,64b7f0c2a1b2c3d4e5f60719,,,,,Heartbeat Rate,abc',
+        'visit,,,,,,,,,'
+      ].join('\n')));
+
+      expect(rows[0].fields).toEqual({ name: 'Jane Doe', age: '42', gender: 'female', medicalHistory: ['Asthma', 'Diabetes'] });
+      expect(rows.map((row) => row.errors.map((error) => error.field))).toEqual([
+        [],
+        ['age'],
+        [],
+        ['patientRef'],
+        ['patientId'],
+        ['value', 'patientId'],
+        ['record']
+      ]);
+      expect(rows[5].errors[1].message).toBe('Patient not found');
+    });
+
+    it('should refuse patients that may duplicate existing ones and the tests referencing them', async () => {
+      mockExistingDuplicates([{ patient: { _id: 'p-old' }, matchedOn: ['name', 'age'] }]);
+      const csv = [
+        'record,ref,patientRef,name,age,gender,type,value',
+        'patient,a,,Jane Doe,42,female,,',
+        'test,,a,,,,Heartbeat Rate,72'
+      ].join('\n');
+
+      const refused = await validateRows(parseCsv(csv));
+      expect(findDuplicatesOfEach).toHaveBeenCalledWith([{ name: 'Jane Doe', age: '42', gender: 'female' }]);
+      expect(refused[0].errors).toEqual([{ field: '', message: 'Possible duplicate of patients p-old' }]);
+      expect(refused[1].errors[0].message).toBe('Patient row 2 is invalid');
+
+      const allowed = await validateRows(parseCsv(csv), { allowDuplicates: true });
+      expect(allowed[0]).toMatchObject({ errors: [], duplicateOf: ['p-old'] });
+      expect(allowed[1].errors).toEqual([]);
+    });
+
+    it('should look up the existing duplicates of all patient rows at once', async () => {
+      await validateRows(parseCsv([
+        'record,name,age,gender',
+        'patient,Jane Doe,42,female',
+        'patient,No Age,,male',
+        'patient,John Smith,50,male'
+      ].join('\n')));
+
+      expect(findDuplicatesOfEach).toHaveBeenCalledTimes(1);
+      expect(findDuplicatesOfEach).toHaveBeenCalledWith([
+        { name: 'Jane Doe', age: '42', gender: 'female' },
+        { name: 'John Smith', age: '50', gender: 'male' }
+      ]);
+    });
+
+    it('should refuse patient rows that may duplicate earlier rows of the same import', async () => {
+      const csv = [
+        'record,name,age,gender,phoneNumber',
+        'patient,Jane Doe,42,female,555-010-0200',
+        'patient,John Smith,50,male,',
+        'patient,Jane M Doe,43,female,(555) 010 0200'
+      ].join('\n');
+
+      const refused = await validateRows(parseCsv(csv));
+      expect(refused.map((row) => row.errors)).toEqual([
+        [],
+        [],
+        [{ field: '', message: 'Possible duplicate of rows 2' }]
+      ]);
+
+      const allowed = await validateRows(parseCsv(csv), { allowDuplicates: true });
+      expect(allowed[2]).toMatchObject({ errors: [], duplicateOfRows: [2] });
+      expect(allowed[1].duplicateOfRows).toBeUndefined();
+    });
+  });
+
+  describe('commitRows', () => {
+    it('should insert patients before the tests referencing them, in batches', async () => {
+      mockInserts();
+      const rows = await validateRows(parseNdjson([
+        JSON.stringify({ record: 'patient', ref: 'a', name: 'Jane Doe', age: 42, gender: 'female' }),
+        JSON.stringify({ record: 'patient', ref: 'b', name: 'John Doe', age: 50, gender: 'male' }),
+        JSON.stringify({ record: 'test', patientRef: 'b', type: 'Heartbeat Rate', value: 72 }),
+        JSON.stringify({ record: 'test', patientId, type: 'Blood Oxygen Level', value: 97 })
+      ].join('\n')));
+
+      await commitRows(rows, 1);
+
+      expect(Patient.insertMany).toHaveBeenCalledTimes(2);
+      expect(Test.insertMany).toHaveBeenCalledTimes(2);
+      expect(rows[2].document.patientId).toBe('p0');
+      expect(rows[3].document.patientId).toBe(patientId);
+    });
+
+    it('should report the rows of a failed batch and the tests of its patients', async () => {
+      mockInserts();
+      Patient.insertMany.mockRejectedValue(new Error('write conflict'));
+      const rows = await validateRows(parseNdjson([
+        JSON.stringify({ record: 'patient', ref: 'a', name: 'Jane Doe', age: 42, gender: 'female' }),
+        JSON.stringify({ record: 'test', patientRef: 'a', type: 'Heartbeat Rate', value: 72 })
+      ].join('\n')));
+
+      await commitRows(rows);
+
+      expect(rows[0].errors[0].message).toBe('Batch not imported: write conflict');
+      expect(rows[1].errors[0].message).toBe('Patient row 1 was not imported');
+      expect(Test.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importRecords', () => {
+    let req, res;
+
+    beforeEach(() => {
+      req = {
+        query: {},
+        user: { id: 'u1', username: 'nurse1', role: 'nurse' },
+        get: jest.fn().mockReturnValue('text/csv; charset=utf-8'),
+        body: [
+          'record,ref,patientRef,name,age,gender,type,value',
+          'patient,a,,Jane Doe,42,female,,',
+          'test,,a,,,,Heartbeat Rate,72',
+          'test,,a,,,,Temperature,39.5',
+          'test,,a,,,,Temperature,-1'
+        ].join('\n')
+      };
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+    });
+
+    it('should only report on the rows in a dry run', async () => {
+      mockInserts();
+
+      req.query.dryRun = 'true';
+      await importRecords(req, res);
+
+      expect(Patient.insertMany).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        dryRun: true,
+        summary: { rows: 4, valid: 3, invalid: 1, createdPatients: 0, createdTests: 0 },
+        errors: [{ row: 5, record: 'test', errors: [{ field: 'value', message: 'Value cannot be negative' }] }],
+        warnings: []
+      });
+    });
+
+    it('should import the valid rows and refresh each patient once', async () => {
+      mockInserts();
+
+      await importRecords(req, res);
+
+      expect(res.json.mock.calls[0][0].summary).toEqual({ rows: 4, valid: 3, invalid: 1, createdPatients: 1, createdTests: 2 });
+      expect(recordAudit).toHaveBeenCalledTimes(3);
+      expect(refreshPatientStatus).toHaveBeenCalledTimes(1);
+      expect(refreshPatientStatus).toHaveBeenCalledWith('p0');
+    });
+
+    it('should import patients despite possible duplicates when allowed, with a warning', async () => {
+      mockInserts();
+      mockExistingDuplicates([{ patient: { _id: 'p-old' }, matchedOn: ['name', 'age'] }]);
+
+      req.query.allowDuplicates = 'true';
+      await importRecords(req, res);
+
+      const report = res.json.mock.calls[0][0];
+      expect(report.summary.createdPatients).toBe(1);
+      expect(report.warnings).toEqual([{ row: 2, record: 'patient', message: 'Possible duplicate of patients p-old' }]);
+    });
+
+    it('should reject unsupported content types', async () => {
+      req.get.mockReturnValue('application/json');
+
+      await expect(importRecords(req, res)).rejects.toMatchObject({ status: 415 });
+    });
+  });
+});
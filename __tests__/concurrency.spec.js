@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import { versionQueryUpdates, etagOf, checkIfMatch, versionFilter, saveIfMatch, applyMergePatch } from '../service/concurrency.js';
+import Patient from '../model/patientModel.js';
+
+describe('Optimistic concurrency', () => {
+  const requestWith = (ifMatch) => ({ get: jest.fn().mockReturnValue(ifMatch) });
+
+  describe('checkIfMatch', () => {
+    const patient = { __v: 4 };
+
+    it('should accept unconditional requests and requests made with the current ETag', () => {
+      expect(etagOf(patient)).toBe('"4"');
+      expect(() => checkIfMatch(requestWith(undefined), patient)).not.toThrow();
+      expect(() => checkIfMatch(requestWith('"4"'), patient)).not.toThrow();
+      expect(() => checkIfMatch(requestWith('"3", "4"'), patient)).not.toThrow();
+      expect(() => checkIfMatch(requestWith('*'), patient)).not.toThrow();
+    });
+
+    it('should refuse a stale or weak ETag with 412 and the current ETag', () => {
+      expect(() => checkIfMatch(requestWith('"3"'), patient)).toThrow(expect.objectContaining({
+        status: 412,
+        extensions: { etag: '"4"' }
+      }));
+      expect(() => checkIfMatch(requestWith('W/"4"'), patient)).toThrow(expect.objectContaining({ status: 412 }));
+    });
+
+    it('should only filter query writes on the version for conditional requests', () => {
+      expect(versionFilter(requestWith('"4"'), patient)).toEqual({ __v: 4 });
+      expect(versionFilter(requestWith(undefined), patient)).toEqual({});
+    });
+  });
+
+  describe('versionQueryUpdates', () => {
+    // Run the plugin's update hook on a query with the given update and options
+    const runHook = (update, options = {}) => {
+      const schema = { pre: jest.fn() };
+      versionQueryUpdates(schema);
+      schema.pre.mock.calls[0][1].call({ getUpdate: () => update, getOptions: () => options });
+      return update;
+    };
+
+    it('should increment the version unless the update is made with versioned: false', () => {
+      expect(runHook({ $set: { name: 'Jane Doe', __v: 9 } })).toEqual({ $set: { name: 'Jane Doe' }, $inc: { __v: 1 } });
+      expect(runHook({ $set: { criticalCondition: true } }, { versioned: false })).toEqual({ $set: { criticalCondition: true } });
+    });
+  });
+
+  describe('saveIfMatch', () => {
+    it('should answer a version conflict with 412 only for conditional requests', async () => {
+      const patient = new Patient({ name: 'Jane Doe', age: 40, gender: 'Female' });
+      const conflict = new mongoose.Error.VersionError(patient, 0, ['name']);
+      jest.spyOn(patient, 'save').mockRejectedValue(conflict);
+
+      await expect(saveIfMatch(requestWith('"0"'), patient)).rejects.toMatchObject({ status: 412 });
+      await expect(saveIfMatch(requestWith(undefined), patient)).rejects.toBe(conflict);
+    });
+  });
+
+  describe('applyMergePatch', () => {
+    it('should remove null fields, merge objects and replace other values', () => {
+      const patient = new Patient({
+        name: 'Jane Doe',
+        age: 40,
+        gender: 'Female',
+        phoneNumber: '555-0100',
+        medicalHistory: ['Asthma', 'Diabetes'],
+        earlyWarningScore: { score: 3, risk: 'low' }
+      });
+
+      applyMergePatch(patient, {
+        phoneNumber: null,
+        medicalHistory: ['Asthma'],
+        earlyWarningScore: { risk: 'medium' }
+      });
+
+      expect(patient.phoneNumber).toBeUndefined();
+      expect(patient.medicalHistory.toObject()).toEqual(['Asthma']);
+      expect(patient.earlyWarningScore).toMatchObject({ score: 3, risk: 'medium' });
+      expect(patient.name).toBe('Jane Doe');
+    });
+
+    it('should leave a required field removed by the patch to validation', () => {
+      const patient = applyMergePatch(new Patient({ name: 'Jane Doe', age: 40, gender: 'Female' }), { name: null });
+
+      expect(patient.validateSync().errors.name).toBeDefined();
+    });
+  });
+
+  describe('versionQueryUpdates', () => {
+    it('should increment the version on updates made through queries', async () => {
+      const findOneAndUpdate = jest.spyOn(Patient.collection, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await Patient.findByIdAndUpdate(new mongoose.Types.ObjectId(), { criticalCondition: true, __v: 7 });
+
+      const update = findOneAndUpdate.mock.calls[0][1];
+      expect(update.$inc).toEqual({ __v: 1 });
+      expect(update.$set).not.toHaveProperty('__v');
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import {
+  phoneDigits,
+  nameSimilarity,
+  matchingSignals,
+  findDuplicatePatients,
+  findDuplicatesOfEach,
+  findDuplicatesWithin,
+  mergeEntries
+} from '../service/duplicatePatients.js';
+import { addPatient, mergePatient, restorePatient } from '../controller/hospitalController.js';
+import Patient from '../model/patientModel.js';
+import Test from '../model/testsModel.js';
+import Appointment from '../model/appointmentModel.js';
+import { refreshPatientStatus } from '../service/patientStatus.js';
+import { recordAudit } from '../service/auditLog.js';
+import { ConflictError } from '../service/errors.js';
+import { phoneSearchEntry, buildPiiIndex } from '../service/patientPii.js';
+
+// Mock the models and the services writing to the database
+jest.mock('../model/patientModel.js');
+jest.mock('../model/testsModel.js');
+jest.mock('../model/auditLogModel.js');
+jest.mock('../model/appointmentModel.js');
+jest.mock('../model/medicationOrderModel.js');
+jest.mock('../model/medicationAdministrationModel.js');
+jest.mock('../model/admissionModel.js');
+jest.mock('../model/bedModel.js');
+jest.mock('../service/patientStatus.js');
+jest.mock('../service/auditLog.js');
+
+describe('Duplicate patients', () => {
+  const jane = { _id: 'p1', name: 'Jane Mary Doe', age: 42, phoneNumber: '(555) 010-0200', medicalHistory: ['Asthma'] };
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PII_INDEX_KEY = 'test-index-key';
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      set: jest.fn()
+    };
+  });
+
+  describe('phoneDigits', () => {
+    it('should compare the trailing digits whatever the separators and country code', () => {
+      expect(phoneDigits('+1 (555) 010-0200')).toBe(phoneDigits('555.010.0200'));
+      expect(phoneDigits('010-02')).toBeNull();
+    });
+  });
+
+  describe('nameSimilarity', () => {
+    it('should tolerate typos, a missing middle name and the order of the words', () => {
+      expect(nameSimilarity('Jane Mary Doe', 'Doe, Jane')).toBe(0.83);
+      expect(nameSimilarity('Jon Smith', 'John Smith')).toBe(0.88);
+      expect(nameSimilarity('Jane Doe', 'John Smith')).toBe(0);
+    });
+  });
+
+  describe('matchingSignals', () => {
+    it('should list the name, phone number and age that match', () => {
+      expect(matchingSignals({ name: 'Jane Doe', age: 44, phoneNumber: '5550100200' }, jane)).toEqual(['name', 'phoneNumber', 'age']);
+      expect(matchingSignals({ name: 'John Smith', age: 45, phoneNumber: '555-010-0200' }, jane)).toEqual(['phoneNumber']);
+    });
+  });
+
+  describe('findDuplicatePatients', () => {
+    it('should keep the candidates matching on at least two signals', async () => {
+      const limit = jest.fn().mockResolvedValue([jane, { _id: 'p2', name: 'Jane Doe', age: 70 }]);
+      Patient.find = jest.fn().mockReturnValue({ limit });
+
+      const duplicates = await findDuplicatePatients({ name: 'Jane Doe', age: 41, phoneNumber: '555 010 0200' });
+
+      expect(Patient.find.mock.calls[0][0].mergedInto).toEqual({ $exists: false });
+      expect(Patient.find.mock.calls[0][0].piiIndex.$in).toContain(phoneSearchEntry('5550100200'));
+      expect(duplicates).toEqual([{ patient: jane, matchedOn: ['name', 'phoneNumber', 'age'], nameSimilarity: 0.83 }]);
+    });
+  });
+
+  describe('findDuplicatesOfEach', () => {
+    it('should read the candidates of every patient in one query and compare each with its own', async () => {
+      const john = { _id: 'p3', name: 'John Smith', age: 50 };
+      const select = jest.fn().mockResolvedValue([
+        { ...jane, piiIndex: buildPiiIndex(jane) },
+        { ...john, piiIndex: buildPiiIndex(john) }
+      ]);
+      Patient.find = jest.fn().mockReturnValue({ select });
+
+      const duplicates = await findDuplicatesOfEach([
+        { name: 'Jane Doe', age: 41 },
+        { name: 'Jon Smith', age: 42 },
+        { name: 'Jo' }
+      ]);
+
+      expect(Patient.find).toHaveBeenCalledTimes(1);
+      expect(Patient.find.mock.calls[0][0].mergedInto).toEqual({ $exists: false });
+      expect(select).toHaveBeenCalledWith('+piiIndex');
+      expect(duplicates.map((candidates) => candidates.map((candidate) => candidate.patient._id))).toEqual([['p1'], [], []]);
+    });
+
+    it('should not query when no patient can be looked up', async () => {
+      Patient.find = jest.fn();
+
+      expect(await findDuplicatesOfEach([{ name: 'Jo' }])).toEqual([[]]);
+      expect(Patient.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findDuplicatesWithin', () => {
+    it('should list the earlier patients of the list that each may duplicate', () => {
+      expect(findDuplicatesWithin([
+        { name: 'Jane Doe', age: 42 },
+        { name: 'John Smith', phoneNumber: '555-010-0200' },
+        { name: 'Jane M. Doe', age: 43 },
+        { name: 'Jon Smith', phoneNumber: '(555) 010 0200' },
+        { name: 'Jane Doe', age: 70 }
+      ])).toEqual([[], [], [0], [1], []]);
+    });
+  });
+
+  describe('mergeEntries', () => {
+    it('should keep each entry once whatever its case', () => {
+      expect(mergeEntries(['Asthma', 'Diabetes'], ['asthma ', 'Hypertension', ''])).toEqual(['Asthma', 'Diabetes', 'Hypertension']);
+    });
+  });
+
+  describe('addPatient', () => {
+    const req = { body: { name: 'Jane Doe', age: 42, gender: 'female', phoneNumber: '5550100200' }, query: {} };
+
+    beforeEach(() => {
+      Patient.find = jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue([jane]) });
+      Patient.mockImplementation(() => ({ save: jest.fn().mockResolvedValue({ _id: 'p3', ...req.body }) }));
+    });
+
+    it('should reject a possible duplicate with the candidates, masked unless unmasked', async () => {
+      const error = await addPatient(req, res).catch((rejection) => rejection);
+
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.extensions.duplicates[0].patient).toMatchObject({ _id: 'p1', name: 'J*** M*** D***', phoneNumber: '***-***-0200' });
+      expect(Patient).not.toHaveBeenCalled();
+
+      const unmasked = await addPatient({ ...req, query: { unmask: 'true' }, user: { role: 'nurse' } }, res)
+        .catch((rejection) => rejection);
+      expect(unmasked.extensions.duplicates[0].patient).toBe(jane);
+    });
+
+    it('should create the patient with a warning when duplicates are allowed', async () => {
+      await addPatient({ ...req, query: { allowDuplicates: 'true' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.set).toHaveBeenCalledWith('Warning', '299 - "Possible duplicate of patients p1"');
+    });
+  });
+
+  describe('mergePatient', () => {
+    const survivorId = '64b7f0c2a1b2c3d4e5f60718';
+    const duplicateId = '64b7f0c2a1b2c3d4e5f60719';
+    const session = { withTransaction: async (callback) => callback(), endSession: jest.fn() };
+    const req = { params: { id: survivorId }, body: { duplicateId }, query: {} };
+
+    beforeEach(() => {
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      Patient.findById = jest.fn()
+        .mockResolvedValueOnce({ _id: survivorId, medicalHistory: ['Asthma'] })
+        .mockResolvedValueOnce({ _id: duplicateId, medicalHistory: ['asthma', 'Diabetes'] })
+        .mockResolvedValue({ _id: survivorId, criticalCondition: true });
+      Patient.findByIdAndUpdate = jest.fn().mockImplementation(async (id, update) => ({ _id: id, ...update }));
+      Test.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 3 });
+    });
+
+    it('should move the tests and appointments, combine the histories and leave a tombstone', async () => {
+      await mergePatient(req, res);
+
+      expect(Test.updateMany).toHaveBeenCalledWith({ patientId: duplicateId }, { patientId: survivorId, archived: false }, { session });
+      expect(Appointment.updateMany).toHaveBeenCalledWith({ patientId: duplicateId }, { patientId: survivorId }, { session });
+      expect(Patient.findByIdAndUpdate.mock.calls[0][1]).toEqual({
+        medicalHistory: ['Asthma', 'Diabetes'],
+        allergies: [],
+        $addToSet: { mergedFrom: duplicateId }
+      });
+      expect(Patient.findByIdAndUpdate.mock.calls[1][1]).toMatchObject({ archived: true, mergedInto: survivorId });
+      expect(refreshPatientStatus).toHaveBeenCalledWith(survivorId);
+      expect(recordAudit).toHaveBeenCalledTimes(2);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Patients merged successfully',
+        patient: { _id: survivorId, criticalCondition: true },
+        mergedPatientId: duplicateId,
+        movedTests: 3
+      });
+    });
+
+    it('should refuse a duplicate that was already merged', async () => {
+      Patient.findById = jest.fn()
+        .mockResolvedValueOnce({ _id: survivorId })
+        .mockResolvedValueOnce({ _id: duplicateId, mergedInto: 'p9' });
+
+      await expect(mergePatient(req, res)).rejects.toMatchObject({ status: 409 });
+      expect(Test.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a duplicate that is still admitted', async () => {
+      Patient.findById = jest.fn()
+        .mockResolvedValueOnce({ _id: survivorId })
+        .mockResolvedValueOnce({ _id: duplicateId, admissionId: 'a1' });
+
+      await expect(mergePatient(req, res)).rejects.toMatchObject({ status: 409 });
+      expect(Test.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to merge a patient into itself', async () => {
+      await expect(mergePatient({ ...req, body: { duplicateId: survivorId } }, res))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('restorePatient', () => {
+    it('should not restore a merged patient', async () => {
+      Patient.findById = jest.fn().mockResolvedValue({ _id: 'p1', archived: true, mergedInto: 'p2' });
+
+      await expect(restorePatient({ params: { id: 'p1' }, query: {} }, res)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { scoreTest, calculateScore, scoreTrend } from '../service/earlyWarningScore.js';
+
+describe('Early-warning score', () => {
+  describe('scoreTest', () => {
+    it('should score each vital sign on the NEWS2 ranges', () => {
+      expect(scoreTest({ type: 'Respiratory Rate', value: 8 })).toBe(3);
+      expect(scoreTest({ type: 'Respiratory Rate', value: 16 })).toBe(0);
+      expect(scoreTest({ type: 'Blood Oxygen Level', value: 93 })).toBe(2);
+      expect(scoreTest({ type: 'Blood Pressure', systolic: 105, diastolic: 70 })).toBe(1);
+      expect(scoreTest({ type: 'Blood Pressure', systolic: 225, diastolic: 100 })).toBe(3);
+      expect(scoreTest({ type: 'Heartbeat Rate', value: 120 })).toBe(2);
+      expect(scoreTest({ type: 'Temperature', value: 38.5 })).toBe(1);
+    });
+
+    it('should score any consciousness level other than alert as 3', () => {
+      expect(scoreTest({ type: 'Consciousness Level', level: 'A' })).toBe(0);
+      expect(scoreTest({ type: 'Consciousness Level', level: 'V' })).toBe(3);
+    });
+
+    it('should ignore missing readings', () => {
+      expect(scoreTest({ type: 'Heartbeat Rate' })).toBeNull();
+      expect(scoreTest({ type: 'Consciousness Level' })).toBeNull();
+    });
+  });
+
+  describe('calculateScore', () => {
+    it('should add up the points and map them to a risk level', () => {
+      const result = calculateScore([
+        { type: 'Respiratory Rate', value: 25 },
+        { type: 'Blood Oxygen Level', value: 91 },
+        { type: 'Heartbeat Rate', value: 95 }
+      ]);
+
+      expect(result.score).toBe(7);
+      expect(result.risk).toBe('high');
+      expect(result.missing).toEqual(['Blood Pressure', 'Temperature', 'Consciousness Level']);
+    });
+
+    it('should raise the risk when a single parameter scores 3', () => {
+      const result = calculateScore([{ type: 'Consciousness Level', level: 'P' }]);
+
+      expect(result.score).toBe(3);
+      expect(result.risk).toBe('low-medium');
+    });
+  });
+
+  describe('scoreTrend', () => {
+    it('should compare the score with the previous one', () => {
+      expect(scoreTrend(5, 3)).toBe('rising');
+      expect(scoreTrend(1, 3)).toBe('falling');
+      expect(scoreTrend(3, 3)).toBe('stable');
+      expect(scoreTrend(3, undefined)).toBe('stable');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import { correlationId, asyncHandler, toHttpError, errorHandler } from '../middleware/errorMiddleware.js';
+import { NotFoundError, ConflictError } from '../service/errors.js';
+import Patient from '../model/patientModel.js';
+
+describe('Error handling', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { originalUrl: '/api/patients/p1', correlationId: 'c-1', get: jest.fn() };
+    res = {
+      headersSent: false,
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  describe('errorHandler', () => {
+    it('should answer with a problem details body', () => {
+      errorHandler(new ConflictError('The time slot is already booked', { conflicts: ['a1'] }), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.type).toHaveBeenCalledWith('application/problem+json');
+      expect(res.json).toHaveBeenCalledWith({
+        type: 'about:blank',
+        title: 'Conflict',
+        status: 409,
+        detail: 'The time slot is already booked',
+        instance: '/api/patients/p1',
+        correlationId: 'c-1',
+        conflicts: ['a1']
+      });
+    });
+
+    it('should not reveal the details of unexpected errors', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      errorHandler(new Error('connection string mongodb://user:secret@db'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json.mock.calls[0][0].detail).toBe('An unexpected error occurred');
+      expect(console.error).toHaveBeenCalledTimes(1);
+      expect(console.error.mock.calls[0][0]).not.toContain('secret');
+    });
+
+    it('should log unexpected errors as JSON without the values they quote', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {}).mockClear();
+      const error = Object.assign(new Error('Plan executor error :: caused by :: { name: "Jane Doe" } and \'555-0100\''), {
+        code: 292,
+        document: { name: 'Jane Doe' }
+      });
+
+      errorHandler(error, { ...req, method: 'GET', originalUrl: '/api/patients/search?q=Jane' }, res, next);
+
+      const line = console.error.mock.calls[0][0];
+      expect(line).not.toMatch(/Jane|555/);
+      expect(JSON.parse(line)).toMatchObject({
+        level: 'error',
+        requestId: 'c-1',
+        method: 'GET',
+        path: '/api/patients/search',
+        status: 500,
+        error: {
+          name: 'Error',
+          code: 292,
+          message: 'Plan executor error :: caused by :: { [redacted] } and "[redacted]"',
+          stack: expect.arrayContaining([expect.stringMatching(/^at /)])
+        }
+      });
+    });
+  });
+
+  describe('toHttpError', () => {
+    it('should map Mongoose and MongoDB errors to their status', () => {
+      const validation = new Patient({ name: 'Jane', age: 'old' }).validateSync();
+      const cast = new mongoose.Error.CastError('ObjectId', 'p1', '_id');
+      const duplicate = Object.assign(new Error('E11000'), { code: 11000, keyValue: { name: 'ICU' } });
+
+      expect(toHttpError(validation)).toMatchObject({
+        status: 422,
+        extensions: { errors: expect.arrayContaining([{ field: 'age', message: 'Expected a value of type Number' }]) }
+      });
+      expect(toHttpError(cast)).toMatchObject({ status: 400, message: 'Invalid value for _id' });
+      expect(toHttpError(duplicate)).toMatchObject({ status: 409, message: 'A record with this name already exists' });
+    });
+
+    it('should keep the client status of body-parser errors', () => {
+      const parseError = Object.assign(new SyntaxError('Unexpected token'), { status: 400, expose: true, type: 'entity.parse.failed' });
+
+      expect(toHttpError(parseError)).toMatchObject({ status: 400, message: 'Unexpected token' });
+    });
+  });
+
+  describe('correlationId', () => {
+    it('should reuse the ID sent by the client and generate one otherwise', () => {
+      req.get.mockReturnValue('abc-123');
+      correlationId(req, res, next);
+      expect(req.correlationId).toBe('abc-123');
+
+      req.get.mockReturnValue('not a valid id\n');
+      correlationId(req, res, next);
+      expect(req.correlationId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(res.set).toHaveBeenLastCalledWith('X-Correlation-ID', req.correlationId);
+    });
+  });
+
+  describe('asyncHandler', () => {
+    it('should pass the errors thrown by a handler to the error middleware', async () => {
+      const error = new NotFoundError('Patient not found');
+      asyncHandler(async () => { throw error; })(req, res, next);
+      await new Promise(setImmediate);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,280 @@
+import mongoose from 'mongoose';
+import { patientToFhir, fhirToPatient, testToObservation, observationToTest } from '../service/fhir.js';
+import { getFhirPatient, searchFhirObservations, importFhirBundle, fhirErrorHandler } from '../controller/fhirController.js';
+import Patient from '../model/patientModel.js';
+import Test from '../model/testsModel.js';
+import { refreshPatientStatus } from '../service/patientStatus.js';
+import { recordAudit } from '../service/auditLog.js';
+import { findDuplicatePatients } from '../service/duplicatePatients.js';
+
+// Mock the services writing to the database and the duplicate search
+// The models are kept so that imported resources are validated against them
+jest.mock('../service/patientStatus.js');
+jest.mock('../service/auditLog.js');
+jest.mock('../service/duplicatePatients.js');
+
+describe('FHIR', () => {
+  let req, res;
+  const patientId = '64b7f0c2a1b2c3d4e5f60718';
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    refreshPatientStatus.mockClear();
+    recordAudit.mockClear();
+    findDuplicatePatients.mockReset().mockResolvedValue([]);
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 'u1', username: 'nurse1', role: 'nurse' }
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  // Build a LOINC-coded observation of a patient
+  const observation = (code, fields, subject = `Patient/${patientId}`) => ({
+    resourceType: 'Observation',
+    status: 'final',
+    code: { coding: [{ system: 'http://loinc.org', code }] },
+    subject: { reference: subject },
+    effectiveDateTime: '2026-10-19T08:00:00.000Z',
+    ...fields
+  });
+
+  describe('mapping', () => {
+    it('should map a patient to a FHIR Patient and back', () => {
+      const resource = patientToFhir({
+        _id: patientId,
+        name: 'Jane Mary Doe',
+        age: 42,
+        gender: 'Female',
+        phoneNumber: '555-0100',
+        address: '1 Main St'
+      });
+
+      expect(resource).toMatchObject({
+        resourceType: 'Patient',
+        id: patientId,
+        active: true,
+        name: [{ text: 'Jane Mary Doe', family: 'Doe', given: ['Jane', 'Mary'] }],
+        gender: 'female',
+        telecom: [{ system: 'phone', value: '555-0100' }]
+      });
+      expect(fhirToPatient(resource)).toEqual({
+        name: 'Jane Mary Doe',
+        age: 42,
+        gender: 'female',
+        address: '1 Main St',
+        phoneNumber: '555-0100'
+      });
+    });
+
+    it('should map a blood pressure test to an Observation with LOINC components', () => {
+      const resource = testToObservation({
+        _id: 't1',
+        patientId,
+        type: 'Blood Pressure',
+        systolic: 120,
+        diastolic: 80,
+        date: new Date('2026-10-19T08:00:00Z')
+      });
+
+      expect(resource.code.coding[0]).toMatchObject({ system: 'http://loinc.org', code: '85354-9' });
+      expect(resource.subject.reference).toBe(`Patient/${patientId}`);
+      expect(resource.component.map((component) => [component.code.coding[0].code, component.valueQuantity.value]))
+        .toEqual([['8480-6', 120], ['8462-4', 80]]);
+      expect(resource.component[0].valueQuantity).toMatchObject({ system: 'http://unitsofmeasure.org', code: 'mm[Hg]' });
+
+      expect(observationToTest(resource).fields).toMatchObject({ type: 'Blood Pressure', systolic: 120, diastolic: 80 });
+    });
+
+    it('should convert a temperature in Fahrenheit', () => {
+      const { fields, issues } = observationToTest(observation('8310-5', { valueQuantity: { value: 98.6, code: '[degF]' } }));
+
+      expect(issues).toEqual([]);
+      expect(fields).toMatchObject({ type: 'Temperature', value: 37, unit: '°C' });
+    });
+
+    it('should report unsupported codes and units', () => {
+      expect(observationToTest(observation('1234-5', {})).issues[0].code).toBe('code-invalid');
+      expect(observationToTest(observation('8867-4', { valueQuantity: { value: 1, code: 'Hz' } })).issues[0].diagnostics)
+        .toBe('Unsupported unit Hz for Heartbeat Rate');
+    });
+  });
+
+  describe('getFhirPatient', () => {
+    it('should return 404 when the patient does not exist', async () => {
+      jest.spyOn(Patient, 'findById').mockResolvedValue(null);
+
+      req.params.id = patientId;
+      await expect(getFhirPatient(req, res)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should return 410 for archived and merged patients', async () => {
+      req.params.id = patientId;
+
+      jest.spyOn(Patient, 'findById').mockResolvedValue({ _id: patientId, archived: true });
+      await expect(getFhirPatient(req, res)).rejects.toMatchObject({ status: 410, message: 'Patient was archived' });
+
+      Patient.findById.mockResolvedValue({ _id: patientId, archived: true, mergedInto: 'p-survivor' });
+      await expect(getFhirPatient(req, res)).rejects.toMatchObject({ status: 410, message: 'Patient was merged into Patient/p-survivor' });
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it('should mask the name, address and phone number unless unmasked', async () => {
+      jest.spyOn(Patient, 'findById').mockResolvedValue({ _id: patientId, name: 'Jane Doe', age: 40, address: '1 Main St', phoneNumber: '555-010-1234' });
+      req.params.id = patientId;
+
+      await getFhirPatient(req, res);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        name: [{ text: 'J*** D***' }],
+        address: [{ text: '***' }],
+        telecom: [{ value: '***-***-1234' }]
+      });
+
+      req.query.unmask = 'true';
+      await getFhirPatient(req, res);
+      expect(res.json.mock.calls[1][0].name).toEqual([{ text: 'Jane Doe', family: 'Doe', given: ['Jane'] }]);
+    });
+  });
+
+  describe('fhirErrorHandler', () => {
+    beforeEach(() => {
+      req.correlationId = 'c-1';
+      res.headersSent = false;
+    });
+
+    it('should answer with an OperationOutcome carrying the correlation ID', () => {
+      fhirErrorHandler(Object.assign(new Error('Patient not found'), { status: 404, expose: true }), req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.type).toHaveBeenCalledWith('application/fhir+json');
+      expect(res.json.mock.calls[0][0]).toEqual({
+        resourceType: 'OperationOutcome',
+        issue: [
+          { severity: 'error', code: 'not-found', diagnostics: 'Patient not found' },
+          { severity: 'information', code: 'informational', diagnostics: 'Correlation ID c-1' }
+        ]
+      });
+    });
+
+    it('should answer database failures with 500 and log them', () => {
+      const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      fhirErrorHandler(new Error('Transaction aborted'), req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json.mock.calls[0][0].issue[0]).toMatchObject({ code: 'exception', diagnostics: 'An unexpected error occurred' });
+      expect(log).toHaveBeenCalled();
+    });
+  });
+
+  describe('searchFhirObservations', () => {
+    it('should search the tests of the patient with the given LOINC code', async () => {
+      const sort = jest.fn().mockResolvedValue([{ _id: 't1', patientId, type: 'Heartbeat Rate', value: 72, date: new Date() }]);
+      jest.spyOn(Test, 'find').mockReturnValue({ sort });
+
+      req.query = { patient: `Patient/${patientId}`, code: 'http://loinc.org|8867-4' };
+      await searchFhirObservations(req, res);
+
+      expect(Test.find).toHaveBeenCalledWith({ patientId, archived: { $ne: true }, type: 'Heartbeat Rate' });
+      const bundle = res.json.mock.calls[0][0];
+      expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 1 });
+      expect(bundle.entry[0].resource.valueQuantity).toMatchObject({ value: 72, code: '/min' });
+    });
+
+    it('should require the patient parameter', async () => {
+      await expect(searchFhirObservations(req, res)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('importFhirBundle', () => {
+    const session = { withTransaction: async (callback) => callback(), endSession: jest.fn() };
+
+    it('should create the patients and observations of a transaction Bundle', async () => {
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      jest.spyOn(Patient, 'create').mockImplementation(async ([fields]) => [{ _id: 'p-new', ...fields }]);
+      jest.spyOn(Test, 'create').mockImplementation(async ([fields]) => [{ _id: 't-new', ...fields }]);
+
+      req.body = {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          { fullUrl: 'urn:uuid:jane', resource: { resourceType: 'Patient', name: [{ text: 'Jane Doe' }], gender: 'female', birthDate: '1980-01-01' } },
+          { resource: observation('8867-4', { valueQuantity: { value: 72, code: '/min' } }, 'urn:uuid:jane') }
+        ]
+      };
+      await importFhirBundle(req, res);
+
+      expect(Test.create).toHaveBeenCalledWith([expect.objectContaining({ type: 'Heartbeat Rate', value: 72, patientId: 'p-new' })], { session });
+      expect(recordAudit).toHaveBeenCalledTimes(2);
+      expect(refreshPatientStatus).toHaveBeenCalledWith('p-new');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        type: 'transaction-response',
+        entry: [
+          { response: { status: '201 Created', location: 'Patient/p-new' } },
+          { response: { status: '201 Created', location: 'Observation/t-new' } }
+        ]
+      });
+    });
+
+    it('should reject the whole Bundle when an entry is invalid', async () => {
+      jest.spyOn(mongoose, 'startSession');
+      jest.spyOn(Patient, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      req.body = {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          { resource: { resourceType: 'Patient', name: [{ text: 'No Age' }], gender: 'male' } },
+          { resource: observation('8867-4', { valueQuantity: { value: 72 } }) },
+          { resource: { resourceType: 'Encounter' } }
+        ]
+      };
+      await importFhirBundle(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      const outcome = res.json.mock.calls[0][0];
+      expect(outcome.resourceType).toBe('OperationOutcome');
+      expect(outcome.issue.map((issue) => issue.expression[0])).toEqual([
+        'Bundle.entry[0].resource',
+        'Bundle.entry[2].resource',
+        'Bundle.entry[1].resource.subject'
+      ]);
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should refuse patients that may duplicate existing ones unless duplicates are allowed', async () => {
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      jest.spyOn(Patient, 'create').mockImplementation(async ([fields]) => [{ _id: 'p-new', ...fields }]);
+      findDuplicatePatients.mockResolvedValue([{ patient: { _id: 'p-old' }, matchedOn: ['name', 'age'] }]);
+
+      req.body = {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          { resource: { resourceType: 'Patient', name: [{ text: 'Jane Doe' }], gender: 'female', birthDate: '1980-01-01' } }
+        ]
+      };
+      await importFhirBundle(req, res);
+
+      expect(res.status).toHaveBeenLastCalledWith(409);
+      expect(res.json.mock.calls[0][0].issue).toEqual([expect.objectContaining({
+        code: 'duplicate',
+        diagnostics: 'Possible duplicate of Patient/p-old'
+      })]);
+      expect(Patient.create).not.toHaveBeenCalled();
+
+      req.query.allowDuplicates = 'true';
+      await importFhirBundle(req, res);
+
+      expect(res.status).toHaveBeenLastCalledWith(200);
+      expect(res.json.mock.calls[1][0].entry[0].response.outcome.issue[0]).toMatchObject({ severity: 'warning', code: 'duplicate' });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { parseLegacyValue, formatMeasurement } from '../service/measurement.js';
+import Test from '../model/testsModel.js';
+
+describe('Measurements', () => {
+  describe('parseLegacyValue', () => {
+    it('should parse blood pressure into systolic and diastolic values', () => {
+      expect(parseLegacyValue('Blood Pressure', '120/80')).toEqual({ systolic: 120, diastolic: 80, unit: 'mmHg' });
+      expect(parseLegacyValue('Blood Pressure', ' 135 / 90 mmHg')).toEqual({ systolic: 135, diastolic: 90, unit: 'mmHg' });
+    });
+
+    it('should parse numeric values with an optional unit', () => {
+      expect(parseLegacyValue('Blood Oxygen Level', '98%')).toEqual({ value: 98, unit: '%' });
+      expect(parseLegacyValue('Heartbeat Rate', '72 bpm')).toEqual({ value: 72, unit: 'bpm' });
+      expect(parseLegacyValue('Temperature', '98.6F')).toEqual({ value: 37, unit: '°C' });
+    });
+
+    it('should parse consciousness levels', () => {
+      expect(parseLegacyValue('Consciousness Level', 'Alert')).toEqual({ level: 'A' });
+    });
+
+    it('should return null for values that cannot be parsed', () => {
+      expect(parseLegacyValue('Heartbeat Rate', 'abc')).toBeNull();
+      expect(parseLegacyValue('Blood Pressure', '120')).toBeNull();
+      expect(parseLegacyValue('Consciousness Level', 'sleepy')).toBeNull();
+    });
+  });
+
+  describe('formatMeasurement', () => {
+    it('should format each type of reading', () => {
+      expect(formatMeasurement({ type: 'Blood Pressure', systolic: 190, diastolic: 110 })).toBe('190/110');
+      expect(formatMeasurement({ type: 'Blood Oxygen Level', value: 88 })).toBe('88');
+      expect(formatMeasurement({ type: 'Consciousness Level', level: 'V' })).toBe('V');
+    });
+  });
+
+  describe('Test model', () => {
+    const validate = (fields) => new Test({ patientId: '64b7f0c2a1b2c3d4e5f60718', ...fields }).validateSync();
+
+    it('should accept structured readings for each type', () => {
+      expect(validate({ type: 'Blood Pressure', systolic: 120, diastolic: 80 })).toBeUndefined();
+      expect(validate({ type: 'Heartbeat Rate', value: 72, unit: 'bpm' })).toBeUndefined();
+      expect(validate({ type: 'Consciousness Level', level: 'Alert' })).toBeUndefined();
+    });
+
+    it('should reject readings that do not match the test type', () => {
+      expect(Object.keys(validate({ type: 'Blood Pressure', value: 120 }).errors).sort())
+        .toEqual(['diastolic', 'systolic', 'value']);
+      expect(validate({ type: 'Heartbeat Rate', value: 'abc' }).errors.value).toBeDefined();
+      expect(validate({ type: 'Heartbeat Rate', value: 72, unit: '%' }).errors.unit).toBeDefined();
+    });
+  });
+});
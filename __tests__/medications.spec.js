@@ -0,0 +1,137 @@
+import { findAllergyConflicts, scheduledDoses, doseSchedule } from '../service/medications.js';
+import { getMedications, prescribeMedication, stopMedication, recordAdministration } from '../controller/medicationsController.js';
+import MedicationOrder from '../model/medicationOrderModel.js';
+import MedicationAdministration from '../model/medicationAdministrationModel.js';
+import Patient from '../model/patientModel.js';
+import { recordAudit } from '../service/auditLog.js';
+
+// Mock the audit log, the models are kept so that orders and doses are validated
+jest.mock('../service/auditLog.js');
+
+describe('Medications', () => {
+  const patientId = '64b7f0c2a1b2c3d4e5f60718';
+  const nurse = { id: 'u1', username: 'nurse1', role: 'nurse' };
+  const hours = (count) => count * 60 * 60 * 1000;
+  const now = new Date('2026-10-19T12:00:00Z');
+  let res;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    recordAudit.mockClear();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    jest.spyOn(MedicationOrder.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(MedicationAdministration.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  describe('findAllergyConflicts', () => {
+    it('should match the allergy itself and its common cross-reactions', () => {
+      expect(findAllergyConflicts('Amoxicillin 500mg', ['Penicillins', 'Latex'])).toEqual(['Penicillins']);
+      expect(findAllergyConflicts('Ibuprofen', ['NSAIDs'])).toEqual(['NSAIDs']);
+      expect(findAllergyConflicts('Co-trimoxazole', ['Sulfa drugs'])).toEqual(['Sulfa drugs']);
+      expect(findAllergyConflicts('Paracetamol', ['Penicillin', 'Codeine'])).toEqual([]);
+    });
+  });
+
+  describe('doseSchedule', () => {
+    const order = { status: 'active', frequencyHours: 6, startAt: new Date(now.getTime() - hours(18)) };
+
+    it('should list the doses due from the start up to the given time', () => {
+      expect(scheduledDoses(order, now).map((due) => due.toISOString())).toEqual([
+        '2026-10-18T18:00:00.000Z',
+        '2026-10-19T00:00:00.000Z',
+        '2026-10-19T06:00:00.000Z',
+        '2026-10-19T12:00:00.000Z'
+      ]);
+    });
+
+    it('should flag the doses with nothing recorded once the grace period has passed', () => {
+      const administrations = [
+        { givenAt: new Date('2026-10-18T18:20:00Z'), status: 'given' },
+        { givenAt: new Date('2026-10-19T06:45:00Z'), status: 'refused' }
+      ];
+
+      expect(doseSchedule(order, administrations, now)).toEqual({
+        lastGivenAt: new Date('2026-10-18T18:20:00Z'),
+        nextDueAt: new Date('2026-10-19T12:00:00Z'),
+        missedDoses: [new Date('2026-10-19T00:00:00Z')]
+      });
+    });
+
+    it('should not schedule medications given as needed', () => {
+      expect(doseSchedule({ ...order, asNeeded: true }, [], now)).toEqual({ lastGivenAt: null, nextDueAt: null, missedDoses: [] });
+    });
+  });
+
+  describe('prescribeMedication', () => {
+    const body = { name: 'Amoxicillin', dose: 500, doseUnit: 'mg', route: 'oral', frequencyHours: 8 };
+
+    beforeEach(() => {
+      jest.spyOn(Patient, 'findById').mockResolvedValue({ _id: patientId, allergies: ['Penicillin'] });
+    });
+
+    it('should reject a medication the patient is allergic to', async () => {
+      await expect(prescribeMedication({ params: { id: patientId }, query: {}, body, user: nurse }, res))
+        .rejects.toMatchObject({
+          status: 409,
+          message: "The medication conflicts with the patient's allergies",
+          extensions: { allergies: ['Penicillin'] }
+        });
+    });
+
+    it('should keep the overridden allergies on the order', async () => {
+      await prescribeMedication({ params: { id: patientId }, query: { overrideAllergies: 'true' }, body, user: nurse }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const order = res.json.mock.calls[0][0];
+      expect(order.allergyOverrides).toEqual(['Penicillin']);
+      expect(order.status).toBe('active');
+      expect(recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ entity: 'MedicationOrder' }));
+    });
+  });
+
+  describe('recordAdministration', () => {
+    it('should record the dose of the order given by the current user', async () => {
+      const order = new MedicationOrder({ patientId, name: 'Paracetamol', dose: 1, doseUnit: 'g', route: 'oral', frequencyHours: 6 });
+      jest.spyOn(MedicationOrder, 'findOne').mockResolvedValue(order);
+
+      await recordAdministration({ params: { id: patientId, orderId: order._id }, body: {}, user: nurse }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ dose: 1, status: 'given', orderId: order._id, givenBy: nurse });
+    });
+
+    it('should refuse doses for a stopped medication', async () => {
+      jest.spyOn(MedicationOrder, 'findOne').mockResolvedValue({ status: 'stopped' });
+
+      await expect(recordAdministration({ params: { id: patientId, orderId: 'o1' }, body: {}, user: nurse }, res))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('stopMedication', () => {
+    it('should stop an active order once', async () => {
+      const order = new MedicationOrder({ patientId, name: 'Paracetamol', dose: 1, doseUnit: 'g', route: 'oral', frequencyHours: 6 });
+      jest.spyOn(MedicationOrder, 'findOne').mockResolvedValue(order);
+      const req = { params: { id: patientId, orderId: order._id }, user: nurse };
+
+      await stopMedication(req, res);
+
+      expect(res.json.mock.calls[0][0]).toMatchObject({ status: 'stopped', stoppedBy: nurse });
+      await expect(stopMedication(req, res)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('getMedications', () => {
+    it('should reject an unknown status', async () => {
+      await expect(getMedications({ params: { id: patientId }, query: { status: 'paused' } }, res))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { parseListQuery, paginate, encodeCursor, decodeCursor } from '../service/pagination.js';
+
+describe('Pagination', () => {
+  const listOptions = { sortFields: ['name', 'age'], defaultSort: 'name' };
+
+  describe('parseListQuery', () => {
+    it('should apply the default limit and sort', () => {
+      expect(parseListQuery({}, listOptions)).toEqual({ limit: 20, cursor: null, sortField: 'name', direction: 1 });
+    });
+
+    it('should parse a descending sort and a cursor', () => {
+      const cursor = encodeCursor(42, 'abc');
+      expect(parseListQuery({ sort: '-age', limit: '5', cursor }, listOptions))
+        .toEqual({ limit: 5, cursor: { v: 42, id: 'abc' }, sortField: 'age', direction: -1 });
+    });
+
+    it('should report invalid parameters', () => {
+      expect(parseListQuery({ limit: '0' }, listOptions).error).toBeDefined();
+      expect(parseListQuery({ sort: 'phoneNumber' }, listOptions).error).toBeDefined();
+      expect(parseListQuery({ cursor: 'not-a-cursor' }, listOptions).error).toBe('Invalid cursor');
+    });
+  });
+
+  describe('decodeCursor', () => {
+    it('should round-trip an encoded cursor', () => {
+      expect(decodeCursor(encodeCursor('2024-01-01T00:00:00.000Z', 'id1')))
+        .toEqual({ v: '2024-01-01T00:00:00.000Z', id: 'id1' });
+    });
+  });
+
+  describe('paginate', () => {
+    const mockModel = (documents, total) => {
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(documents)
+      };
+      return {
+        query,
+        find: jest.fn().mockReturnValue(query),
+        countDocuments: jest.fn().mockResolvedValue(total)
+      };
+    };
+
+    it('should return the next cursor when there are more results', async () => {
+      const model = mockModel([{ _id: '1', age: 30 }, { _id: '2', age: 40 }, { _id: '3', age: 50 }], 3);
+
+      const page = await paginate(model, {}, { limit: 2, cursor: null, sortField: 'age', direction: 1 });
+
+      expect(model.query.limit).toHaveBeenCalledWith(3);
+      expect(page.data).toHaveLength(2);
+      expect(page.meta).toMatchObject({ total: 3, limit: 2, sort: 'age' });
+      expect(decodeCursor(page.meta.nextCursor)).toEqual({ v: 40, id: '2' });
+    });
+
+    it('should continue after the cursor position', async () => {
+      const model = mockModel([], 3);
+
+      const page = await paginate(model, { gender: 'male' }, {
+        limit: 2, cursor: { v: 40, id: '2' }, sortField: 'age', direction: -1
+      });
+
+      expect(model.find).toHaveBeenCalledWith({
+        $and: [{ gender: 'male' }, {
+          $or: [{ age: { $lt: 40 } }, { age: 40, _id: { $lt: '2' } }]
+        }]
+      });
+      expect(model.countDocuments).toHaveBeenCalledWith({ gender: 'male' });
+      expect(page.meta.nextCursor).toBeNull();
+    });
+  });
+});
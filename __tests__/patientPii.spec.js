@@ -0,0 +1,124 @@
+import { randomBytes } from 'crypto';
+import { checkKeys, encrypt, decrypt, isEncrypted, isEncryptedWithCurrentKey } from '../service/fieldEncryption.js';
+import { maskPatient, maskSearchResult, isMasked } from '../service/piiMasking.js';
+import Patient from '../model/patientModel.js';
+import Alert from '../model/alertModel.js';
+
+describe('Patient PII', () => {
+  const oldKey = `2025-01:${randomBytes(32).toString('base64')}`;
+  const newKey = `2026-10:${randomBytes(32).toString('base64')}`;
+
+  beforeEach(() => {
+    process.env.PII_ENCRYPTION_KEYS = newKey;
+    process.env.PII_INDEX_KEY = 'test-index-key';
+  });
+
+  describe('field encryption', () => {
+    it('should encrypt a value differently each time and decrypt it', () => {
+      const first = encrypt('Jane Doe');
+      const second = encrypt('Jane Doe');
+
+      expect(first).not.toBe(second);
+      expect(first).not.toContain('Jane');
+      expect(decrypt(first)).toBe('Jane Doe');
+      expect(decrypt('Jane Doe')).toBe('Jane Doe');
+    });
+
+    it('should still decrypt values encrypted with an older key after a rotation', () => {
+      process.env.PII_ENCRYPTION_KEYS = oldKey;
+      const encrypted = encrypt('555-010-1234');
+
+      process.env.PII_ENCRYPTION_KEYS = `${newKey},${oldKey}`;
+      expect(decrypt(encrypted)).toBe('555-010-1234');
+      expect(isEncryptedWithCurrentKey(encrypted)).toBe(false);
+      expect(isEncryptedWithCurrentKey(encrypt('555-010-1234'))).toBe(true);
+
+      process.env.PII_ENCRYPTION_KEYS = newKey;
+      expect(() => decrypt(encrypted)).toThrow('PII_ENCRYPTION_KEYS has no key "2025-01"');
+    });
+
+    it('should check that the keys are configured and valid', () => {
+      expect(() => checkKeys()).not.toThrow();
+
+      process.env.PII_ENCRYPTION_KEYS = `${newKey},2025-01:c2hvcnQ=`;
+      expect(() => checkKeys()).toThrow('PII_ENCRYPTION_KEYS has an invalid key "2025-01"');
+
+      process.env.PII_ENCRYPTION_KEYS = newKey;
+      delete process.env.PII_INDEX_KEY;
+      expect(() => checkKeys()).toThrow('PII_INDEX_KEY is not configured');
+    });
+
+    it('should refuse a tampered value', () => {
+      const encrypted = encrypt('Jane Doe');
+      const tampered = encrypted.slice(0, -4) + (encrypted.endsWith('AAA=') ? 'BBB=' : 'AAA=');
+
+      expect(() => decrypt(tampered)).toThrow();
+    });
+  });
+
+  describe('patient model', () => {
+    it('should only write the PII encrypted, with its blind index', async () => {
+      const insertOne = jest.spyOn(Patient.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+      const patient = new Patient({ name: 'Jane Doe', age: 40, gender: 'female', phoneNumber: '555-010-1234' });
+
+      await patient.save();
+
+      const stored = insertOne.mock.calls[0][0];
+      expect(isEncrypted(stored.name)).toBe(true);
+      expect(isEncrypted(stored.phoneNumber)).toBe(true);
+      expect(stored.piiIndex.length).toBeGreaterThan(0);
+      expect(patient.name).toBe('Jane Doe');
+      expect(patient.isModified('name')).toBe(false);
+      expect(patient.toJSON()).not.toHaveProperty('piiIndex');
+
+      const loaded = Patient.hydrate(stored);
+      expect(loaded.name).toBe('Jane Doe');
+      expect(loaded.phoneNumber).toBe('555-010-1234');
+    });
+
+    it('should refuse to change the PII through a query update', async () => {
+      await expect(Patient.updateOne({}, { $set: { name: 'Jane Roe' } })).rejects.toThrow('by saving the patient');
+    });
+  });
+
+  describe('alert model', () => {
+    it('should only write the patient name encrypted', async () => {
+      const insertOne = jest.spyOn(Alert.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+      const alert = new Alert({ patientId: '64b7f0c2a1b2c3d4e5f60718', patientName: 'Jane Doe', type: 'critical' });
+
+      await alert.save();
+
+      const stored = insertOne.mock.calls[0][0];
+      expect(isEncrypted(stored.patientName)).toBe(true);
+      expect(alert.patientName).toBe('Jane Doe');
+      expect(Alert.hydrate(stored).patientName).toBe('Jane Doe');
+    });
+  });
+
+  describe('masking', () => {
+    it('should mask the name, address and phone number', () => {
+      expect(maskPatient({ _id: 'p1', name: 'Jane Mary Doe', address: '1 Main St', phoneNumber: '(555) 010-1234', age: 40 }))
+        .toEqual({ _id: 'p1', name: 'J*** M*** D***', address: '***', phoneNumber: '***-***-1234', age: 40 });
+    });
+
+    it('should drop the highlights of masked fields from search results', () => {
+      const result = {
+        patient: { _id: 'p1', name: 'Jane Doe' },
+        score: 3,
+        highlights: { name: '<mark>Jane</mark> Doe', medicalHistory: ['<mark>Asthma</mark>'] }
+      };
+
+      expect(maskSearchResult(result)).toEqual({
+        patient: { _id: 'p1', name: 'J*** D***' },
+        score: 3,
+        highlights: { medicalHistory: ['<mark>Asthma</mark>'] }
+      });
+    });
+
+    it('should only unmask for the allowed roles that ask for it', () => {
+      expect(isMasked({ query: {}, user: { role: 'doctor' } })).toBe(true);
+      expect(isMasked({ query: { unmask: 'true' }, user: { role: 'nurse' } })).toBe(false);
+      expect(() => isMasked({ query: { unmask: 'true' }, user: { role: 'auditor' } })).toThrow(expect.objectContaining({ status: 403 }));
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { buildPatientReport, renderReportHtml, renderReportPdf } from '../service/patientReport.js';
+import { DEFAULT_RULES } from '../service/ruleEngine.js';
+
+// Mock the models, the report is built from the documents it is given
+jest.mock('../model/patientModel.js');
+jest.mock('../model/testsModel.js');
+jest.mock('../model/ruleModel.js');
+
+describe('Patient report', () => {
+  const rules = DEFAULT_RULES.map((rule, index) => ({ ...rule, _id: `rule${index}`, version: 1 }));
+  const patient = {
+    _id: 'p1',
+    name: 'Jane <Doe>',
+    age: 42,
+    gender: 'female',
+    ward: 'ICU',
+    medicalHistory: ['Asthma'],
+    criticalCondition: true,
+    criticalReasons: ['BP 190/110 high'],
+    earlyWarningScore: { score: 6, risk: 'medium', trend: 'rising' }
+  };
+
+  // Tests, most recent first
+  const tests = [
+    { _id: 't3', type: 'Blood Pressure', systolic: 190, diastolic: 110, unit: 'mmHg', date: new Date('2026-10-19T10:00:00Z') },
+    { _id: 't2', type: 'Heartbeat Rate', value: 72, unit: 'bpm', date: new Date('2026-10-19T09:00:00Z') },
+    { _id: 't1', type: 'Heartbeat Rate', value: 130, unit: 'bpm', date: new Date('2026-10-18T09:00:00Z') }
+  ];
+
+  it('should list the latest reading of each type and every abnormal reading', () => {
+    const report = buildPatientReport(patient, tests, rules);
+
+    expect(report.status).toEqual({
+      critical: true,
+      reasons: ['BP 190/110 high'],
+      earlyWarningScore: { score: 6, risk: 'medium', trend: 'rising' }
+    });
+    expect(report.latestReadings.map((reading) => [reading.type, reading.value, reading.severity])).toEqual([
+      ['Blood Pressure', '190/110', 'critical'],
+      ['Heartbeat Rate', '72', null]
+    ]);
+    expect(report.abnormalReadings.map((reading) => reading.flags.map((flag) => flag.threshold))).toEqual([
+      ['systolic above 180'],
+      ['above 100']
+    ]);
+  });
+
+  it('should render the report as HTML with abnormal readings highlighted', () => {
+    const html = renderReportHtml(buildPatientReport(patient, tests, rules));
+
+    expect(html).toContain('<h2>Jane &lt;Doe&gt;</h2>');
+    expect(html).toContain('<tr class="critical">');
+    expect(html).toContain('critical: systolic above 180');
+    expect(html).toContain('Early-warning score 6 (medium risk, rising)');
+  });
+
+  it('should render the report as a PDF', async () => {
+    const pdf = await renderReportPdf(buildPatientReport(patient, tests, rules));
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
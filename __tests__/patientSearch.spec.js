@@ -0,0 +1,90 @@
+import { editDistance, termSimilarity, candidateFilter, scorePatient, findMatchingPatients } from '../service/patientSearch.js';
+import { buildPiiIndex } from '../service/patientPii.js';
+import { searchPatients } from '../controller/hospitalController.js';
+import Patient from '../model/patientModel.js';
+
+// Mock the Patient model
+jest.mock('../model/patientModel.js');
+jest.mock('../model/testsModel.js');
+jest.mock('../model/auditLogModel.js');
+
+describe('Patient search', () => {
+  const jane = { _id: 'p1', name: 'Jane Doe', phoneNumber: '(555) 010-0200', address: '1 Main St', medicalHistory: ['Asthma', 'Type 2 diabetes'] };
+  const john = { _id: 'p2', name: 'John Smith', phoneNumber: '555-777-1234', address: '9 Doe Road', medicalHistory: [] };
+
+  beforeAll(() => {
+    process.env.PII_INDEX_KEY = 'test-index-key';
+  });
+
+  // Whether a candidate filter finds a patient through their blind index
+  const finds = (filter, patient) => filter.piiIndex.$in.some((entry) => buildPiiIndex(patient).includes(entry));
+
+  describe('editDistance', () => {
+    it('should count a swap of adjacent letters as one edit', () => {
+      expect(editDistance('jhon', 'john')).toBe(1);
+      expect(editDistance('smith', 'smyth')).toBe(1);
+      expect(editDistance('doe', 'jane')).toBe(3);
+    });
+  });
+
+  describe('termSimilarity', () => {
+    it('should rank exact words above prefixes and typos', () => {
+      expect(termSimilarity('jane', 'jane')).toBe(1);
+      expect(termSimilarity('ja', 'jane')).toBe(0.9);
+      expect(termSimilarity('jnae', 'jane')).toBe(0.75);
+      expect(termSimilarity('doe', 'dor')).toBe(0);
+    });
+  });
+
+  describe('candidateFilter', () => {
+    it('should match a word with a wrong, missing, extra or swapped letter, or its start', () => {
+      ['john', 'jhon', 'joohn', 'jahn', 'jo', 'smyth', 'road'].forEach((term) => expect(finds(candidateFilter([term]), john)).toBe(true));
+      expect(finds(candidateFilter(['jane']), john)).toBe(false);
+    });
+
+    it('should match phone numbers on their digits', () => {
+      expect(finds(candidateFilter(['555', '0100']), jane)).toBe(true);
+      expect(finds(candidateFilter(['555', '0100']), john)).toBe(false);
+    });
+  });
+
+  describe('scorePatient', () => {
+    it('should highlight the matching words of every field', () => {
+      const { score, highlights } = scorePatient(jane, ['jnae', 'diabetes']);
+
+      expect(score).toBe(4.25);
+      expect(highlights).toEqual({
+        name: '<mark>Jane</mark> Doe',
+        medicalHistory: ['Type 2 <mark>diabetes</mark>']
+      });
+    });
+
+    it('should match a phone number whatever its separators', () => {
+      const { highlights } = scorePatient(jane, ['5550100200']);
+
+      expect(highlights.phoneNumber).toBe('<mark>(555) 010-0200</mark>');
+    });
+  });
+
+  describe('findMatchingPatients', () => {
+    it('should merge the text and typo matches and rank them', async () => {
+      Patient.find = jest.fn()
+        .mockReturnValueOnce({ limit: jest.fn().mockResolvedValue([john]) })
+        .mockReturnValueOnce({ limit: jest.fn().mockResolvedValue([jane, john]) });
+
+      const results = await findMatchingPatients('Doe', { limit: 10, filter: { archived: { $ne: true } } });
+
+      expect(Patient.find.mock.calls[0][0]).toEqual({ archived: { $ne: true }, $text: { $search: 'doe' } });
+      expect(results.map((result) => [result.patient._id, result.score])).toEqual([['p1', 3], ['p2', 1]]);
+      expect(results[1].highlights).toEqual({ address: '9 <mark>Doe</mark> Road' });
+    });
+  });
+
+  describe('searchPatients', () => {
+    it('should require a query of at least 2 characters', async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await expect(searchPatients({ query: { q: 'j' } }, res)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { evaluatePatientStatus, refreshPatientStatus } from '../service/patientStatus.js';
+import { DEFAULT_RULES } from '../service/ruleEngine.js';
+import Patient from '../model/patientModel.js';
+import Test from '../model/testsModel.js';
+import Rule from '../model/ruleModel.js';
+import { raiseAlert } from '../service/alerts.js';
+
+// Mock the Patient, Test and Rule models and the alerts
+jest.mock('../model/patientModel.js');
+jest.mock('../model/testsModel.js');
+jest.mock('../model/ruleModel.js');
+jest.mock('../service/alerts.js');
+
+describe('Patient status', () => {
+  const patientId = '64b7f0c2a1b2c3d4e5f60718';
+
+  // Mock the patient returned when reading the previous score
+  const mockPatient = (patient) => {
+    Patient.findById = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue(patient)
+    });
+    Patient.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: patientId });
+  };
+
+  beforeEach(() => {
+    raiseAlert.mockClear();
+    Rule.find = jest.fn().mockResolvedValue(
+      DEFAULT_RULES.map((rule, index) => ({ ...rule, _id: `rule${index}`, version: 1 }))
+    );
+  });
+
+  it('should evaluate the latest reading of every test type together', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([
+      { _id: 't1', type: 'Blood Oxygen Level', value: 88 },
+      { _id: 't2', type: 'Blood Pressure', systolic: 190, diastolic: 110 },
+      { _id: 't3', type: 'Heartbeat Rate', value: 72 }
+    ]);
+
+    const status = await evaluatePatientStatus(patientId);
+
+    expect(status.criticalCondition).toBe(true);
+    expect(status.criticalReasons).toEqual(['SpO2 88 low', 'BP 190/110 high']);
+    expect(status.flags).toHaveLength(2);
+  });
+
+  it('should not clear a critical reading when another type is normal', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([
+      { _id: 't1', type: 'Blood Pressure', systolic: 200, diastolic: 90 },
+      { _id: 't2', type: 'Heartbeat Rate', value: 80 }
+    ]);
+    mockPatient({});
+
+    await refreshPatientStatus(patientId);
+
+    const update = Patient.findOneAndUpdate.mock.calls[0][1];
+    expect(update.$set).toMatchObject({
+      criticalCondition: true,
+      criticalReasons: ['BP 200/90 high']
+    });
+  });
+
+  it('should clear the critical condition when every reading is normal', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([
+      { _id: 't1', type: 'Respiratory Rate', value: 16 }
+    ]);
+    mockPatient({});
+
+    await refreshPatientStatus(patientId);
+
+    const update = Patient.findOneAndUpdate.mock.calls[0][1];
+    expect(update.$set).toMatchObject({
+      criticalCondition: false,
+      criticalReasons: [],
+      flags: []
+    });
+  });
+
+  it('should store the early-warning score with its trend', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([
+      { _id: 't1', type: 'Respiratory Rate', value: 26 },
+      { _id: 't2', type: 'Heartbeat Rate', value: 115 }
+    ]);
+    mockPatient({ earlyWarningScore: { score: 2 } });
+
+    await refreshPatientStatus(patientId);
+
+    const update = Patient.findOneAndUpdate.mock.calls[0][1];
+    expect(update.$set.earlyWarningScore).toMatchObject({
+      score: 5,
+      risk: 'medium',
+      previousScore: 2,
+      trend: 'rising'
+    });
+    expect(update.$push.scoreHistory.$each[0]).toMatchObject({ score: 5, risk: 'medium' });
+  });
+
+  it('should raise an alert when the patient becomes critical', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([
+      { _id: 't1', type: 'Blood Oxygen Level', value: 85 }
+    ]);
+    const patient = { _id: patientId, name: 'Jane', ward: 'ICU', criticalCondition: false };
+    mockPatient(patient);
+
+    await refreshPatientStatus(patientId);
+
+    expect(raiseAlert).toHaveBeenCalledWith(patient, {
+      criticalCondition: true,
+      criticalReasons: ['SpO2 85 low']
+    });
+  });
+
+  it('should not raise an alert when the critical condition is unchanged', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([
+      { _id: 't1', type: 'Blood Oxygen Level', value: 85 }
+    ]);
+    mockPatient({ criticalCondition: true });
+
+    await refreshPatientStatus(patientId);
+
+    expect(raiseAlert).not.toHaveBeenCalled();
+  });
+
+  it('should only update the patient if their critical condition is still the one read', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([
+      { _id: 't1', type: 'Blood Oxygen Level', value: 85 }
+    ]);
+    mockPatient({ criticalCondition: false });
+
+    await refreshPatientStatus(patientId);
+
+    expect(Patient.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: patientId, criticalCondition: { $ne: true } });
+  });
+
+  it('should leave the patient\'s version, and so its ETag, as it is', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([]);
+    mockPatient({ criticalCondition: false });
+
+    await refreshPatientStatus(patientId);
+
+    expect(Patient.findOneAndUpdate.mock.calls[0][2]).toMatchObject({ versioned: false });
+  });
+
+  it('should not raise a second alert when a concurrent refresh stored the change first', async () => {
+    Test.aggregate = jest.fn().mockResolvedValue([
+      { _id: 't1', type: 'Blood Oxygen Level', value: 85 }
+    ]);
+    Patient.findById = jest.fn()
+      .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ _id: patientId, criticalCondition: false }) })
+      .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ _id: patientId, criticalCondition: true }) });
+    Patient.findOneAndUpdate = jest.fn()
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ _id: patientId });
+
+    await refreshPatientStatus(patientId);
+
+    expect(Patient.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(Patient.findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: patientId, criticalCondition: true });
+    expect(raiseAlert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,179 @@
+import { evaluateTest, DEFAULT_RULES } from '../service/ruleEngine.js';
+import mongoose from 'mongoose';
+import { addRule, updateRule, deleteRule, getRuleHistory } from '../controller/rulesController.js';
+import Rule from '../model/ruleModel.js';
+
+// Mock the Rule model
+jest.mock('../model/ruleModel.js');
+
+const { default: ActualRule } = jest.requireActual('../model/ruleModel.js');
+
+describe('Clinical rules', () => {
+  let req, res;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: {},
+      query: {}
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  describe('evaluateTest', () => {
+    const rules = DEFAULT_RULES.map((rule, index) => ({ ...rule, _id: `rule${index}`, version: 2 }));
+
+    it('should flag a critical blood pressure with the triggering rule version', () => {
+      const flags = evaluateTest({ _id: 't1', type: 'Blood Pressure', systolic: 190, diastolic: 80 }, rules);
+
+      expect(flags).toHaveLength(1);
+      expect(flags[0]).toMatchObject({
+        testId: 't1',
+        metric: 'systolic',
+        value: 190,
+        direction: 'high',
+        severity: 'critical',
+        rule: 'rule0',
+        ruleVersion: 2
+      });
+    });
+
+    it('should not flag readings inside the bands', () => {
+      expect(evaluateTest({ type: 'Heartbeat Rate', value: 72 }, rules)).toEqual([]);
+    });
+
+    it('should keep the most severe band breached', () => {
+      const rule = {
+        _id: 'r',
+        testType: 'Blood Oxygen Level',
+        metric: 'value',
+        version: 1,
+        bands: [{ severity: 'warning', min: 95 }, { severity: 'critical', min: 90 }]
+      };
+
+      expect(evaluateTest({ type: 'Blood Oxygen Level', value: 93 }, [rule])[0].severity).toBe('warning');
+      expect(evaluateTest({ type: 'Blood Oxygen Level', value: 88 }, [rule])[0].severity).toBe('critical');
+    });
+
+    it('should skip missing readings', () => {
+      expect(evaluateTest({ type: 'Blood Pressure', systolic: 120 }, rules)).toEqual([]);
+    });
+  });
+
+  describe('addRule', () => {
+    it('should add a new rule successfully', async () => {
+      const mockRule = { _id: 'r1', testType: 'Heartbeat Rate', metric: 'value', version: 1 };
+      Rule.mockImplementation(() => ({
+        save: jest.fn().mockResolvedValue(mockRule)
+      }));
+
+      req.body = { testType: 'Heartbeat Rate', metric: 'value', bands: [{ severity: 'critical', max: 120 }] };
+      await addRule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(mockRule);
+    });
+  });
+
+  describe('updateRule', () => {
+    it('should keep the previous version and increment the version', async () => {
+      const oldBands = [{ severity: 'critical', min: 60, max: 100 }];
+      const rule = {
+        version: 1,
+        description: 'Heart rate',
+        bands: oldBands,
+        history: [],
+        save: jest.fn().mockImplementation(function () { return Promise.resolve(this); })
+      };
+      Rule.findById = jest.fn().mockResolvedValue(rule);
+
+      req.params.ruleId = 'r1';
+      req.body = { bands: [{ severity: 'critical', min: 50, max: 110 }] };
+      await updateRule(req, res);
+
+      expect(rule.version).toBe(2);
+      expect(rule.history).toEqual([expect.objectContaining({ version: 1, bands: oldBands })]);
+      expect(rule.bands).toEqual(req.body.bands);
+      expect(res.json).toHaveBeenCalledWith(rule);
+    });
+
+    it('should return 404 when the rule does not exist', async () => {
+      Rule.findById = jest.fn().mockResolvedValue(null);
+
+      req.params.ruleId = 'missing';
+      await expect(updateRule(req, res)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should refuse to change an archived rule', async () => {
+      Rule.findById = jest.fn().mockResolvedValue({ archived: true, history: [] });
+
+      req.params.ruleId = 'r1';
+      await expect(updateRule(req, res)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should not save a version over one saved concurrently', async () => {
+      const rule = ActualRule.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        __v: 0,
+        testType: 'Heartbeat Rate',
+        metric: 'value',
+        version: 1,
+        bands: [{ severity: 'critical', min: 60, max: 100 }],
+        history: []
+      });
+      const updateOne = jest.spyOn(ActualRule.collection, 'updateOne')
+        .mockResolvedValue({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+
+      rule.bands = [{ severity: 'critical', min: 50, max: 110 }];
+      rule.version += 1;
+
+      await expect(rule.save()).rejects.toBeInstanceOf(mongoose.Error.VersionError);
+      expect(updateOne.mock.calls[0][0]).toMatchObject({ __v: 0 });
+    });
+  });
+
+  describe('band validation', () => {
+    it('should refuse a band whose max is below its min', () => {
+      const rule = new ActualRule({
+        testType: 'Heartbeat Rate',
+        metric: 'value',
+        bands: [{ severity: 'critical', min: 100, max: 60 }]
+      });
+
+      expect(rule.validateSync().errors['bands.0.max'].message).toBe('max must not be below min');
+    });
+  });
+
+  describe('deleteRule', () => {
+    it('should archive the rule rather than delete it', async () => {
+      const rule = { archived: false, save: jest.fn().mockResolvedValue() };
+      Rule.findById = jest.fn().mockResolvedValue(rule);
+
+      req.params.ruleId = 'r1';
+      await deleteRule(req, res);
+
+      expect(rule).toMatchObject({ archived: true, archivedAt: expect.any(Date) });
+      expect(rule.save).toHaveBeenCalled();
+      expect(Rule.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRuleHistory', () => {
+    it('should list previous versions followed by the current one', async () => {
+      Rule.findById = jest.fn().mockResolvedValue({
+        version: 2,
+        bands: [],
+        history: [{ version: 1, bands: [] }]
+      });
+
+      req.params.ruleId = 'r1';
+      await getRuleHistory(req, res);
+
+      const versions = res.json.mock.calls[0][0];
+      expect(versions.map((version) => version.version)).toEqual([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { EventEmitter } from 'events';
+import { securityHeaders, corsPolicy, rateLimit, trustProxy } from '../middleware/securityMiddleware.js';
+import { requestLogger } from '../middleware/loggingMiddleware.js';
+
+describe('Security middleware', () => {
+  let res, next;
+
+  beforeEach(() => {
+    delete process.env.CORS_ORIGINS;
+    delete process.env.HSTS_MAX_AGE_SECONDS;
+    res = { set: jest.fn(), setHeader: jest.fn(), getHeader: jest.fn() };
+    next = jest.fn();
+  });
+
+  describe('securityHeaders', () => {
+    it('should send the security headers, with HSTS unless disabled', () => {
+      securityHeaders()({}, res, next);
+
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Strict-Transport-Security': 'max-age=31536000; includeSubDomains'
+      }));
+
+      process.env.HSTS_MAX_AGE_SECONDS = '0';
+      securityHeaders()({}, res, next);
+      expect(res.set.mock.calls[1][0]).not.toHaveProperty('Strict-Transport-Security');
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('corsPolicy', () => {
+    const allowedOrigin = (origin) => {
+      corsPolicy()({ method: 'GET', headers: { origin } }, res, next);
+      return res.setHeader.mock.calls.find(([name]) => name === 'Access-Control-Allow-Origin')?.[1];
+    };
+
+    it('should only allow the configured origins', () => {
+      process.env.CORS_ORIGINS = 'https://ward.example.org, https://admin.example.org';
+
+      expect(allowedOrigin('https://admin.example.org')).toBe('https://admin.example.org');
+      res.setHeader.mockClear();
+      expect(allowedOrigin('https://evil.example.com')).toBeUndefined();
+    });
+
+    it('should allow no origin when none is configured', () => {
+      expect(allowedOrigin('https://ward.example.org')).toBeUndefined();
+    });
+  });
+
+  describe('rateLimit', () => {
+    it('should answer the requests over the limit with 429 until the window ends', () => {
+      let time = 60000;
+      const limit = rateLimit({ max: 2, windowSeconds: 60, now: () => time });
+
+      limit({ ip: '10.0.0.1' }, res, next);
+      limit({ ip: '10.0.0.1' }, res, next);
+      limit({ ip: '10.0.0.2' }, res, next);
+      time += 15000;
+      limit({ ip: '10.0.0.1' }, res, next);
+
+      expect(next.mock.calls.slice(0, 3)).toEqual([[], [], []]);
+      expect(next.mock.calls[3][0]).toMatchObject({ status: 429 });
+      expect(res.set).toHaveBeenCalledWith('Retry-After', 45);
+
+      time += 45000;
+      limit({ ip: '10.0.0.1' }, res, next);
+      expect(next.mock.calls[4]).toEqual([]);
+    });
+  });
+
+  describe('trustProxy', () => {
+    it('should read booleans, numbers of proxies and addresses', () => {
+      expect(trustProxy(undefined)).toBe(false);
+      expect(trustProxy('true')).toBe(true);
+      expect(trustProxy('1')).toBe(1);
+      expect(trustProxy('loopback')).toBe('loopback');
+    });
+  });
+
+  describe('requestLogger', () => {
+    it('should log the request without its query string', () => {
+      const log = jest.fn();
+      const req = {
+        method: 'GET',
+        originalUrl: '/api/patients/search?q=Jane%20Doe',
+        correlationId: 'c-1',
+        user: { id: 'u1', role: 'nurse' },
+        ip: '10.0.0.1'
+      };
+      const response = Object.assign(new EventEmitter(), { statusCode: 200, get: () => '512' });
+
+      requestLogger({ enabled: true, log })(req, response, next);
+      response.emit('finish');
+      response.emit('close');
+
+      expect(log).toHaveBeenCalledTimes(1);
+      expect(log.mock.calls[0][0]).not.toContain('Jane');
+      expect(JSON.parse(log.mock.calls[0][0])).toMatchObject({
+        level: 'info',
+        requestId: 'c-1',
+        method: 'GET',
+        path: '/api/patients/search',
+        status: 200,
+        latencyMs: expect.any(Number),
+        bytes: 512,
+        userId: 'u1',
+        role: 'nurse'
+      });
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { validateBody, validateObjectIdParam } from '../middleware/validationMiddleware.js';
+import { modelToOpenApi } from '../service/openApiSchema.js';
+import { ValidationError } from '../service/errors.js';
+import Patient from '../model/patientModel.js';
+import Test from '../model/testsModel.js';
+
+describe('Request validation', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { body: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  describe('validateBody', () => {
+    it('should accept a valid patient', () => {
+      req.body = { name: 'John Doe', age: 30, gender: 'male', medicalHistory: ['Asthma'] };
+      validateBody(Patient)(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should list every unknown, read-only and invalid field', () => {
+      req.body = { name: 'John Doe', age: 'thirty', condition: 'stable', criticalCondition: true };
+      validateBody(Patient)(req, res, next);
+
+      const error = next.mock.calls[0][0];
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.status).toBe(422);
+      expect(error.extensions.errors).toEqual(expect.arrayContaining([
+        { field: 'condition', message: 'Unknown field' },
+        { field: 'criticalCondition', message: 'Field is read-only' },
+        { field: 'age', message: 'Expected a value of type Number' },
+        expect.objectContaining({ field: 'gender' })
+      ]));
+    });
+
+    it('should only validate the fields sent for a partial update', () => {
+      req.body = { age: 31 };
+      validateBody(Patient, { partial: true })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should not let clients move a test to another patient', () => {
+      req.body = { patientId: '64b7f0c2a1b2c3d4e5f60718' };
+      validateBody(Test, { partial: true })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ValidationError));
+    });
+
+    it('should accept a new test without a patientId, which comes from the URL', () => {
+      req.body = { type: 'Heartbeat Rate', value: '72' };
+      validateBody(Test)(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('validateObjectIdParam', () => {
+    it('should accept an ObjectId', () => {
+      validateObjectIdParam(req, res, next, '64b7f0c2a1b2c3d4e5f60718', 'id');
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject anything else with a 400 naming the parameter', () => {
+      validateObjectIdParam(req, res, next, 'abcdefghijkl', 'testId');
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400, message: 'testId must be a valid ObjectId' }));
+    });
+  });
+
+  describe('modelToOpenApi', () => {
+    it('should document the model fields and mark server-managed ones read-only', () => {
+      const schema = modelToOpenApi(Patient);
+
+      expect(schema.required).toEqual(['name', 'age', 'gender']);
+      expect(schema.properties).not.toHaveProperty('condition');
+      expect(schema.properties.medicalHistory).toEqual({ type: 'array', items: { type: 'string' } });
+      expect(schema.properties.criticalCondition.readOnly).toBe(true);
+    });
+  });
+});
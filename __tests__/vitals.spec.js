@@ -0,0 +1,76 @@
+import { buildVitalsPipeline, trendDirection, toSeries } from '../service/vitals.js';
+
+// Mock the Test model
+jest.mock('../model/testsModel.js');
+
+describe('Vital signs', () => {
+  describe('buildVitalsPipeline', () => {
+    it('should match the patient, types and date range and group by bucket', () => {
+      const from = new Date('2026-10-01');
+      const to = new Date('2026-10-19');
+      const [match, group] = buildVitalsPipeline('64b000000000000000000001', {
+        types: ['Heartbeat Rate'],
+        from,
+        to,
+        bucket: 'hour'
+      });
+
+      expect(String(match.$match.patientId)).toBe('64b000000000000000000001');
+      expect(match.$match).toMatchObject({
+        type: { $in: ['Heartbeat Rate'] },
+        archived: { $ne: true },
+        date: { $gte: from, $lte: to }
+      });
+      expect(group.$group._id.bucket).toEqual({ $dateTrunc: { date: '$date', unit: 'hour' } });
+    });
+
+    it('should not filter on date when no range is given', () => {
+      const [match] = buildVitalsPipeline('64b000000000000000000001', { types: [], bucket: 'day' });
+
+      expect(match.$match.date).toBeUndefined();
+    });
+  });
+
+  describe('trendDirection', () => {
+    it('should detect rising and falling series', () => {
+      expect(trendDirection([70, 80, 95])).toBe('rising');
+      expect(trendDirection([98, 94, 89])).toBe('falling');
+    });
+
+    it('should treat small changes and single points as stable', () => {
+      expect(trendDirection([98, 97, 98, 97])).toBe('stable');
+      expect(trendDirection([120])).toBe('stable');
+    });
+  });
+
+  describe('toSeries', () => {
+    it('should build one series per type with blood pressure split into systolic and diastolic', () => {
+      const series = toSeries([
+        {
+          _id: { type: 'Blood Pressure', bucket: new Date('2026-10-18') },
+          count: 2,
+          systolicMin: 120, systolicMax: 130, systolicAvg: 125,
+          diastolicMin: 80, diastolicMax: 90, diastolicAvg: 85
+        },
+        {
+          _id: { type: 'Blood Pressure', bucket: new Date('2026-10-19') },
+          count: 1,
+          systolicMin: 160, systolicMax: 160, systolicAvg: 160,
+          diastolicMin: 85, diastolicMax: 85, diastolicAvg: 85
+        },
+        { _id: { type: 'Heartbeat Rate', bucket: new Date('2026-10-19') }, count: 3, min: 70, max: 90, avg: 80.333 }
+      ], 'day');
+
+      expect(series).toHaveLength(2);
+      expect(series[0]).toMatchObject({
+        type: 'Blood Pressure',
+        unit: 'mmHg',
+        bucket: 'day',
+        trend: { systolic: 'rising', diastolic: 'stable' }
+      });
+      expect(series[0].points[1].systolic).toEqual({ min: 160, max: 160, avg: 160 });
+      expect(series[1].points[0]).toMatchObject({ count: 3, min: 70, max: 90, avg: 80.3 });
+      expect(series[1].trend).toBe('stable');
+    });
+  });
+});
@@ -0,0 +1,239 @@
+import http from 'http';
+import { retryDelay, signPayload, attemptDelivery, dispatchEvent, retryDueDeliveries, startWebhookDispatch } from '../service/webhooks.js';
+import eventBus, { DOMAIN_EVENT } from '../service/eventBus.js';
+import Webhook from '../model/webhookModel.js';
+import WebhookDelivery from '../model/webhookDeliveryModel.js';
+
+// Mock the Webhook and WebhookDelivery models
+jest.mock('../model/webhookModel.js');
+jest.mock('../model/webhookDeliveryModel.js');
+
+describe('Webhooks', () => {
+  let receiver, url, received, responseStatus;
+
+  // Start a local stub receiver recording the callbacks it gets
+  beforeAll(async () => {
+    receiver = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => { body += chunk; });
+      request.on('end', () => {
+        received.push({ headers: request.headers, body });
+        response.writeHead(responseStatus);
+        response.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+  });
+
+  // Build a delivery as logged before its first attempt
+  const mockDelivery = (fields = {}) => {
+    const delivery = {
+      _id: 'd1',
+      event: 'patient.created',
+      payload: { id: 'd1', event: 'patient.created', data: { name: 'Jane' } },
+      status: 'pending',
+      attempts: [],
+      ...fields
+    };
+    delivery.save = jest.fn().mockResolvedValue(delivery);
+    return delivery;
+  };
+
+  describe('retryDelay', () => {
+    it('should double the delay after each attempt', () => {
+      expect(retryDelay(1)).toBe(30000);
+      expect(retryDelay(2)).toBe(60000);
+      expect(retryDelay(3)).toBe(120000);
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    it('should post the payload signed with the webhook secret', async () => {
+      const delivery = mockDelivery();
+
+      await attemptDelivery(delivery, { url, secret: 'shh' });
+
+      expect(received).toHaveLength(1);
+      const { headers, body } = received[0];
+      expect(JSON.parse(body)).toEqual(delivery.payload);
+      expect(headers['x-wellcare-event']).toBe('patient.created');
+      expect(headers['x-wellcare-delivery']).toBe('d1');
+      expect(headers['x-wellcare-signature'])
+        .toBe(`sha256=${signPayload('shh', headers['x-wellcare-timestamp'], body)}`);
+
+      expect(delivery.status).toBe('succeeded');
+      expect(delivery.deliveredAt).toBeInstanceOf(Date);
+      expect(delivery.attempts[0].statusCode).toBe(200);
+      expect(delivery.save).toHaveBeenCalled();
+    });
+
+    it('should schedule a retry when the receiver fails', async () => {
+      responseStatus = 500;
+      const delivery = mockDelivery();
+      const before = Date.now();
+
+      await attemptDelivery(delivery, { url, secret: 'shh' });
+
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts[0]).toMatchObject({ statusCode: 500, error: 'Receiver responded with 500' });
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + retryDelay(1));
+    });
+
+    it('should fail the delivery once every attempt was made', async () => {
+      responseStatus = 503;
+      const delivery = mockDelivery({ attempts: [{}, {}, {}, {}] });
+
+      await attemptDelivery(delivery, { url, secret: 'shh' });
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(5);
+      expect(delivery.nextAttemptAt).toBeUndefined();
+    });
+
+    it('should record the error when the receiver cannot be reached', async () => {
+      const delivery = mockDelivery();
+
+      await attemptDelivery(delivery, { url: 'http://127.0.0.1:1/hook', secret: 'shh' });
+
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts[0].statusCode).toBeUndefined();
+      expect(delivery.attempts[0].error).toBeTruthy();
+    });
+  });
+
+  describe('dispatchEvent', () => {
+    it('should log and deliver the event to every subscribed webhook', async () => {
+      const select = jest.fn().mockResolvedValue([{ _id: 'w1', url, secret: 'shh' }]);
+      Webhook.find = jest.fn().mockReturnValue({ select });
+      WebhookDelivery.mockImplementation((fields) => mockDelivery({ ...fields, attempts: [] }));
+      const before = Date.now();
+
+      const [delivery] = await dispatchEvent({
+        event: 'test.created',
+        data: { _id: 't1', type: 'Heartbeat Rate', value: 80 },
+        occurredAt: new Date('2026-10-19T12:00:00Z')
+      });
+
+      expect(Webhook.find).toHaveBeenCalledWith({ active: true, events: 'test.created' });
+      expect(select).toHaveBeenCalledWith('+secret');
+      expect(delivery).toMatchObject({ webhook: 'w1', event: 'test.created', status: 'succeeded' });
+      // The delivery was logged claimed by its first attempt, past the request timeout
+      expect(WebhookDelivery.mock.calls[0][0].nextAttemptAt.getTime()).toBeGreaterThan(before + 10000);
+      expect(JSON.parse(received[0].body)).toMatchObject({
+        event: 'test.created',
+        occurredAt: '2026-10-19T12:00:00.000Z',
+        data: { _id: 't1', type: 'Heartbeat Rate', value: 80 }
+      });
+    });
+
+    it('should leave the patient\'s name, address and phone number out of the payload', async () => {
+      const select = jest.fn().mockResolvedValue([{ _id: 'w1', url, secret: 'shh' }]);
+      Webhook.find = jest.fn().mockReturnValue({ select });
+      WebhookDelivery.mockImplementation((fields) => mockDelivery({ ...fields, attempts: [] }));
+
+      const [patientDelivery, alertDelivery] = [
+        ...await dispatchEvent({
+          event: 'patient.created',
+          data: { _id: 'p1', name: 'Jane Doe', address: '1 Main St', phoneNumber: '555-0100', age: 40 },
+          occurredAt: new Date()
+        }),
+        ...await dispatchEvent({
+          event: 'patient.critical',
+          data: { _id: 'a1', patientId: 'p1', patientName: 'Jane Doe', type: 'critical' },
+          occurredAt: new Date()
+        })
+      ];
+
+      expect(patientDelivery.payload.data).toEqual({ _id: 'p1', age: 40 });
+      expect(alertDelivery.payload.data).toEqual({ _id: 'a1', patientId: 'p1', type: 'critical' });
+      expect(received.map(({ body }) => body).join()).not.toContain('Jane');
+    });
+  });
+
+  describe('retryDueDeliveries', () => {
+    it('should retry due deliveries and abandon those of inactive webhooks', async () => {
+      const due = mockDelivery({ webhook: { url, secret: 'shh', active: true }, attempts: [{}] });
+      const abandoned = mockDelivery({ _id: 'd2', webhook: { url, secret: 'shh', active: false } });
+      WebhookDelivery.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue([due, abandoned])
+      });
+      WebhookDelivery.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+
+      await retryDueDeliveries();
+
+      expect(received).toHaveLength(1);
+      expect(due.status).toBe('succeeded');
+      expect(abandoned.status).toBe('failed');
+      expect(abandoned.attempts).toHaveLength(0);
+    });
+
+    it('should skip the deliveries claimed by another attempt', async () => {
+      const now = new Date();
+      const claimed = mockDelivery({ webhook: { url, secret: 'shh', active: true } });
+      WebhookDelivery.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue([claimed])
+      });
+      WebhookDelivery.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await retryDueDeliveries(now)).toBe(0);
+
+      expect(WebhookDelivery.updateOne).toHaveBeenCalledWith(
+        { _id: 'd1', status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: expect.any(Date) } }
+      );
+      expect(received).toHaveLength(0);
+      expect(claimed.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startWebhookDispatch', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+      eventBus.removeAllListeners(DOMAIN_EVENT);
+    });
+
+    it('should not start a retry check while the previous one is running', () => {
+      jest.useFakeTimers();
+      WebhookDelivery.find = jest.fn().mockReturnValue({ populate: () => new Promise(() => {}) });
+
+      const timer = startWebhookDispatch();
+      jest.advanceTimersByTime(45000);
+      clearInterval(timer);
+
+      expect(WebhookDelivery.find).toHaveBeenCalledTimes(1);
+    });
+
+    it('should log failed dispatches as JSON with the job and event they failed in', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      Webhook.find = jest.fn().mockReturnValue({
+        select: jest.fn().mockRejectedValue(new Error('Connection to "mongodb://admin:secret@db" failed'))
+      });
+
+      const timer = startWebhookDispatch();
+      clearInterval(timer);
+      eventBus.emit(DOMAIN_EVENT, { event: 'patient.created', data: { name: 'Jane Doe' }, occurredAt: new Date() });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const line = consoleError.mock.calls[0][0];
+      expect(line).not.toMatch(/secret|Jane/);
+      expect(JSON.parse(line)).toMatchObject({
+        level: 'error',
+        msg: 'background job failed',
+        job: 'webhook dispatch',
+        event: 'patient.created',
+        error: { name: 'Error', message: 'Connection to "[redacted]" failed' }
+      });
+      consoleError.mockRestore();
+    });
+  });
+});
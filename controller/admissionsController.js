@@ -0,0 +1,196 @@
+/**
+ * Admissions Controller
+ *
+ * Description: This module contains controller functions for admitting, transferring and
+ * discharging patients (ADT). Each movement is recorded on the patient's admission, the bed
+ * is claimed and released in the same transaction, and the patient's ward and bed are kept up
+ * to date so that lists and alerts can be filtered by ward.
+ */
+
+import mongoose from "mongoose";
+import Admission from "../model/admissionModel.js";
+import Ward from "../model/wardModel.js";
+import Bed from "../model/bedModel.js";
+import Patient from "../model/patientModel.js";
+import { recordAudit } from "../service/auditLog.js";
+import { publishEvent } from "../service/eventBus.js";
+import { BadRequestError, NotFoundError, ConflictError } from "../service/errors.js";
+
+// Describe the authenticated user for the movements they record
+const currentUser = (req) => (req.user ? { id: req.user.id, username: req.user.username, role: req.user.role } : undefined);
+
+// Claim a free bed of a ward for a patient, returning null when it is not available
+const claimBed = (bedId, wardId, patientId, session) => Bed.findOneAndUpdate(
+  { _id: bedId, wardId, active: true, patientId: null },
+  { patientId },
+  { new: true, session }
+);
+
+// Release the bed a patient occupies
+const releaseBed = (bedId, patientId, session) => Bed.updateOne({ _id: bedId, patientId }, { patientId: null }, { session });
+
+// Run a patient movement in a transaction and send the response
+// The movement returns the admission to record, or throws to refuse the request, which rolls
+// back the transaction in case it had already claimed a bed
+const runMovement = async (req, res, { action, event, move }) => {
+  const session = await mongoose.startSession();
+  try {
+    let result = null;
+    let before = null;
+
+    await session.withTransaction(async () => {
+      const patient = await Patient.findById(req.params.id, null, { session });
+      if (!patient || patient.archived) throw new NotFoundError('Patient not found');
+
+      const current = patient.admissionId ? await Admission.findById(patient.admissionId, null, { session }) : null;
+      before = current ? current.toObject() : null;
+      result = await move(patient, current, session);
+    });
+
+    await recordAudit(req, {
+      action,
+      entity: 'Admission',
+      entityId: result._id,
+      patientId: result.patientId,
+      before: action === 'create' ? undefined : before,
+      after: result
+    });
+    publishEvent(event, result);
+
+    res.status(action === 'create' ? 201 : 200).json(result);
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Find the ward and optional bed a patient moves to, claiming the bed
+const findDestination = async (req, patient, session) => {
+  const { wardId, bedId } = req.body || {};
+  if (!mongoose.isValidObjectId(wardId)) throw new BadRequestError('wardId must be a ward ID');
+  if (bedId != null && !mongoose.isValidObjectId(bedId)) throw new BadRequestError('bedId must be a bed ID');
+
+  const ward = await Ward.findById(wardId, null, { session });
+  if (!ward) throw new NotFoundError('Ward not found');
+
+  let bed = null;
+  if (bedId != null) {
+    bed = await claimBed(bedId, ward._id, patient._id, session);
+    if (!bed) throw new ConflictError('Bed is not available on this ward');
+  }
+  return { ward, bed };
+};
+
+// Record a movement on an admission and update the patient's ward and bed
+const recordMovement = async (admission, patient, movement, session) => {
+  admission.movements.push(movement);
+  await admission.save({ session });
+
+  const admitted = admission.status === 'active';
+  await Patient.findByIdAndUpdate(patient._id, {
+    admissionId: admitted ? admission._id : null,
+    ward: admitted ? movement.wardName : null,
+    bed: admitted ? movement.bedLabel ?? null : null
+  }, { session });
+
+  return admission;
+};
+
+// Admit a patient to a ward, and to one of its beds when bedId is given
+const admitPatient = (req, res) => runMovement(req, res, {
+  action: 'create',
+  event: 'patient.admitted',
+  move: async (patient, current, session) => {
+    if (current) throw new ConflictError('Patient is already admitted');
+
+    const { ward, bed } = await findDestination(req, patient, session);
+
+    const admission = new Admission({
+      patientId: patient._id,
+      reason: req.body.reason,
+      wardId: ward._id,
+      bedId: bed?._id
+    });
+    return recordMovement(admission, patient, {
+      type: 'admission',
+      wardId: ward._id,
+      wardName: ward.name,
+      bedId: bed?._id,
+      bedLabel: bed?.label,
+      at: admission.admittedAt,
+      notes: req.body.reason,
+      by: currentUser(req)
+    }, session);
+  }
+});
+
+// Transfer an admitted patient to another ward or bed
+const transferPatient = (req, res) => runMovement(req, res, {
+  action: 'update',
+  event: 'patient.transferred',
+  move: async (patient, current, session) => {
+    if (!current) throw new ConflictError('Patient is not admitted');
+    if (String(req.body.wardId) === String(current.wardId) && String(req.body.bedId ?? '') === String(current.bedId ?? '')) {
+      throw new BadRequestError('Patient is already on this ward and bed');
+    }
+
+    // The current bed is released first so that the patient can move within their ward
+    if (current.bedId) await releaseBed(current.bedId, patient._id, session);
+
+    const { ward, bed } = await findDestination(req, patient, session);
+
+    current.wardId = ward._id;
+    current.bedId = bed?._id ?? null;
+    return recordMovement(current, patient, {
+      type: 'transfer',
+      wardId: ward._id,
+      wardName: ward.name,
+      bedId: bed?._id,
+      bedLabel: bed?.label,
+      at: new Date(),
+      notes: req.body.notes,
+      by: currentUser(req)
+    }, session);
+  }
+});
+
+// Discharge an admitted patient, releasing their bed
+const dischargePatient = (req, res) => runMovement(req, res, {
+  action: 'update',
+  event: 'patient.discharged',
+  move: async (patient, current, session) => {
+    if (!current) throw new ConflictError('Patient is not admitted');
+
+    if (current.bedId) await releaseBed(current.bedId, patient._id, session);
+
+    // The discharge is recorded against the ward the patient leaves
+    const movement = {
+      type: 'discharge',
+      wardId: current.wardId,
+      wardName: patient.ward,
+      at: new Date(),
+      notes: req.body?.notes,
+      by: currentUser(req)
+    };
+    current.status = 'discharged';
+    current.dischargedAt = movement.at;
+    current.wardId = null;
+    current.bedId = null;
+    return recordMovement(current, patient, movement, session);
+  }
+});
+
+// Retrieve a patient's admissions with every movement, most recent first
+const getPatientAdmissions = async (req, res) => {
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) throw new NotFoundError('Patient not found');
+
+  const admissions = await Admission.find({ patientId: patient._id }).sort({ admittedAt: -1 });
+  res.json(admissions);
+};
+
+export {
+  admitPatient,
+  transferPatient,
+  dischargePatient,
+  getPatientAdmissions,
+};
@@ -0,0 +1,89 @@
+/**
+ * Alerts Controller
+ *
+ * Description: This module contains controller functions for patient alerts. Clients can
+ * subscribe to a Server-Sent Events stream of alerts filtered by ward or patient, list
+ * previous alerts and acknowledge them. The patient's name is masked unless ?unmask=true is
+ * passed by a role allowed to see it.
+ */
+
+import Alert from "../model/alertModel.js";
+import eventBus from "../service/eventBus.js";
+import { ALERT_EVENT, publishAlert, matchesAlertFilter } from "../service/alerts.js";
+import { parseListQuery, paginate } from "../service/pagination.js";
+import { alertPolicy } from "../service/piiMasking.js";
+import { BadRequestError, NotFoundError, ConflictError } from "../service/errors.js";
+
+// Interval of the comments keeping idle alert streams open through proxies
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Build the alert list filter from the query parameters
+const alertListFilter = (query) => {
+  const filter = {};
+  if (query.ward) filter.ward = query.ward;
+  if (query.patientId) filter.patientId = query.patientId;
+  if (query.type) filter.type = query.type;
+  if (query.acknowledged !== undefined) filter.acknowledged = query.acknowledged === 'true';
+  if (query.escalated !== undefined) filter.escalated = query.escalated === 'true';
+  return filter;
+};
+
+// Stream alerts to the client as Server-Sent Events
+// Supports ?ward=<ward> and ?patientId=<id> to only receive matching alerts
+const streamAlerts = (req, res) => {
+  const subscription = { ward: req.query.ward, patientId: req.query.patientId };
+  const present = alertPolicy(req);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = ({ event, alert }) => {
+    if (!matchesAlertFilter(alert, subscription)) return;
+    res.write(`id: ${alert._id}\nevent: ${event}\ndata: ${JSON.stringify(present(alert))}\n\n`);
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+
+  eventBus.on(ALERT_EVENT, send);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventBus.off(ALERT_EVENT, send);
+  });
+};
+
+// Retrieve alerts, most recent first
+// Supports ?ward, ?patientId, ?type, ?acknowledged=true|false and ?escalated=true|false
+const getAlerts = async (req, res) => {
+  const present = alertPolicy(req);
+  const options = parseListQuery(req.query, { sortFields: ['createdAt'], defaultSort: '-createdAt' });
+  if (options.error) throw new BadRequestError(options.error);
+
+  const page = await paginate(Alert, alertListFilter(req.query), options);
+  res.json({ ...page, data: page.data.map(present) });
+};
+
+// Acknowledge an alert on behalf of the authenticated user
+const acknowledgeAlert = async (req, res) => {
+  const present = alertPolicy(req);
+  const alert = await Alert.findById(req.params.id);
+  if (!alert) throw new NotFoundError('Alert not found');
+  if (alert.acknowledged) throw new ConflictError('Alert already acknowledged');
+
+  alert.acknowledged = true;
+  alert.acknowledgedBy = { id: req.user.id, username: req.user.username, role: req.user.role };
+  alert.acknowledgedAt = new Date();
+  const savedAlert = await alert.save();
+
+  publishAlert('alert.acknowledged', savedAlert);
+  res.json(present(savedAlert));
+};
+
+export {
+  streamAlerts,
+  getAlerts,
+  acknowledgeAlert,
+};
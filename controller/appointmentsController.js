@@ -0,0 +1,188 @@
+/**
+ * Appointments Controller
+ *
+ * Description: This module contains controller functions for booking, rescheduling and
+ * cancelling patient appointments with a provider, and for listing them by day, provider or
+ * patient. A time slot already booked for the provider or the patient is refused, the slot being
+ * checked and saved in one transaction so that concurrent bookings cannot both take it.
+ */
+
+import mongoose from "mongoose";
+import Appointment, { PROVIDER_ROLES } from "../model/appointmentModel.js";
+import Patient from "../model/patientModel.js";
+import User from "../model/userModel.js";
+import { dayRange, findConflicts, lockSchedules } from "../service/appointments.js";
+import { parseListQuery, paginate } from "../service/pagination.js";
+import { recordAudit } from "../service/auditLog.js";
+import { publishEvent } from "../service/eventBus.js";
+import { BadRequestError, NotFoundError, ConflictError, ValidationError } from "../service/errors.js";
+
+// Fields that can be changed when rescheduling an appointment
+const RESCHEDULE_FIELDS = ['start', 'durationMinutes', 'providerId'];
+
+// Check that a provider can be booked, throwing the problem found
+const checkProvider = async (providerId) => {
+  const provider = await User.findById(providerId);
+  if (!provider) throw new NotFoundError('Provider not found');
+  if (!provider.active || !PROVIDER_ROLES.includes(provider.role)) {
+    throw new BadRequestError('Provider must be an active doctor or nurse');
+  }
+};
+
+// Save an appointment if its slot is in the future and free, throwing the problem found
+// The schedules are locked before the slot is checked, so a concurrent booking of the slot
+// makes this transaction retry and find it taken
+const saveInFreeSlot = async (appointment) => {
+  if (appointment.start <= new Date()) {
+    throw new BadRequestError('Appointments must start in the future');
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await lockSchedules(appointment, session);
+
+      const conflicts = await findConflicts(appointment, { excludeId: appointment._id, session });
+      if (conflicts.length > 0) {
+        throw new ConflictError('The time slot is already booked', { conflicts });
+      }
+
+      await appointment.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Build the appointment list filter from the query parameters
+const appointmentListFilter = (query) => {
+  const filter = {};
+  if (query.date) filter.start = dayRange(query.date);
+  if (query.providerId) filter.providerId = query.providerId;
+  if (query.patientId) filter.patientId = query.patientId;
+  if (query.status) filter.status = query.status;
+  return filter;
+};
+
+// Retrieve a page of appointments in time order
+// Supports ?date=YYYY-MM-DD, ?providerId, ?patientId and ?status
+const getAppointments = async (req, res) => {
+  const options = parseListQuery(req.query, { sortFields: ['start'], defaultSort: 'start' });
+  if (options.error) throw new BadRequestError(options.error);
+  if (req.query.date && !dayRange(req.query.date)) {
+    throw new BadRequestError('date must be a day in the YYYY-MM-DD format');
+  }
+
+  const page = await paginate(Appointment, appointmentListFilter(req.query), options);
+  res.json(page);
+};
+
+// Retrieve a specific appointment by its ID
+const getAppointmentById = async (req, res) => {
+  const appointment = await Appointment.findById(req.params.appointmentId);
+  if (!appointment) throw new NotFoundError('Appointment not found');
+  res.json(appointment);
+};
+
+// Book an appointment for a patient with a provider
+const bookAppointment = async (req, res) => {
+  const patient = await Patient.findById(req.body.patientId);
+  if (!patient || patient.archived) throw new NotFoundError('Patient not found');
+
+  await checkProvider(req.body.providerId);
+
+  const appointment = new Appointment({
+    patientId: req.body.patientId,
+    providerId: req.body.providerId,
+    start: req.body.start,
+    durationMinutes: req.body.durationMinutes,
+    reason: req.body.reason
+  });
+  // Validating also calculates the end of the time slot
+  await appointment.validate();
+
+  await saveInFreeSlot(appointment);
+
+  await recordAudit(req, {
+    action: 'create',
+    entity: 'Appointment',
+    entityId: appointment._id,
+    patientId: appointment.patientId,
+    after: appointment
+  });
+  publishEvent('appointment.booked', appointment);
+
+  res.status(201).json(appointment);
+};
+
+// Move a booked appointment to another time slot, duration or provider
+const rescheduleAppointment = async (req, res) => {
+  const errors = Object.keys(req.body)
+    .filter((field) => !RESCHEDULE_FIELDS.includes(field))
+    .map((field) => ({ field, message: 'Field cannot be changed when rescheduling' }));
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  const appointment = await Appointment.findById(req.params.appointmentId);
+  if (!appointment) throw new NotFoundError('Appointment not found');
+  if (appointment.status !== 'booked') {
+    throw new ConflictError('Only booked appointments can be rescheduled');
+  }
+
+  if (req.body.providerId !== undefined) {
+    await checkProvider(req.body.providerId);
+  }
+
+  const before = appointment.toObject();
+  appointment.set(req.body);
+  // Validating also calculates the end of the new time slot
+  await appointment.validate();
+
+  await saveInFreeSlot(appointment);
+
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'Appointment',
+    entityId: appointment._id,
+    patientId: appointment.patientId,
+    before,
+    after: appointment
+  });
+  publishEvent('appointment.rescheduled', appointment);
+
+  res.json(appointment);
+};
+
+// Cancel a booked appointment, freeing its time slot
+const cancelAppointment = async (req, res) => {
+  const appointment = await Appointment.findById(req.params.appointmentId);
+  if (!appointment) throw new NotFoundError('Appointment not found');
+  if (appointment.status !== 'booked') {
+    throw new ConflictError('Only booked appointments can be cancelled');
+  }
+
+  const before = appointment.toObject();
+  appointment.status = 'cancelled';
+  appointment.cancelledAt = new Date();
+  appointment.cancellationReason = req.body?.reason;
+  await appointment.save();
+
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'Appointment',
+    entityId: appointment._id,
+    patientId: appointment.patientId,
+    before,
+    after: appointment
+  });
+  publishEvent('appointment.cancelled', appointment);
+
+  res.json(appointment);
+};
+
+export {
+  getAppointments,
+  getAppointmentById,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+};
@@ -0,0 +1,101 @@
+/**
+ * Auth Controller
+ *
+ * Description: This module contains controller functions for logging in and managing the
+ * staff accounts of the WellCare hospital management system. Logging in issues a signed
+ * token that must be sent with every other API request.
+ */
+
+import User from "../model/userModel.js";
+import { signToken } from "../service/authToken.js";
+import { BadRequestError, UnauthorizedError, NotFoundError } from "../service/errors.js";
+
+// Public view of a user, without the password hash
+const toUserResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  name: user.name,
+  role: user.role,
+  active: user.active
+});
+
+// Log a user in and issue a signed token
+const login = async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    throw new BadRequestError('Username and password are required');
+  }
+
+  const user = await User.findOne({ username: String(username).toLowerCase() }).select('+passwordHash');
+  if (!user || !user.active || !(await user.verifyPassword(password))) {
+    throw new UnauthorizedError('Invalid username or password');
+  }
+
+  res.json({ token: signToken(user), user: toUserResponse(user) });
+};
+
+// Retrieve the user the current token was issued to
+const getCurrentUser = async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError('User not found');
+  res.json(toUserResponse(user));
+};
+
+// Add a new staff account
+const addUser = async (req, res) => {
+  const user = new User({
+    username: req.body.username,
+    name: req.body.name,
+    role: req.body.role
+  });
+  if (!req.body.password) {
+    throw new BadRequestError('Password is required');
+  }
+  await user.setPassword(req.body.password);
+
+  const savedUser = await user.save();
+  res.status(201).json(toUserResponse(savedUser));
+};
+
+// Retrieve all staff accounts
+const getAllUsers = async (req, res) => {
+  const users = await User.find().sort({ username: 1 });
+  res.json(users.map(toUserResponse));
+};
+
+// Update a staff account's name, role, active flag or password
+const updateUser = async (req, res) => {
+  const user = await User.findById(req.params.userId);
+  if (!user) throw new NotFoundError('User not found');
+
+  if (req.body.name !== undefined) user.name = req.body.name;
+  if (req.body.role !== undefined) user.role = req.body.role;
+  if (req.body.active !== undefined) user.active = req.body.active;
+  if (req.body.password) await user.setPassword(req.body.password);
+
+  const savedUser = await user.save();
+  res.json(toUserResponse(savedUser));
+};
+
+// Create the first admin account from the environment if no user exists yet
+const seedAdminUser = async () => {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+
+  const count = await User.countDocuments();
+  if (count === 0) {
+    const admin = new User({ username: ADMIN_USERNAME, name: 'Administrator', role: 'admin' });
+    await admin.setPassword(ADMIN_PASSWORD);
+    await admin.save();
+    console.log(`Created admin user ${admin.username}`);
+  }
+};
+
+export {
+  login,
+  getCurrentUser,
+  addUser,
+  getAllUsers,
+  updateUser,
+  seedAdminUser,
+};
@@ -0,0 +1,265 @@
+/**
+ * FHIR Controller
+ *
+ * Description: This module contains controller functions for the HL7 FHIR R4 interface used
+ * to exchange data with other hospital systems. Patients are read as FHIR Patient resources,
+ * tests as Observation resources, and a transaction Bundle of patients and observations can
+ * be imported. Errors are reported as OperationOutcome resources.
+ */
+
+import mongoose from "mongoose";
+import Patient from "../model/patientModel.js";
+import Test from "../model/testsModel.js";
+import { loadPatientHistory } from "./hospitalController.js";
+import { validateAgainstModel } from "../middleware/validationMiddleware.js";
+import { reportError } from "../middleware/errorMiddleware.js";
+import { HttpError, NotFoundError, BadRequestError } from "../service/errors.js";
+import { findDuplicatePatients } from "../service/duplicatePatients.js";
+import { refreshPatientStatus } from "../service/patientStatus.js";
+import { recordAudit } from "../service/auditLog.js";
+import { publishEvent } from "../service/eventBus.js";
+import { piiPolicy } from "../service/piiMasking.js";
+import {
+  LOINC_CODES,
+  operationOutcome,
+  toBundle,
+  patientToFhir,
+  testToObservation,
+  fhirToPatient,
+  observationToTest
+} from "../service/fhir.js";
+
+// FHIR issue type reporting each HTTP error status, other statuses being reported as exceptions
+const ISSUE_CODES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  410: 'deleted',
+  412: 'conflict',
+  413: 'too-long',
+  415: 'not-supported',
+  422: 'invalid',
+  429: 'throttled'
+};
+
+// Send a FHIR resource
+const sendResource = (res, status, resource) => {
+  res.status(status).type('application/fhir+json').json(resource);
+};
+
+// Read the patient of a FHIR request, refusing malformed IDs and the patients the REST API hides
+// Archived patients, including the tombstones of merged ones, are gone as far as FHIR is concerned
+const findFhirPatient = async (id) => {
+  const patient = mongoose.Types.ObjectId.isValid(id) ? await Patient.findById(id) : null;
+  if (!patient) throw new NotFoundError('Patient not found');
+  if (patient.mergedInto) throw new HttpError(410, `Patient was merged into Patient/${patient.mergedInto}`);
+  if (patient.archived) throw new HttpError(410, 'Patient was archived');
+  return patient;
+};
+
+// Retrieve a patient as a FHIR Patient resource
+// The name, address and phone number are masked unless ?unmask=true is passed
+const getFhirPatient = async (req, res) => {
+  const present = piiPolicy(req);
+  const patient = await findFhirPatient(req.params.id);
+  sendResource(res, 200, patientToFhir(present(patient)));
+};
+
+// Search a patient's tests as FHIR Observation resources
+// Requires ?patient=<id> or ?patient=Patient/<id>, and supports ?code=<LOINC code>
+const searchFhirObservations = async (req, res) => {
+  const patientId = String(req.query.patient || '').replace(/^Patient\//, '');
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    throw new BadRequestError('The patient search parameter must be a patient ID');
+  }
+
+  const filter = { patientId, archived: { $ne: true } };
+  if (req.query.code) {
+    const code = String(req.query.code).replace(/^http:\/\/loinc\.org\|/, '');
+    filter.type = Object.keys(LOINC_CODES).find((type) => LOINC_CODES[type].code === code) || null;
+  }
+
+  const tests = await Test.find(filter).sort({ date: -1 });
+  sendResource(res, 200, toBundle('searchset', tests.map(testToObservation)));
+};
+
+// Retrieve everything about a patient as a FHIR Bundle of their Patient and Observation resources
+const getFhirPatientEverything = async (req, res) => {
+  const present = piiPolicy(req);
+  await findFhirPatient(req.params.id);
+  const history = await loadPatientHistory(req);
+  if (!history) throw new NotFoundError('Patient not found');
+
+  sendResource(res, 200, toBundle('searchset', [
+    patientToFhir(present(history.patient)),
+    ...history.tests.map(testToObservation)
+  ]));
+};
+
+// Map and validate the entries of an imported Bundle
+// Observations reference a patient of the Bundle by its fullUrl, or an existing patient
+// Patients that may duplicate an existing one are reported, as when registering a patient,
+// unless allowDuplicates is set
+const readBundle = async (bundle, { allowDuplicates = false } = {}) => {
+  const issues = [];
+  const records = [];
+
+  if (bundle?.resourceType !== 'Bundle' || !['transaction', 'batch'].includes(bundle.type)) {
+    issues.push({ code: 'structure', diagnostics: 'Body must be a transaction or batch Bundle' });
+    return { issues, records };
+  }
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  const bundlePatients = new Set(entries
+    .filter((entry) => entry?.fullUrl && entry.resource?.resourceType === 'Patient')
+    .map((entry) => entry.fullUrl));
+  const existingPatients = new Set();
+
+  entries.forEach((entry, index) => {
+    const path = `Bundle.entry[${index}].resource`;
+    const resource = entry?.resource;
+
+    if (resource?.resourceType === 'Patient') {
+      const fields = fhirToPatient(resource);
+      const errors = validateAgainstModel(Patient, fields);
+      errors.forEach((error) => {
+        issues.push({ diagnostics: `${error.field}: ${error.message}`, expression: path });
+      });
+      records.push({ entity: 'Patient', fields, fullUrl: entry.fullUrl, index, valid: errors.length === 0 });
+    } else if (resource?.resourceType === 'Observation') {
+      const { fields, issues: observationIssues } = observationToTest(resource, path);
+      issues.push(...observationIssues);
+      if (observationIssues.length === 0) {
+        validateAgainstModel(Test, fields).forEach((error) => {
+          issues.push({ diagnostics: `${error.field}: ${error.message}`, expression: path });
+        });
+      }
+
+      const reference = resource.subject?.reference;
+      const patientId = reference?.replace(/^Patient\//, '');
+      if (!reference) {
+        issues.push({ code: 'required', diagnostics: 'Observation subject is required', expression: `${path}.subject` });
+      } else if (!bundlePatients.has(reference)) {
+        if (mongoose.Types.ObjectId.isValid(patientId)) {
+          existingPatients.add(patientId);
+        } else {
+          issues.push({ code: 'not-found', diagnostics: `Unknown subject ${reference}`, expression: `${path}.subject` });
+        }
+      }
+      records.push({ entity: 'Test', fields, reference, patientId, index });
+    } else {
+      issues.push({ code: 'not-supported', diagnostics: 'Only Patient and Observation resources can be imported', expression: path });
+    }
+  });
+
+  // Observations of existing patients must reference a patient that exists and is not archived
+  if (existingPatients.size > 0) {
+    const found = await Patient.find({ _id: { $in: [...existingPatients] }, archived: { $ne: true } }).select('_id');
+    const foundIds = found.map((patient) => String(patient._id));
+    records
+      .filter((record) => record.entity === 'Test' && existingPatients.has(record.patientId) && !foundIds.includes(record.patientId))
+      .forEach((record) => {
+        issues.push({
+          code: 'not-found',
+          diagnostics: `Unknown subject ${record.reference}`,
+          expression: `Bundle.entry[${record.index}].resource.subject`
+        });
+      });
+  }
+
+  for (const record of records.filter(({ entity, valid }) => entity === 'Patient' && valid)) {
+    const duplicates = await findDuplicatePatients(record.fields);
+    if (duplicates.length === 0) continue;
+
+    const ids = duplicates.map((duplicate) => `Patient/${duplicate.patient._id}`).join(', ');
+    record.duplicateOf = ids;
+    if (!allowDuplicates) {
+      issues.push({ code: 'duplicate', diagnostics: `Possible duplicate of ${ids}`, expression: `Bundle.entry[${record.index}].resource` });
+    }
+  }
+
+  return { issues, records };
+};
+
+// Import a Bundle of Patient and Observation resources
+// Every entry is validated first, then all records are created in a single transaction,
+// so a batch Bundle is imported atomically as well
+// A Bundle whose only problem is possible duplicate patients is refused with 409, unless
+// ?allowDuplicates=true is passed
+const importFhirBundle = async (req, res) => {
+  const { issues, records } = await readBundle(req.body, { allowDuplicates: req.query.allowDuplicates === 'true' });
+  if (issues.length > 0) {
+    const status = issues.every((issue) => issue.code === 'duplicate') ? 409 : 422;
+    return sendResource(res, status, operationOutcome(issues));
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // Patients are created first so that observations can reference them by fullUrl
+      const createdPatients = new Map();
+      for (const record of records.filter(({ entity }) => entity === 'Patient')) {
+        [record.document] = await Patient.create([record.fields], { session });
+        if (record.fullUrl) createdPatients.set(record.fullUrl, record.document._id);
+      }
+      for (const record of records.filter(({ entity }) => entity === 'Test')) {
+        const patientId = createdPatients.get(record.reference) || record.patientId;
+        [record.document] = await Test.create([{ ...record.fields, patientId }], { session });
+      }
+    });
+
+    // Audit, publish and refresh the status of the imported records once they are committed
+    const testedPatients = new Set();
+    for (const { entity, document } of records) {
+      const patientId = entity === 'Patient' ? document._id : document.patientId;
+      await recordAudit(req, { action: 'create', entity, entityId: document._id, patientId, after: document });
+      publishEvent(entity === 'Patient' ? 'patient.created' : 'test.created', document);
+      if (entity === 'Test') testedPatients.add(String(patientId));
+    }
+    for (const patientId of testedPatients) {
+      await refreshPatientStatus(patientId);
+    }
+
+    sendResource(res, 200, {
+      resourceType: 'Bundle',
+      type: `${req.body.type}-response`,
+      entry: records.map(({ entity, document, duplicateOf }) => ({
+        response: {
+          status: '201 Created',
+          location: `${entity === 'Patient' ? 'Patient' : 'Observation'}/${document._id}`,
+          // Patients kept despite their duplicates are flagged so they can be merged later
+          ...(duplicateOf ? {
+            outcome: operationOutcome([{ severity: 'warning', code: 'duplicate', diagnostics: `Possible duplicate of ${duplicateOf}` }])
+          } : {})
+        }
+      }))
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Answer a failed FHIR request with an OperationOutcome rather than a problem details body
+// The error is mapped and logged as by the central error handler, and the outcome carries the
+// request's correlation ID
+const fhirErrorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const httpError = reportError(error, req);
+  const issues = httpError.extensions.errors
+    ? httpError.extensions.errors.map(({ field, message }) => ({ code: 'invalid', diagnostics: `${field}: ${message}` }))
+    : [{ code: ISSUE_CODES[httpError.status] || 'exception', diagnostics: httpError.message }];
+  issues.push({ severity: 'information', code: 'informational', diagnostics: `Correlation ID ${req.correlationId}` });
+
+  sendResource(res, httpError.status, operationOutcome(issues));
+};
+
+export {
+  getFhirPatient,
+  searchFhirObservations,
+  getFhirPatientEverything,
+  importFhirBundle,
+  fhirErrorHandler,
+};
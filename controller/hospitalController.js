@@ -9,208 +9,661 @@
  * patient information, adding and retrieving tests, and managing critical patient conditions.
  */
 
+import mongoose from "mongoose";
 import Test from "../model/testsModel.js";
 import Patient from "../model/patientModel.js";
+import AuditLog from "../model/auditLogModel.js";
+import Appointment from "../model/appointmentModel.js";
+import MedicationOrder from "../model/medicationOrderModel.js";
+import MedicationAdministration from "../model/medicationAdministrationModel.js";
+import Admission from "../model/admissionModel.js";
+import Bed from "../model/bedModel.js";
+import { evaluatePatientStatus, refreshPatientStatus } from "../service/patientStatus.js";
+import { recordAudit, decryptEntry, maskEntry, replayPatient } from "../service/auditLog.js";
+import { publishEvent } from "../service/eventBus.js";
+import { DEFAULT_LIMIT, MAX_LIMIT, parseListQuery, paginate } from "../service/pagination.js";
+import { CHARTABLE_TYPES, BUCKETS, getVitalSeries } from "../service/vitals.js";
+import { loadRules } from "../service/ruleEngine.js";
+import { buildPatientReport, renderReportHtml, renderReportPdf } from "../service/patientReport.js";
+import { tokenize, findMatchingPatients } from "../service/patientSearch.js";
+import { wordSearchEntries } from "../service/patientPii.js";
+import { isMasked, maskSearchResult, rejectMaskedValues, piiPolicy } from "../service/piiMasking.js";
+import { findDuplicatePatients, mergeEntries } from "../service/duplicatePatients.js";
+import { activeOrderFilter, loadMedications } from "../service/medications.js";
+import { BadRequestError, NotFoundError, ConflictError, PreconditionFailedError } from "../service/errors.js";
+import { setEtag, checkIfMatch, versionFilter, saveIfMatch, applyMergePatch } from "../service/concurrency.js";
+
+// Filter hiding archived records unless ?includeArchived=true is passed
+const archivedFilter = (req) => (req.query.includeArchived === 'true' ? {} : { archived: { $ne: true } });
+
+// Filter on the patient's ward and whether they are admitted, from ?ward=<name> and ?admitted=true|false
+const locationFilter = (req) => {
+  const filter = {};
+  if (req.query.ward) filter.ward = req.query.ward;
+  if (req.query.admitted !== undefined) filter.admissionId = req.query.admitted === 'true' ? { $ne: null } : null;
+  return filter;
+};
 
 // Add a new patient to the database
+// A patient matching an existing one on at least two of name, phone number and age is rejected
+// with the duplicate candidates, unless ?allowDuplicates=true is passed
+// The candidates and the created patient are masked like other patients unless ?unmask=true is passed
 const addPatient = async (req, res) => {
-  try {
-    const patient = new Patient(req.body);
-    const savedPatient = await patient.save();
-    res.status(201).json(savedPatient);
-  } catch (error) {
-    console.error("Error adding patient:", error);
-    res.status(400).json({ error: error.message });
+  const present = piiPolicy(req);
+  rejectMaskedValues(req.body);
+  const duplicates = await findDuplicatePatients(req.body);
+  if (duplicates.length > 0 && req.query.allowDuplicates !== 'true') {
+    throw new ConflictError('Possible duplicate patients found', {
+      duplicates: duplicates.map((duplicate) => ({ ...duplicate, patient: present(duplicate.patient) }))
+    });
+  }
+
+  const patient = new Patient(req.body);
+  const savedPatient = await patient.save();
+
+  await recordAudit(req, {
+    action: 'create',
+    entity: 'Patient',
+    entityId: savedPatient._id,
+    patientId: savedPatient._id,
+    after: savedPatient
+  });
+  publishEvent('patient.created', savedPatient);
+
+  // A registration kept despite its duplicates is flagged so it can be merged later
+  if (duplicates.length > 0) {
+    const ids = duplicates.map((duplicate) => duplicate.patient._id).join(', ');
+    res.set('Warning', `299 - "Possible duplicate of patients ${ids}"`);
+  }
+  res.status(201).json(present(savedPatient));
+};
+
+// Escape a search term so it can be used in a regular expression
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the patient list filter from the query parameters
+// Supports gender, minAge, maxAge, critical, ward, admitted and a name search on the start of
+// the words of the name, matched through the blind index of the encrypted name
+const patientListFilter = (req) => {
+  const { gender, minAge, maxAge, critical, name } = req.query;
+  const filter = { ...archivedFilter(req), ...locationFilter(req) };
+
+  if (gender) filter.gender = new RegExp(`^${escapeRegex(gender)}$`, 'i');
+  if (minAge !== undefined || maxAge !== undefined) {
+    filter.age = {};
+    if (minAge !== undefined) filter.age.$gte = Number(minAge);
+    if (maxAge !== undefined) filter.age.$lte = Number(maxAge);
   }
+  if (critical !== undefined) filter.criticalCondition = critical === 'true';
+  const nameWords = tokenize(name);
+  if (nameWords.length > 0) filter.piiIndex = { $all: wordSearchEntries('name', nameWords) };
+
+  return filter;
 };
 
-// Retrieve all patients from the database
+// Retrieve a page of patients, excluding archived patients by default
+// The encrypted name cannot be sorted on, so patients are listed in registration order
 const getAllPatients = async (req, res) => {
-  try {
-    const patients = await Patient.find();
-    res.json(patients);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const present = piiPolicy(req);
+  const options = parseListQuery(req.query, {
+    sortFields: ['age', 'createdAt', 'updatedAt'],
+    defaultSort: 'createdAt'
+  });
+  if (options.error) throw new BadRequestError(options.error);
+  if ([req.query.minAge, req.query.maxAge].some((age) => age !== undefined && isNaN(Number(age)))) {
+    throw new BadRequestError('minAge and maxAge must be numbers');
   }
+
+  const page = await paginate(Patient, patientListFilter(req), options);
+  res.json({ ...page, data: page.data.map(present) });
 };
 
-// Retrieve a specific patient by their ID
-const getPatientById = async (req, res) => {
-  try {
-    const patient = await Patient.findById(req.params.id);
-    if (!patient) return res.status(404).json({ message: 'Patient not found' });
-    res.json(patient);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Search patients by name, phone number, address and medical history, tolerating typos
+// Supports ?q=<text> and ?limit=<n>, and returns the best matches first with the matching words highlighted
+const searchPatients = async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (query.length < 2) {
+    throw new BadRequestError('q must be at least 2 characters long');
+  }
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadRequestError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
   }
+  const masked = isMasked(req);
+
+  const results = await findMatchingPatients(query, { limit, filter: archivedFilter(req) });
+  res.json({ data: masked ? results.map(maskSearchResult) : results, meta: { total: results.length, limit } });
+};
+
+// Retrieve a specific patient by their ID, with their version as the ETag
+const getPatientById = async (req, res) => {
+  const present = piiPolicy(req);
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) throw new NotFoundError('Patient not found');
+  setEtag(res, patient);
+  res.json(present(patient));
 };
 
 // Add a new test for a specific patient
+// Archived patients must be restored before tests are added for them
 const addTestForPatient = async (req, res) => {
-  try {
-    const test = new Test({
-      patientId: req.params.id,
-      type: req.body.type,
-      value: req.body.value
-    });
-    await test.save();
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) throw new NotFoundError('Patient not found');
+  if (patient.archived) throw new ConflictError('Patient must be restored before tests are added');
 
-    // Update the patient's critical condition based on the new test
-    await updatePatientCriticalCondition(req.params.id);
+  const test = new Test({
+    patientId: req.params.id,
+    type: req.body.type,
+    value: req.body.value,
+    systolic: req.body.systolic,
+    diastolic: req.body.diastolic,
+    level: req.body.level,
+    unit: req.body.unit
+  });
+  await test.save();
 
-    res.status(201).json(test);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+  await recordAudit(req, {
+    action: 'create',
+    entity: 'Test',
+    entityId: test._id,
+    patientId: test.patientId,
+    after: test
+  });
+  publishEvent('test.created', test);
+
+  // Update the patient's critical condition and score based on the new test
+  await refreshPatientStatus(req.params.id);
+
+  res.status(201).json(test);
 };
 
-// Retrieve all tests for a specific patient
+// Retrieve a page of tests for a specific patient
+// Supports filtering by type and by a from/to date range
 const getTestsForPatient = async (req, res) => {
-  try {
-    const tests = await Test.find({ patientId: req.params.id })
-  .select('type value date createdAt updatedAt')
-  .sort({ date: -1 });
-    res.json(tests);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const options = parseListQuery(req.query, {
+    sortFields: ['date', 'type', 'createdAt'],
+    defaultSort: '-date'
+  });
+  if (options.error) throw new BadRequestError(options.error);
+  if ([req.query.from, req.query.to].some((date) => date !== undefined && isNaN(new Date(date)))) {
+    throw new BadRequestError('from and to must be valid dates');
   }
+
+  const filter = { patientId: req.params.id, ...archivedFilter(req) };
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.from || req.query.to) {
+    filter.date = {};
+    if (req.query.from) filter.date.$gte = new Date(req.query.from);
+    if (req.query.to) filter.date.$lte = new Date(req.query.to);
+  }
+
+  const page = await paginate(Test, filter, {
+    ...options,
+    select: 'type value systolic diastolic level unit date archived createdAt updatedAt'
+  });
+  res.json(page);
+};
+
+// Retrieve a patient's vital signs aggregated into hourly or daily series for charting
+// Supports ?type=<test type>, ?from=<date>, ?to=<date> and ?bucket=hour|day (default day)
+const getPatientVitals = async (req, res) => {
+  const { type, from, to, bucket = 'day' } = req.query;
+  if (!BUCKETS.includes(bucket)) {
+    throw new BadRequestError(`bucket must be one of ${BUCKETS.join(', ')}`);
+  }
+  if (type && !CHARTABLE_TYPES.includes(type)) {
+    throw new BadRequestError(`type must be one of ${CHARTABLE_TYPES.join(', ')}`);
+  }
+  if ([from, to].some((date) => date !== undefined && isNaN(new Date(date)))) {
+    throw new BadRequestError('from and to must be valid dates');
+  }
+
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) throw new NotFoundError('Patient not found');
+
+  const series = await getVitalSeries(req.params.id, {
+    types: type ? [type] : CHARTABLE_TYPES,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    bucket
+  });
+
+  res.json({ patientId: patient._id, bucket, series });
+};
+
+// Load a patient's complete history (personal info and all tests) and record the read
+// Returns null when the patient does not exist
+const loadPatientHistory = async (req) => {
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) return null;
+
+  const tests = await Test.find({ patientId: req.params.id, ...archivedFilter(req) }).sort({ date: -1 });
+
+  await recordAudit(req, {
+    action: 'read',
+    entity: 'Patient',
+    entityId: patient._id,
+    patientId: patient._id
+  });
+
+  return { patient, tests };
 };
 
-// Retrieve a patient's complete history (personal info and all tests)
+// Retrieve a patient's complete history (personal info, all tests, booked appointments and active medications)
 const getPatientHistory = async (req, res) => {
-  try {
-    const patient = await Patient.findById(req.params.id);
-    if (!patient) return res.status(404).json({ message: 'Patient not found' });
+  const present = piiPolicy(req);
+  const history = await loadPatientHistory(req);
+  if (!history) throw new NotFoundError('Patient not found');
+
+  const appointments = await Appointment.find({ patientId: history.patient._id, status: 'booked' }).sort({ start: 1 });
+  const medications = await loadMedications({ patientId: history.patient._id, ...activeOrderFilter() });
+  res.json({ ...history, patient: present(history.patient), appointments, medications });
+};
+
+// Render a patient's summary report for discharge or handover
+// Supports ?format=pdf (default) or ?format=html
+const getPatientReport = async (req, res) => {
+  const format = req.query.format || 'pdf';
+  if (!['pdf', 'html'].includes(format)) {
+    throw new BadRequestError('format must be pdf or html');
+  }
+  const present = piiPolicy(req);
 
-    const tests = await Test.find({ patientId: req.params.id }).sort({ date: -1 });
+  const history = await loadPatientHistory(req);
+  if (!history) throw new NotFoundError('Patient not found');
 
-    const history = {
-      patient: patient,
-      tests: tests
-    };
+  const rules = await loadRules();
+  const report = buildPatientReport(present(history.patient), history.tests, rules);
 
-    res.json(history);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  if (format === 'html') {
+    return res.type('html').send(renderReportHtml(report));
   }
+  const pdf = await renderReportPdf(report);
+  res.set('Content-Disposition', `inline; filename="patient-${history.patient._id}-report.pdf"`);
+  res.type('pdf').send(pdf);
 };
 
-// Retrieve all patients in critical condition
+// Retrieve all patients in critical condition along with the reasons they were flagged
 const getCriticalPatients = async (req, res) => {
-  try {
-    const criticalPatients = await Patient.find({ criticalCondition: true });
-    res.json(criticalPatients);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-};
-
-// Helper function to update a patient's critical condition based on their latest test
-const updatePatientCriticalCondition = async (patientId) => {
-  const recentTests = await Test.find({ patientId: patientId }).sort({ date: -1 }).limit(1);
-  
-  if (recentTests.length > 0) {
-    const latestTest = recentTests[0];
-    let isCritical = false;
-
-    // Determine if the patient is in critical condition based on the test type and value
-    switch (latestTest.type) {
-      case 'Blood Pressure':
-        const [systolic, diastolic] = latestTest.value.split('/').map(Number);
-        isCritical = systolic > 180 || systolic < 90 || diastolic > 120 || diastolic < 60;
-        break;
-      case 'Respiratory Rate':
-        const rate = Number(latestTest.value);
-        isCritical = rate > 30 || rate < 12;
-        break;
-      case 'Blood Oxygen Level':
-        const oxygenLevel = Number(latestTest.value);
-        isCritical = oxygenLevel < 90;
-        break;
-      case 'Heartbeat Rate':
-        const heartRate = Number(latestTest.value);
-        isCritical = heartRate > 100 || heartRate < 60;
-        break;
-    }
-
-    // Update the patient's critical condition in the database
-    await Patient.findByIdAndUpdate(patientId, { criticalCondition: isCritical });
-  }
-};
-
-const updatePatient = async (req, res) => {
-  try {
-    const patient = await Patient.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
-    if (!patient) return res.status(404).json({ message: 'Patient not found' });
-    res.json(patient);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+  const present = piiPolicy(req);
+  const criticalPatients = await Patient.find({ criticalCondition: true, ...archivedFilter(req), ...locationFilter(req) });
+  res.json(criticalPatients.map(present));
+};
+
+// Retrieve a patient's current status derived from the latest reading of each test type
+const getPatientStatus = async (req, res) => {
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) throw new NotFoundError('Patient not found');
+
+  const status = await evaluatePatientStatus(req.params.id);
+  res.json(status);
+};
+
+// Retrieve a patient's early-warning score, its trend and previous scores
+const getPatientScore = async (req, res) => {
+  const present = piiPolicy(req);
+  const patient = await Patient.findById(req.params.id).select('name earlyWarningScore scoreHistory');
+  if (!patient) throw new NotFoundError('Patient not found');
+
+  res.json({
+    patientId: patient._id,
+    name: present(patient).name,
+    earlyWarningScore: patient.earlyWarningScore || null,
+    history: patient.scoreHistory
+  });
 };
 
-// Delete patient by ID
+// Rank all patients by early-warning score so nurses can triage by risk
+// Supports ?sort=asc|desc (default desc), ?risk=<level> and ?limit=<n>
+const getPatientScoreRanking = async (req, res) => {
+  const present = piiPolicy(req);
+  const direction = req.query.sort === 'asc' ? 1 : -1;
+  const filter = { 'earlyWarningScore.score': { $exists: true }, ...archivedFilter(req) };
+  if (req.query.risk) filter['earlyWarningScore.risk'] = req.query.risk;
+
+  let query = Patient.find(filter)
+    .select('name age gender criticalCondition earlyWarningScore')
+    .sort({ 'earlyWarningScore.score': direction, 'earlyWarningScore.calculatedAt': -1 });
+
+  const limit = parseInt(req.query.limit, 10);
+  if (limit > 0) query = query.limit(limit);
+
+  const patients = await query;
+  res.json(patients.map(present));
+};
+
+// Apply a change to a patient and save it
+// A request sent with If-Match is refused when the patient was changed since that version
+// Archived patients must be restored before being changed
+// The changed patient is masked unless ?unmask=true is passed, and masked values are refused
+const changePatient = async (req, res, change) => {
+  const present = piiPolicy(req);
+  rejectMaskedValues(req.body);
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) throw new NotFoundError('Patient not found');
+  if (patient.archived) throw new ConflictError('Patient must be restored before being changed');
+  checkIfMatch(req, patient);
+
+  const before = patient.toObject();
+  change(patient);
+  await saveIfMatch(req, patient);
+
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'Patient',
+    entityId: patient._id,
+    patientId: patient._id,
+    before,
+    after: patient
+  });
+  publishEvent('patient.updated', patient);
+
+  setEtag(res, patient);
+  res.json(present(patient));
+};
+
+// Update a patient with the fields sent
+const updatePatient = (req, res) => changePatient(req, res, (patient) => patient.set(req.body));
+
+// Update a patient with a JSON Merge Patch, where a null field is removed
+const patchPatient = (req, res) => changePatient(req, res, (patient) => applyMergePatch(patient, req.body));
+
+// Archive a patient by ID along with their tests
+// The patient is hidden from lists and can be restored later
 const deletePatient = async (req, res) => {
+  const before = await Patient.findById(req.params.id);
+  if (!before || before.archived) throw new NotFoundError('Patient not found');
+  if (before.admissionId) throw new ConflictError('Patient must be discharged before being archived');
+  checkIfMatch(req, before);
+
+  const patient = await Patient.findOneAndUpdate({ _id: before._id, ...versionFilter(req, before) }, {
+    archived: true,
+    archivedAt: new Date()
+  }, { new: true });
+  if (!patient) throw new PreconditionFailedError();
+  await Test.updateMany({ patientId: patient._id }, { archived: true });
+
+  await recordAudit(req, {
+    action: 'delete',
+    entity: 'Patient',
+    entityId: patient._id,
+    patientId: patient._id,
+    before,
+    after: patient
+  });
+  publishEvent('patient.deleted', patient);
+
+  res.json({ message: 'Patient archived successfully' });
+};
+
+// Restore an archived patient along with their tests
+// The restored patient is masked unless ?unmask=true is passed
+const restorePatient = async (req, res) => {
+  const present = piiPolicy(req);
+  const before = await Patient.findById(req.params.id);
+  if (!before) throw new NotFoundError('Patient not found');
+  if (!before.archived) throw new BadRequestError('Patient is not archived');
+  if (before.mergedInto) throw new BadRequestError('Patient was merged and cannot be restored');
+
+  const patient = await Patient.findByIdAndUpdate(req.params.id, {
+    archived: false,
+    $unset: { archivedAt: 1 }
+  }, { new: true });
+  await Test.updateMany({ patientId: patient._id }, { archived: false });
+
+  await recordAudit(req, {
+    action: 'restore',
+    entity: 'Patient',
+    entityId: patient._id,
+    patientId: patient._id,
+    before,
+    after: patient
+  });
+  publishEvent('patient.restored', patient);
+
+  res.json(present(patient));
+};
+
+// Permanently remove a patient with all their tests, appointments, medications and admissions
+// in a single transaction, releasing any bed they occupy
+const purgePatient = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const patient = await Patient.findByIdAndDelete(req.params.id);
-    if (!patient) return res.status(404).json({ message: 'Patient not found' });
-    res.json({ message: 'Patient deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    let patient = null;
+    let deletedTests = 0;
+
+    await session.withTransaction(async () => {
+      patient = await Patient.findByIdAndDelete(req.params.id, { session });
+      if (!patient) return;
+      const result = await Test.deleteMany({ patientId: patient._id }, { session });
+      deletedTests = result.deletedCount;
+      await Appointment.deleteMany({ patientId: patient._id }, { session });
+      await MedicationOrder.deleteMany({ patientId: patient._id }, { session });
+      await MedicationAdministration.deleteMany({ patientId: patient._id }, { session });
+      await Admission.deleteMany({ patientId: patient._id }, { session });
+      await Bed.updateMany({ patientId: patient._id }, { patientId: null }, { session });
+    });
+
+    if (!patient) throw new NotFoundError('Patient not found');
+
+    await recordAudit(req, {
+      action: 'purge',
+      entity: 'Patient',
+      entityId: patient._id,
+      patientId: patient._id,
+      before: patient
+    });
+    publishEvent('patient.purged', patient);
+
+    res.json({ message: 'Patient purged successfully', deletedTests });
+  } finally {
+    await session.endSession();
   }
 };
 
-// Update test details by test ID
-const updateTest = async (req, res) => {
+// Merge a duplicate patient into the patient given by ID, in a single transaction
+// The duplicate's tests, appointments, medications and past admissions move to the surviving
+// patient, the medical histories and allergies are combined and the duplicate is archived as a
+// tombstone pointing to the surviving patient
+const mergePatient = async (req, res) => {
+  const present = piiPolicy(req);
+  const { duplicateId } = req.body || {};
+  if (!mongoose.isValidObjectId(duplicateId)) {
+    throw new BadRequestError('duplicateId must be a patient ID');
+  }
+  if (String(duplicateId) === String(req.params.id)) {
+    throw new BadRequestError('A patient cannot be merged into itself');
+  }
+
+  const session = await mongoose.startSession();
   try {
-    const test = await Test.findByIdAndUpdate(req.params.testId, req.body, {
-      new: true,
-      runValidators: true,
+    let survivorBefore, duplicateBefore, survivor, duplicate;
+    let movedTests = 0;
+
+    // A refused merge throws before anything is written, which aborts the transaction
+    await session.withTransaction(async () => {
+      [survivorBefore, duplicateBefore] = await Promise.all([
+        Patient.findById(req.params.id, null, { session }),
+        Patient.findById(duplicateId, null, { session })
+      ]);
+      if (!survivorBefore || survivorBefore.archived) throw new NotFoundError('Patient not found');
+      if (!duplicateBefore) throw new NotFoundError('Duplicate patient not found');
+      if (duplicateBefore.mergedInto) throw new ConflictError('Duplicate patient has already been merged');
+      if (duplicateBefore.admissionId) {
+        throw new ConflictError('Duplicate patient must be discharged before being merged');
+      }
+
+      const result = await Test.updateMany(
+        { patientId: duplicateBefore._id },
+        { patientId: survivorBefore._id, archived: false },
+        { session }
+      );
+      movedTests = result.modifiedCount;
+      for (const model of [Appointment, MedicationOrder, MedicationAdministration, Admission]) {
+        await model.updateMany({ patientId: duplicateBefore._id }, { patientId: survivorBefore._id }, { session });
+      }
+
+      const mergedAt = new Date();
+      survivor = await Patient.findByIdAndUpdate(survivorBefore._id, {
+        medicalHistory: mergeEntries(survivorBefore.medicalHistory, duplicateBefore.medicalHistory),
+        allergies: mergeEntries(survivorBefore.allergies, duplicateBefore.allergies),
+        $addToSet: { mergedFrom: duplicateBefore._id }
+      }, { new: true, session });
+      duplicate = await Patient.findByIdAndUpdate(duplicateBefore._id, {
+        archived: true,
+        archivedAt: duplicateBefore.archivedAt || mergedAt,
+        mergedInto: survivorBefore._id,
+        mergedAt
+      }, { new: true, session });
+    });
+
+    // The critical status and score are recalculated from the combined tests
+    await refreshPatientStatus(survivor._id);
+    const patient = await Patient.findById(survivor._id);
+
+    await recordAudit(req, {
+      action: 'merge',
+      entity: 'Patient',
+      entityId: survivor._id,
+      patientId: survivor._id,
+      before: survivorBefore,
+      after: patient
     });
-    if (!test) return res.status(404).json({ message: 'Test not found' });
-    res.json(test);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+    await recordAudit(req, {
+      action: 'merge',
+      entity: 'Patient',
+      entityId: duplicate._id,
+      patientId: duplicate._id,
+      before: duplicateBefore,
+      after: duplicate
+    });
+    publishEvent('patient.merged', duplicate);
+
+    res.json({ message: 'Patients merged successfully', patient: present(patient), mergedPatientId: duplicate._id, movedTests });
+  } finally {
+    await session.endSession();
   }
 };
 
-// Delete test by test ID
+// Match the test in the URL only when it belongs to the patient in the URL
+// Tests archived with their patient are not matched unless another archived filter is given
+const testOfPatient = (req, archived = { archived: { $ne: true } }) => ({ _id: req.params.testId, patientId: req.params.id, ...archived });
+
+// Apply a change to a patient's test and save it
+// The test is saved as a document so its values are validated against its type
+const changeTest = async (req, res, change) => {
+  const test = await Test.findOne(testOfPatient(req));
+  if (!test) throw new NotFoundError('Test not found');
+  checkIfMatch(req, test);
+
+  const before = test.toObject();
+  change(test);
+  await saveIfMatch(req, test);
+
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'Test',
+    entityId: test._id,
+    patientId: test.patientId,
+    before,
+    after: test
+  });
+  publishEvent('test.updated', test);
+
+  // Update the patient's critical condition and score based on the edited test
+  await refreshPatientStatus(test.patientId);
+
+  setEtag(res, test);
+  res.json(test);
+};
+
+// Update a patient's test by test ID with the fields sent
+const updateTest = (req, res) => changeTest(req, res, (test) => test.set(req.body));
+
+// Update a patient's test with a JSON Merge Patch, where a null field is removed
+const patchTest = (req, res) => changeTest(req, res, (test) => applyMergePatch(test, req.body));
+
+// Delete a patient's test by test ID
 const deleteTest = async (req, res) => {
-  try {
-    const test = await Test.findByIdAndDelete(req.params.testId);
-    if (!test) return res.status(404).json({ message: 'Test not found' });
-    res.json({ message: 'Test deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  const current = await Test.findOne(testOfPatient(req));
+  if (!current) throw new NotFoundError('Test not found');
+  checkIfMatch(req, current);
+
+  const test = await Test.findOneAndDelete({ ...testOfPatient(req), ...versionFilter(req, current) });
+  if (!test) throw new PreconditionFailedError();
+
+  await recordAudit(req, {
+    action: 'delete',
+    entity: 'Test',
+    entityId: test._id,
+    patientId: test.patientId,
+    before: test
+  });
+  publishEvent('test.deleted', test);
+
+  // Update the patient's critical condition and score without the deleted test
+  await refreshPatientStatus(test.patientId);
+
+  res.json({ message: 'Test deleted successfully' });
 };
 
+// Retrieve a patient's audit trail and replay their record over time
+// Supports ?at=<date> to return the record as it was at that time
+// The patient's PII is masked in the entries and states unless ?unmask=true is passed
+const getPatientAudit = async (req, res) => {
+  const masked = isMasked(req);
+  const entries = (await AuditLog.find({ patientId: req.params.id }).sort({ at: 1 }))
+    .map(decryptEntry)
+    .map((entry) => (masked ? maskEntry(entry) : entry));
+  if (entries.length === 0) throw new NotFoundError('No audit trail found for this patient');
 
-// Fetch a specific test by ID
-const getTestById = async (req, res) => {
-  try {
-    const test = await Test.findById(req.params.testId);
-    if (!test) return res.status(404).json({ message: 'Test not found' });
-    res.json(test);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const states = replayPatient(entries);
+  const response = { patientId: req.params.id, entries, states };
+
+  if (req.query.at) {
+    const at = new Date(req.query.at);
+    if (isNaN(at)) throw new BadRequestError('Invalid date for at');
+    const previous = states.filter((state) => state.at <= at);
+    response.stateAt = previous.length > 0 ? previous[previous.length - 1].state : null;
   }
+
+  res.json(response);
+};
+
+// Fetch a patient's test by test ID, with its version as the ETag
+// Tests archived with their patient are only returned with ?includeArchived=true
+const getTestById = async (req, res) => {
+  const test = await Test.findOne(testOfPatient(req, archivedFilter(req)));
+  if (!test) throw new NotFoundError('Test not found');
+  setEtag(res, test);
+  res.json(test);
 };
 
 
 export { 
   addPatient, 
   getAllPatients, 
+  searchPatients,
   getPatientById, 
   addTestForPatient, 
   getTestsForPatient, 
+  getPatientVitals,
   getPatientHistory, 
+  loadPatientHistory,
+  getPatientReport,
   getCriticalPatients,
+  getPatientStatus,
+  getPatientScore,
+  getPatientScoreRanking,
   updatePatient,
+  patchPatient,
   deletePatient,
+  restorePatient,
+  purgePatient,
+  mergePatient,
   updateTest,
+  patchTest,
   deleteTest,
   getTestById,
+  getPatientAudit,
 };
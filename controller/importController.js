@@ -0,0 +1,85 @@
+/**
+ * Import Controller
+ *
+ * Description: This module contains the controller function importing patients and tests in
+ * bulk from CSV or NDJSON. Every row is validated and reported on, and with dryRun nothing
+ * is written. Patients that may duplicate existing ones or earlier rows are refused unless
+ * allowDuplicates is set, in which case they are imported and listed as warnings. The critical
+ * status of each patient receiving tests is recomputed once the whole import is committed.
+ */
+
+import { parseImport, validateRows, commitRows } from "../service/bulkImport.js";
+import { refreshPatientStatus } from "../service/patientStatus.js";
+import { recordAudit } from "../service/auditLog.js";
+import { publishEvent } from "../service/eventBus.js";
+import { HttpError } from "../service/errors.js";
+
+// Content types accepted for each import format
+const FORMATS = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+// Warnings of the patient rows imported despite possible duplicates
+const duplicateWarnings = ({ row, record, duplicateOf, duplicateOfRows }) => [
+  ...(duplicateOf ? [{ row, record, message: `Possible duplicate of patients ${duplicateOf.join(', ')}` }] : []),
+  ...(duplicateOfRows ? [{ row, record, message: `Possible duplicate of rows ${duplicateOfRows.join(', ')}` }] : [])
+];
+
+// Summarise the rows of an import into the report returned to the client
+const importReport = (rows, dryRun) => {
+  const invalid = rows.filter((row) => row.errors.length > 0);
+  const created = (record) => rows.filter((row) => row.record === record && row.document).length;
+
+  return {
+    dryRun,
+    summary: {
+      rows: rows.length,
+      valid: rows.length - invalid.length,
+      invalid: invalid.length,
+      createdPatients: created('patient'),
+      createdTests: created('test')
+    },
+    errors: invalid.map(({ row, record, errors }) => ({ row, record, errors })),
+    warnings: rows
+      .filter((row) => row.errors.length === 0)
+      .flatMap(duplicateWarnings)
+  };
+};
+
+// Import patients and tests from a CSV or NDJSON body
+// Supports ?dryRun=true to only validate the rows and ?allowDuplicates=true to import patients
+// that may duplicate existing ones
+const importRecords = async (req, res) => {
+  const format = FORMATS[req.get('Content-Type')?.split(';')[0].trim()];
+  if (!format || typeof req.body !== 'string') {
+    throw new HttpError(415, 'Content-Type must be text/csv or application/x-ndjson');
+  }
+
+  const rows = await validateRows(parseImport(req.body, format), { allowDuplicates: req.query.allowDuplicates === 'true' });
+  const dryRun = req.query.dryRun === 'true';
+  if (dryRun) return res.json(importReport(rows, true));
+
+  await commitRows(rows);
+
+  // Audit and publish the imported records, then refresh each tested patient once
+  const testedPatients = new Set();
+  for (const { record, document } of rows) {
+    if (!document) continue;
+    const entity = record === 'patient' ? 'Patient' : 'Test';
+    const patientId = record === 'patient' ? document._id : document.patientId;
+    await recordAudit(req, { action: 'create', entity, entityId: document._id, patientId, after: document });
+    publishEvent(`${record}.created`, document);
+    if (record === 'test') testedPatients.add(String(patientId));
+  }
+  for (const patientId of testedPatients) {
+    await refreshPatientStatus(patientId);
+  }
+
+  res.json(importReport(rows, false));
+};
+
+export {
+  importRecords,
+};
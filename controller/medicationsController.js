@@ -0,0 +1,143 @@
+/**
+ * Medications Controller
+ *
+ * Description: This module contains controller functions for the medications prescribed to a
+ * patient. Doctors prescribe and stop medication orders, which are checked against the
+ * patient's allergies, and nurses record each dose given. Orders are returned with their dose
+ * schedule, flagging the doses that were missed.
+ */
+
+import MedicationOrder from "../model/medicationOrderModel.js";
+import MedicationAdministration from "../model/medicationAdministrationModel.js";
+import Patient from "../model/patientModel.js";
+import { findAllergyConflicts, doseSchedule, activeOrderFilter, loadMedications } from "../service/medications.js";
+import { recordAudit } from "../service/auditLog.js";
+import { publishEvent } from "../service/eventBus.js";
+import { BadRequestError, NotFoundError, ConflictError } from "../service/errors.js";
+
+// Describe the authenticated user for the records they create
+const currentUser = (req) => (req.user ? { id: req.user.id, username: req.user.username, role: req.user.role } : undefined);
+
+// Find a patient's medication order from the route parameters
+const findOrder = (req) => MedicationOrder.findOne({ _id: req.params.orderId, patientId: req.params.id });
+
+// Retrieve a patient's medications with their dose schedule
+// Supports ?status=active (default), stopped or all
+const getMedications = async (req, res) => {
+  const status = req.query.status || 'active';
+  if (!['active', 'stopped', 'all'].includes(status)) {
+    throw new BadRequestError('status must be active, stopped or all');
+  }
+
+  const patient = await Patient.findById(req.params.id);
+  if (!patient) throw new NotFoundError('Patient not found');
+
+  const filter = { patientId: patient._id };
+  if (status === 'active') Object.assign(filter, activeOrderFilter());
+  if (status === 'stopped') filter.status = 'stopped';
+
+  res.json(await loadMedications(filter));
+};
+
+// Retrieve a medication order with every dose recorded against it
+const getMedicationById = async (req, res) => {
+  const order = await findOrder(req);
+  if (!order) throw new NotFoundError('Medication not found');
+
+  const administrations = await MedicationAdministration.find({ orderId: order._id }).sort({ givenAt: 1 });
+  res.json({ ...order.toObject(), schedule: doseSchedule(order, administrations), administrations });
+};
+
+// Prescribe a medication for a patient
+// An order conflicting with the patient's allergies is rejected unless ?overrideAllergies=true is passed
+const prescribeMedication = async (req, res) => {
+  const patient = await Patient.findById(req.params.id);
+  if (!patient || patient.archived) throw new NotFoundError('Patient not found');
+
+  const conflicts = findAllergyConflicts(req.body.name, patient.allergies);
+  if (conflicts.length > 0 && req.query.overrideAllergies !== 'true') {
+    throw new ConflictError("The medication conflicts with the patient's allergies", { allergies: conflicts });
+  }
+
+  const order = new MedicationOrder({
+    ...req.body,
+    patientId: patient._id,
+    allergyOverrides: conflicts,
+    prescribedBy: currentUser(req)
+  });
+  await order.save();
+
+  await recordAudit(req, {
+    action: 'create',
+    entity: 'MedicationOrder',
+    entityId: order._id,
+    patientId: patient._id,
+    after: order
+  });
+  publishEvent('medication.prescribed', order);
+
+  res.status(201).json(order);
+};
+
+// Stop an active medication order, ending its dose schedule
+const stopMedication = async (req, res) => {
+  const order = await findOrder(req);
+  if (!order) throw new NotFoundError('Medication not found');
+  if (order.status !== 'active') throw new ConflictError('Medication is already stopped');
+
+  const before = order.toObject();
+  order.status = 'stopped';
+  order.stoppedAt = new Date();
+  order.stoppedBy = currentUser(req);
+  await order.save();
+
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'MedicationOrder',
+    entityId: order._id,
+    patientId: order.patientId,
+    before,
+    after: order
+  });
+  publishEvent('medication.stopped', order);
+
+  res.json(order);
+};
+
+// Record a dose of a medication order as given, refused or held
+const recordAdministration = async (req, res) => {
+  const order = await findOrder(req);
+  if (!order) throw new NotFoundError('Medication not found');
+  if (order.status !== 'active') throw new ConflictError('Doses cannot be recorded for a stopped medication');
+
+  const administration = new MedicationAdministration({
+    ...req.body,
+    dose: req.body.dose ?? order.dose,
+    orderId: order._id,
+    patientId: order.patientId,
+    givenBy: currentUser(req)
+  });
+  if (administration.givenAt > new Date()) {
+    throw new BadRequestError('givenAt cannot be in the future');
+  }
+  await administration.save();
+
+  await recordAudit(req, {
+    action: 'create',
+    entity: 'MedicationAdministration',
+    entityId: administration._id,
+    patientId: order.patientId,
+    after: administration
+  });
+  publishEvent('medication.administered', administration);
+
+  res.status(201).json(administration);
+};
+
+export {
+  getMedications,
+  getMedicationById,
+  prescribeMedication,
+  stopMedication,
+  recordAdministration,
+};
@@ -0,0 +1,102 @@
+/**
+ * Rules Controller
+ *
+ * Description: This module contains controller functions for managing the clinical threshold
+ * rules used to flag patients in critical condition. Clinicians can list, create, update and
+ * archive rules per test type, and every update keeps the previous version in the rule history.
+ * Rules are archived rather than deleted, as the flags they raised keep referencing them.
+ */
+
+import Rule from "../model/ruleModel.js";
+import { NotFoundError, ConflictError } from "../service/errors.js";
+
+// Retrieve all rules, optionally filtered by test type
+// Archived rules are only included with ?includeArchived=true
+const getAllRules = async (req, res) => {
+  const filter = req.query.includeArchived === 'true' ? {} : { archived: { $ne: true } };
+  if (req.query.testType) filter.testType = req.query.testType;
+  const rules = await Rule.find(filter).sort({ testType: 1, metric: 1 });
+  res.json(rules);
+};
+
+// Retrieve a specific rule by its ID
+const getRuleById = async (req, res) => {
+  const rule = await Rule.findById(req.params.ruleId);
+  if (!rule) throw new NotFoundError('Rule not found');
+  res.json(rule);
+};
+
+// Add a new rule for a test type
+const addRule = async (req, res) => {
+  const rule = new Rule({
+    testType: req.body.testType,
+    metric: req.body.metric,
+    description: req.body.description,
+    bands: req.body.bands
+  });
+  const savedRule = await rule.save();
+  res.status(201).json(savedRule);
+};
+
+// Update a rule's bands or description
+// The current version is moved to the history and the version number is incremented
+// A concurrent update of the same rule fails with a VersionError, answered with 409
+const updateRule = async (req, res) => {
+  const rule = await Rule.findById(req.params.ruleId);
+  if (!rule) throw new NotFoundError('Rule not found');
+  if (rule.archived) throw new ConflictError('Archived rules cannot be changed');
+
+  rule.history.push({
+    version: rule.version,
+    description: rule.description,
+    bands: rule.bands,
+    changedAt: rule.updatedAt
+  });
+
+  if (req.body.description !== undefined) rule.description = req.body.description;
+  if (req.body.bands !== undefined) rule.bands = req.body.bands;
+  rule.version += 1;
+
+  const savedRule = await rule.save();
+  res.json(savedRule);
+};
+
+// Archive a rule by its ID so that it no longer flags readings
+const deleteRule = async (req, res) => {
+  const rule = await Rule.findById(req.params.ruleId);
+  if (!rule) throw new NotFoundError('Rule not found');
+
+  if (!rule.archived) {
+    rule.archived = true;
+    rule.archivedAt = new Date();
+    await rule.save();
+  }
+  res.json({ message: 'Rule archived successfully' });
+};
+
+// Retrieve the version history of a rule, including the current version
+const getRuleHistory = async (req, res) => {
+  const rule = await Rule.findById(req.params.ruleId);
+  if (!rule) throw new NotFoundError('Rule not found');
+
+  const versions = [
+    ...rule.history,
+    {
+      version: rule.version,
+      description: rule.description,
+      bands: rule.bands,
+      changedAt: rule.updatedAt
+    }
+  ];
+
+  res.json(versions);
+};
+
+export {
+  getAllRules,
+  getRuleById,
+  addRule,
+  updateRule,
+  deleteRule,
+  getRuleHistory,
+};
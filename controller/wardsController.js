@@ -0,0 +1,84 @@
+/**
+ * Wards Controller
+ *
+ * Description: This module contains controller functions for managing the wards and their
+ * beds, and for reading the occupancy of each ward along with the patients in its beds.
+ */
+
+import Ward from "../model/wardModel.js";
+import Bed from "../model/bedModel.js";
+import Admission from "../model/admissionModel.js";
+import Patient from "../model/patientModel.js";
+import { summarizeOccupancy, loadOccupancy } from "../service/occupancy.js";
+import { NotFoundError, ConflictError } from "../service/errors.js";
+import { piiPolicy } from "../service/piiMasking.js";
+
+// Report a duplicate key error when saving with a clearer conflict message
+const rejectDuplicate = (message) => (error) => {
+  throw error.code === 11000 ? new ConflictError(message) : error;
+};
+
+// Retrieve all wards in name order
+const getWards = async (req, res) => {
+  const wards = await Ward.find().sort({ name: 1 });
+  res.json(wards);
+};
+
+// Add a new ward
+const addWard = async (req, res) => {
+  const ward = new Ward({ name: req.body.name, description: req.body.description });
+  const savedWard = await ward.save().catch(rejectDuplicate('A ward with this name already exists'));
+  res.status(201).json(savedWard);
+};
+
+// Add a bed to a ward
+const addBed = async (req, res) => {
+  const ward = await Ward.findById(req.params.wardId);
+  if (!ward) throw new NotFoundError('Ward not found');
+
+  const bed = new Bed({ wardId: ward._id, label: req.body.label, active: req.body.active });
+  const savedBed = await bed.save().catch(rejectDuplicate('A bed with this label already exists on the ward'));
+  res.status(201).json(savedBed);
+};
+
+// Retrieve the occupancy of every ward
+const getOccupancy = async (req, res) => {
+  res.json(await loadOccupancy());
+};
+
+// Retrieve the occupancy of a ward with each bed and the patients admitted to it
+const getWardOccupancy = async (req, res) => {
+  const present = piiPolicy(req);
+  const ward = await Ward.findById(req.params.wardId);
+  if (!ward) throw new NotFoundError('Ward not found');
+
+  const [beds, admissions] = await Promise.all([
+    Bed.find({ wardId: ward._id }).sort({ label: 1 }),
+    Admission.find({ status: 'active', wardId: ward._id }).select('wardId bedId patientId admittedAt')
+  ]);
+  const patients = (await Patient.find({ _id: { $in: admissions.map((admission) => admission.patientId) } })
+    .select('name bed criticalCondition earlyWarningScore')).map(present);
+  const findPatient = (patientId) => patients.find((patient) => String(patient._id) === String(patientId)) || null;
+
+  res.json({
+    occupancy: summarizeOccupancy(ward, beds, admissions),
+    beds: beds.map((bed) => ({
+      bedId: bed._id,
+      label: bed.label,
+      active: bed.active,
+      patient: bed.patientId ? findPatient(bed.patientId) : null
+    })),
+    patientsWithoutBed: admissions
+      .filter((admission) => !admission.bedId)
+      .map((admission) => findPatient(admission.patientId))
+      .filter(Boolean)
+  });
+};
+
+export {
+  getWards,
+  addWard,
+  addBed,
+  getOccupancy,
+  getWardOccupancy,
+};
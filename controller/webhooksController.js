@@ -0,0 +1,84 @@
+/**
+ * Webhooks Controller
+ *
+ * Description: This module contains controller functions for managing the webhook
+ * subscriptions notified of patient and test lifecycle events, and for reading the log of
+ * deliveries made to each webhook.
+ */
+
+import Webhook from "../model/webhookModel.js";
+import WebhookDelivery from "../model/webhookDeliveryModel.js";
+import { parseListQuery, paginate } from "../service/pagination.js";
+import { BadRequestError, NotFoundError } from "../service/errors.js";
+
+// Retrieve all webhooks
+const getAllWebhooks = async (req, res) => {
+  const webhooks = await Webhook.find().sort({ createdAt: 1 });
+  res.json(webhooks);
+};
+
+// Retrieve a specific webhook by its ID
+const getWebhookById = async (req, res) => {
+  const webhook = await Webhook.findById(req.params.webhookId);
+  if (!webhook) throw new NotFoundError('Webhook not found');
+  res.json(webhook);
+};
+
+// Add a new webhook
+// The generated signing secret is only returned in this response
+const addWebhook = async (req, res) => {
+  const webhook = new Webhook({
+    url: req.body.url,
+    events: req.body.events,
+    description: req.body.description,
+    active: req.body.active
+  });
+  const savedWebhook = await webhook.save();
+  res.status(201).json({ ...savedWebhook.toObject(), secret: savedWebhook.secret });
+};
+
+// Update a webhook's URL, events, description or active flag
+const updateWebhook = async (req, res) => {
+  const webhook = await Webhook.findById(req.params.webhookId);
+  if (!webhook) throw new NotFoundError('Webhook not found');
+
+  for (const field of ['url', 'events', 'description', 'active']) {
+    if (req.body[field] !== undefined) webhook[field] = req.body[field];
+  }
+
+  const savedWebhook = await webhook.save();
+  res.json(savedWebhook);
+};
+
+// Delete a webhook by its ID
+const deleteWebhook = async (req, res) => {
+  const webhook = await Webhook.findByIdAndDelete(req.params.webhookId);
+  if (!webhook) throw new NotFoundError('Webhook not found');
+  res.json({ message: 'Webhook deleted successfully' });
+};
+
+// Retrieve the deliveries made to a webhook, most recent first
+// Supports ?status=pending|succeeded|failed and ?event=<event>
+const getWebhookDeliveries = async (req, res) => {
+  const options = parseListQuery(req.query, { sortFields: ['createdAt'], defaultSort: '-createdAt' });
+  if (options.error) throw new BadRequestError(options.error);
+
+  const webhook = await Webhook.findById(req.params.webhookId);
+  if (!webhook) throw new NotFoundError('Webhook not found');
+
+  const filter = { webhook: webhook._id };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.event) filter.event = req.query.event;
+
+  const page = await paginate(WebhookDelivery, filter, options);
+  res.json(page);
+};
+
+export {
+  getAllWebhooks,
+  getWebhookById,
+  addWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+};
@@ -14,20 +14,66 @@ import express from "express";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import bodyParser from "body-parser";
-import cors from 'cors';
 import swaggerUi from "swagger-ui-express";
 import swaggerJsdoc from "swagger-jsdoc";
 import routes from "./routes/hospitalRoutes.js";
+import rulesRoutes from "./routes/rulesRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import alertsRoutes from "./routes/alertsRoutes.js";
+import webhooksRoutes from "./routes/webhooksRoutes.js";
+import fhirRoutes from "./routes/fhirRoutes.js";
+import importRoutes from "./routes/importRoutes.js";
+import appointmentsRoutes from "./routes/appointmentsRoutes.js";
+import medicationsRoutes from "./routes/medicationsRoutes.js";
+import wardsRoutes from "./routes/wardsRoutes.js";
+import admissionsRoutes from "./routes/admissionsRoutes.js";
+import { authenticate } from "./middleware/authMiddleware.js";
+import { correlationId, notFoundHandler, errorHandler } from "./middleware/errorMiddleware.js";
+import { securityHeaders, corsPolicy, rateLimit, trustProxy } from "./middleware/securityMiddleware.js";
+import { requestLogger } from "./middleware/loggingMiddleware.js";
+import { seedDefaultRules } from "./service/ruleEngine.js";
+import { seedAdminUser } from "./controller/authController.js";
+import { fhirErrorHandler } from "./controller/fhirController.js";
+import { startAlertEscalation } from "./service/alerts.js";
+import { startWebhookDispatch } from "./service/webhooks.js";
+import { checkKeys } from "./service/fieldEncryption.js";
+import { modelToOpenApi, schemaToOpenApi } from "./service/openApiSchema.js";
+import Patient from "./model/patientModel.js";
+import Test from "./model/testsModel.js";
+import Rule from "./model/ruleModel.js";
+import AuditLog from "./model/auditLogModel.js";
+import Alert from "./model/alertModel.js";
+import Webhook from "./model/webhookModel.js";
+import WebhookDelivery from "./model/webhookDeliveryModel.js";
+import Appointment from "./model/appointmentModel.js";
+import MedicationOrder from "./model/medicationOrderModel.js";
+import MedicationAdministration from "./model/medicationAdministrationModel.js";
+import Ward from "./model/wardModel.js";
+import Bed from "./model/bedModel.js";
+import Admission from "./model/admissionModel.js";
 
 // Load environment variables
 dotenv.config();
 
 // Initialize Express app
 const app = express();
+app.disable('x-powered-by');
+// Behind a reverse proxy, rate limits and logs need the client's address rather than the proxy's
+app.set('trust proxy', trustProxy());
 
 // Middleware
-app.use(bodyParser.json());
-app.use(cors());
+// The correlation ID comes first so that every error, including a malformed body, carries it
+app.use(correlationId);
+app.use(requestLogger());
+app.use(securityHeaders());
+app.use(corsPolicy());
+// Requests over the limit are refused before their body is read
+app.use(rateLimit());
+// FHIR clients send application/fhir+json bodies and PATCH requests application/merge-patch+json
+app.use(bodyParser.json({
+    type: ['application/json', 'application/fhir+json', 'application/merge-patch+json'],
+    limit: process.env.BODY_LIMIT || '100kb',
+}));
 
 // Swagger configuration
 const swaggerDefinition = {
@@ -35,7 +81,7 @@ const swaggerDefinition = {
     info: {
         title: "WellCare Hospital Management API",
         version: "1.0.0",
-        description: "API for managing patients and medical tests",
+        description: "API for managing patients and medical tests. Every error is answered with an RFC 7807 problem details body (the Problem schema) sent as application/problem+json, carrying the request's X-Correlation-ID. Each client is limited to a number of requests per window, given in the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers, and further requests are answered with 429 and a Retry-After header. JSON bodies over the configured size are answered with 413.",
     },
     servers: [
         {
@@ -43,30 +89,188 @@ const swaggerDefinition = {
         },
     ],
     components: {
+        securitySchemes: {
+            bearerAuth: {
+                type: 'http',
+                scheme: 'bearer',
+                bearerFormat: 'JWT',
+                description: 'Token returned by POST /api/auth/login',
+            },
+        },
+        parameters: {
+            Limit: {
+                in: 'query',
+                name: 'limit',
+                required: false,
+                schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+                description: 'Number of results per page',
+            },
+            Cursor: {
+                in: 'query',
+                name: 'cursor',
+                required: false,
+                schema: { type: 'string' },
+                description: 'The nextCursor returned with the previous page',
+            },
+            Unmask: {
+                in: 'query',
+                name: 'unmask',
+                required: false,
+                schema: { type: 'boolean', default: false },
+                description: "Send the patients' name, address and phone number in full instead of masked. Only allowed to the nurse, doctor and admin roles",
+            },
+            IfMatch: {
+                in: 'header',
+                name: 'If-Match',
+                required: false,
+                schema: { type: 'string' },
+                description: 'The ETag the record was read with. The request is refused with 412 if the record was changed since',
+            },
+        },
+        headers: {
+            ETag: {
+                schema: { type: 'string' },
+                description: "The record's version, to send back in If-Match",
+            },
+        },
         schemas: {
-            Patient: {
+            PageMeta: {
+                type: 'object',
+                properties: {
+                    total: { type: 'integer', description: 'Number of results matching the filters' },
+                    limit: { type: 'integer' },
+                    sort: { type: 'string' },
+                    nextCursor: { type: 'string', nullable: true, description: 'Cursor of the next page, null on the last page' },
+                },
+            },
+            VitalSeries: {
                 type: 'object',
-                required: ['name', 'age', 'gender', 'condition'],
+                properties: {
+                    type: { type: 'string' },
+                    unit: { type: 'string' },
+                    bucket: { type: 'string', enum: ['hour', 'day'] },
+                    trend: {
+                        description: 'rising, falling or stable; an object with systolic and diastolic trends for blood pressure',
+                        oneOf: [
+                            { type: 'string', enum: ['rising', 'falling', 'stable'] },
+                            { type: 'object', properties: { systolic: { type: 'string' }, diastolic: { type: 'string' } } },
+                        ],
+                    },
+                    points: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                bucket: { type: 'string', format: 'date-time' },
+                                count: { type: 'integer' },
+                                min: { type: 'number' },
+                                max: { type: 'number' },
+                                avg: { type: 'number' },
+                                systolic: { type: 'object' },
+                                diastolic: { type: 'object' },
+                            },
+                        },
+                    },
+                },
+            },
+            User: {
+                type: 'object',
+                required: ['username', 'role'],
                 properties: {
                     id: { type: 'string' },
+                    username: { type: 'string' },
                     name: { type: 'string' },
-                    age: { type: 'integer' },
-                    gender: { type: 'string' },
-                    condition: { type: 'string' },
+                    role: { type: 'string', enum: ['nurse', 'doctor', 'admin', 'auditor'] },
+                    active: { type: 'boolean' },
                 },
             },
-            Test: {
+            Medication: {
+                description: 'A medication order with its dose schedule',
+                allOf: [
+                    { $ref: '#/components/schemas/MedicationOrder' },
+                    {
+                        type: 'object',
+                        properties: {
+                            schedule: {
+                                type: 'object',
+                                properties: {
+                                    lastGivenAt: { type: 'string', format: 'date-time', nullable: true },
+                                    nextDueAt: { type: 'string', format: 'date-time', nullable: true },
+                                    missedDoses: {
+                                        type: 'array',
+                                        description: 'Times of the doses due with nothing recorded',
+                                        items: { type: 'string', format: 'date-time' },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                ],
+            },
+            WardOccupancy: {
                 type: 'object',
-                required: ['name', 'result'],
                 properties: {
-                    id: { type: 'string' },
+                    wardId: { type: 'string' },
                     name: { type: 'string' },
-                    result: { type: 'string' },
-                    date: { type: 'string', format: 'date-time' },
+                    beds: { type: 'integer', description: 'Number of beds in service' },
+                    occupiedBeds: { type: 'integer' },
+                    availableBeds: { type: 'integer' },
+                    patients: { type: 'integer', description: 'Number of patients admitted to the ward' },
+                    patientsWithoutBed: { type: 'integer' },
+                    occupancyRate: { type: 'number', nullable: true, description: 'Share of the beds in service that are occupied' },
                 },
             },
+            Problem: {
+                type: 'object',
+                description: 'RFC 7807 problem details, with extra members such as the conflicting records for some errors',
+                properties: {
+                    type: { type: 'string', example: 'about:blank' },
+                    title: { type: 'string', description: 'The HTTP status text', example: 'Not Found' },
+                    status: { type: 'integer', example: 404 },
+                    detail: { type: 'string', example: 'Patient not found' },
+                    instance: { type: 'string', description: 'The path of the request' },
+                    correlationId: { type: 'string', description: 'Also sent in the X-Correlation-ID header' },
+                },
+            },
+            ValidationError: {
+                allOf: [
+                    { $ref: '#/components/schemas/Problem' },
+                    {
+                        type: 'object',
+                        properties: {
+                            errors: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        field: { type: 'string' },
+                                        message: { type: 'string' },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                ],
+            },
+            // Generated from the Mongoose models so the documentation matches the data
+            Patient: modelToOpenApi(Patient),
+            Test: modelToOpenApi(Test),
+            EarlyWarningScore: schemaToOpenApi(Patient.schema.path('earlyWarningScore').schema),
+            Rule: modelToOpenApi(Rule),
+            AuditLog: modelToOpenApi(AuditLog),
+            Alert: modelToOpenApi(Alert),
+            Webhook: modelToOpenApi(Webhook),
+            WebhookDelivery: modelToOpenApi(WebhookDelivery),
+            Appointment: modelToOpenApi(Appointment),
+            MedicationOrder: modelToOpenApi(MedicationOrder),
+            MedicationAdministration: modelToOpenApi(MedicationAdministration),
+            Ward: modelToOpenApi(Ward),
+            Bed: modelToOpenApi(Bed),
+            Admission: modelToOpenApi(Admission),
         },
     },
+    // Every route requires a token unless it overrides this
+    security: [{ bearerAuth: [] }],
 };
 
 const options = {
@@ -81,16 +285,45 @@ const swaggerSpec = swaggerJsdoc(options);
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // API routes
+// Login is public, every other route requires a valid token
+app.use("/api", authRoutes);
+app.use("/api", authenticate);
 app.use("/api", routes);
+app.use("/api", rulesRoutes);
+app.use("/api", alertsRoutes);
+app.use("/api", webhooksRoutes);
+app.use("/api", importRoutes);
+app.use("/api", appointmentsRoutes);
+app.use("/api", medicationsRoutes);
+app.use("/api", wardsRoutes);
+app.use("/api", admissionsRoutes);
+// FHIR clients are answered with OperationOutcome resources, including when authentication fails
+app.use("/fhir", authenticate, fhirRoutes, fhirErrorHandler);
+
+// Requests no route matched and every error end up here
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Environment variables
 const PORT = process.env.PORT || 5000;
 const MONGO_URL = process.env.MONGO_URL;
 
+// Patients cannot be read or written without the keys protecting their PII
+try {
+    checkKeys();
+} catch (error) {
+    console.error("Invalid configuration:", error.message);
+    process.exit(1);
+}
+
 // Connect to MongoDB and start the server
 mongoose.connect(MONGO_URL)
-    .then(() => {
+    .then(async () => {
         console.log("Database connection successful");
+        await seedDefaultRules();
+        await seedAdminUser();
+        startAlertEscalation();
+        startWebhookDispatch();
         app.listen(PORT, () => {
             console.log(`Server is running on port ${PORT}`);
             console.log(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
@@ -0,0 +1,58 @@
+/**
+ * Authentication Middleware
+ *
+ * Description: This module contains the Express middleware protecting the API. It checks
+ * the bearer token sent with each request and restricts routes to the roles allowed to
+ * use them. The user a token was issued to is loaded on every request, so deactivating a
+ * user or changing their role or password takes effect before their token expires.
+ */
+
+import User from "../model/userModel.js";
+import { verifyToken } from "../service/authToken.js";
+import { UnauthorizedError, ForbiddenError } from "../service/errors.js";
+
+// Whether a token was issued before the user's password was last changed
+// Tokens only record the second they were issued at
+const issuedBeforePasswordChange = (issuedAt, user) => (
+  Boolean(user.passwordChangedAt) && Math.floor(user.passwordChangedAt.getTime() / 1000) * 1000 > issuedAt.getTime()
+);
+
+// Require a valid bearer token of an active user and attach the user to the request
+// The user's current role is used rather than the one recorded in the token
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError());
+  }
+
+  let claims;
+  try {
+    claims = verifyToken(token);
+  } catch (error) {
+    return next(new UnauthorizedError('Invalid or expired token'));
+  }
+
+  try {
+    const user = await User.findById(claims.id);
+    if (!user || !user.active || issuedBeforePasswordChange(claims.issuedAt, user)) {
+      return next(new UnauthorizedError('Invalid or expired token'));
+    }
+    req.user = { id: String(user._id), username: user.username, role: user.role };
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+// Only allow users holding one of the given roles
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError());
+  }
+  next();
+};
+
+export {
+  authenticate,
+  authorize,
+};
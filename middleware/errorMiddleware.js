@@ -0,0 +1,120 @@
+/**
+ * Error Middleware
+ *
+ * Description: This module contains the Express middleware answering every failed request
+ * with the same RFC 7807 problem details body, sent as application/problem+json. Each
+ * request is given a correlation ID, echoed in the X-Correlation-ID header and in the
+ * problem, so that a client's report can be matched with the server logs. Errors thrown by
+ * the controllers are mapped to their status, and Mongoose and MongoDB errors to the status
+ * they stand for. Unexpected errors are logged as one line of JSON, like the requests, without
+ * the values their messages quote, which can hold patient details.
+ */
+
+import { randomUUID } from "crypto";
+import { STATUS_CODES } from "http";
+import mongoose from "mongoose";
+import {
+  HttpError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  describeFieldError
+} from "../service/errors.js";
+import { logError } from "../service/logger.js";
+
+// Correlation IDs sent by clients are only kept when they are short and printable
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Give the request a correlation ID, reusing the one sent in X-Correlation-ID if any
+const correlationId = (req, res, next) => {
+  const sent = req.get('X-Correlation-ID');
+  req.correlationId = sent && CORRELATION_ID_PATTERN.test(sent) ? sent : randomUUID();
+  res.set('X-Correlation-ID', req.correlationId);
+  next();
+};
+
+// Pass the errors thrown by an async route handler to the error middleware
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Answer requests that no route matched
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+};
+
+// Map any error to the HTTP error it is answered with
+const toHttpError = (error) => {
+  if (error instanceof HttpError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(Object.entries(error.errors).map(([field, fieldError]) => ({
+      field,
+      message: describeFieldError(fieldError)
+    })));
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new BadRequestError(`Invalid value for ${error.path}`);
+  }
+  if (error instanceof mongoose.Error.DocumentNotFoundError) {
+    return new NotFoundError();
+  }
+  // A save racing another write to the record, the request being sent without If-Match
+  if (error instanceof mongoose.Error.VersionError) {
+    return new ConflictError('The record was changed by another request');
+  }
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new ConflictError(`A record with this ${fields.join(', ') || 'key'} already exists`);
+  }
+
+  // Errors raised by body-parser, e.g. a malformed JSON body, carry their own client status
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500) return new HttpError(status, error.expose ? error.message : undefined);
+
+  return new HttpError(500, 'An unexpected error occurred');
+};
+
+// Map the error a request failed with to its HTTP error, logging the unexpected ones with the
+// request's correlation ID
+const reportError = (error, req) => {
+  const httpError = toHttpError(error);
+  if (httpError.status >= 500) {
+    logError('request failed', error, {
+      requestId: req.correlationId,
+      method: req.method,
+      // The query string is left out, as in the request logs
+      path: req.originalUrl?.split('?')[0],
+      status: httpError.status
+    });
+  }
+  return httpError;
+};
+
+// Answer a failed request with an RFC 7807 problem details body
+// Unexpected errors are logged and their details are not sent
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const httpError = reportError(error, req);
+
+  res.status(httpError.status).type('application/problem+json').json({
+    type: 'about:blank',
+    title: STATUS_CODES[httpError.status],
+    status: httpError.status,
+    detail: httpError.message,
+    instance: req.originalUrl,
+    correlationId: req.correlationId,
+    ...httpError.extensions
+  });
+};
+
+export {
+  correlationId,
+  asyncHandler,
+  notFoundHandler,
+  toHttpError,
+  reportError,
+  errorHandler,
+};
@@ -0,0 +1,53 @@
+/**
+ * Logging Middleware
+ *
+ * Description: This module contains the Express middleware logging each request as one line
+ * of JSON once it is answered, with its correlation ID, status and latency, so that the logs
+ * can be searched and aggregated. Query strings and bodies are never logged, as they can hold
+ * patient details such as the name searched for. Setting REQUEST_LOGS=false turns it off.
+ */
+
+// Level of the log line of a response with the given status
+const levelOf = (status) => {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+};
+
+// Log each request once its response is sent, or its connection closed before that
+const requestLogger = ({ enabled = process.env.REQUEST_LOGS !== 'false', log = console.log } = {}) => (req, res, next) => {
+  if (!enabled) return next();
+
+  const started = process.hrtime.bigint();
+  let logged = false;
+  const write = (aborted) => {
+    if (logged) return;
+    logged = true;
+
+    const contentLength = Number(res.get('Content-Length'));
+    log(JSON.stringify({
+      time: new Date().toISOString(),
+      level: levelOf(res.statusCode),
+      msg: 'request',
+      requestId: req.correlationId,
+      method: req.method,
+      // The path only holds record IDs, unlike the query string, which is left out
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      bytes: Number.isNaN(contentLength) ? undefined : contentLength,
+      aborted: aborted || undefined,
+      userId: req.user?.id,
+      role: req.user?.role,
+      ip: req.ip
+    }));
+  };
+
+  res.on('finish', () => write(false));
+  res.on('close', () => write(true));
+  next();
+};
+
+export {
+  requestLogger,
+};
@@ -0,0 +1,104 @@
+/**
+ * Security Middleware
+ *
+ * Description: This module contains the Express middleware protecting the API as a whole:
+ * the security headers sent with every response, the CORS policy allowing only the origins
+ * configured in CORS_ORIGINS, and a per-client rate limit answering the clients that send
+ * more than RATE_LIMIT_MAX requests in a window of RATE_LIMIT_WINDOW_SECONDS with 429.
+ */
+
+import cors from "cors";
+import { TooManyRequestsError } from "../service/errors.js";
+
+// Headers asking browsers not to sniff, frame or leak the responses
+// The content security policy still lets the Swagger UI load its own scripts and styles
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'self'; img-src 'self' data:; style-src 'self' 'unsafe-inline'; object-src 'none'; frame-ancestors 'none'",
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Resource-Policy': 'same-origin',
+  'Referrer-Policy': 'no-referrer',
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY'
+};
+
+// Response headers that browsers may read on cross-origin requests
+const EXPOSED_HEADERS = [
+  'ETag',
+  'Warning',
+  'X-Correlation-ID',
+  'Retry-After',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset'
+];
+
+// Send the security headers, with HSTS for HSTS_MAX_AGE_SECONDS, a year by default, or 0 to disable it
+const securityHeaders = () => {
+  const hstsMaxAge = Number(process.env.HSTS_MAX_AGE_SECONDS ?? 31536000);
+  const headers = hstsMaxAge > 0
+    ? { ...SECURITY_HEADERS, 'Strict-Transport-Security': `max-age=${hstsMaxAge}; includeSubDomains` }
+    : SECURITY_HEADERS;
+
+  return (req, res, next) => {
+    res.set(headers);
+    next();
+  };
+};
+
+// Allow the cross-origin requests of the origins in CORS_ORIGINS, e.g. https://ward.example.org,https://admin.example.org
+// "*" allows every origin, and none is allowed when it is unset
+const corsPolicy = () => {
+  const origins = String(process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+  return cors({
+    origin: origins.includes('*') ? '*' : origins,
+    exposedHeaders: EXPOSED_HEADERS
+  });
+};
+
+// Limit each client, identified by its IP address, to max requests per fixed window
+// The counts are kept in memory, so each instance of the server limits its own requests
+const rateLimit = ({
+  max = Number(process.env.RATE_LIMIT_MAX) || 300,
+  windowSeconds = Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+  now = Date.now
+} = {}) => {
+  const windowMs = windowSeconds * 1000;
+  // Counts are only kept for the current window, so clients of past windows are forgotten
+  let window = { start: 0, counts: new Map() };
+
+  return (req, res, next) => {
+    const time = now();
+    const start = time - (time % windowMs);
+    if (start !== window.start) window = { start, counts: new Map() };
+
+    const count = (window.counts.get(req.ip) || 0) + 1;
+    window.counts.set(req.ip, count);
+
+    const reset = Math.ceil((start + windowMs - time) / 1000);
+    res.set({
+      'RateLimit-Limit': max,
+      'RateLimit-Remaining': Math.max(0, max - count),
+      'RateLimit-Reset': reset
+    });
+    if (count > max) {
+      res.set('Retry-After', reset);
+      return next(new TooManyRequestsError(`Too many requests, please retry in ${reset} seconds`));
+    }
+    next();
+  };
+};
+
+// Read the Express "trust proxy" setting of TRUST_PROXY: true, a number of proxies or their addresses
+// Behind a reverse proxy, it makes req.ip the address of the client rather than of the proxy
+const trustProxy = (value = process.env.TRUST_PROXY) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+export {
+  securityHeaders,
+  corsPolicy,
+  rateLimit,
+  trustProxy,
+};
@@ -0,0 +1,85 @@
+/**
+ * Validation Middleware
+ *
+ * Description: This module contains the Express middleware validating request bodies against
+ * the Mongoose models, the same models the OpenAPI schemas are generated from. Unknown or
+ * read-only fields and invalid values are rejected with a ValidationError listing every
+ * problem. Route parameters holding document IDs are checked too, so a malformed ID is a 400
+ * rather than a failed query.
+ */
+
+import mongoose from "mongoose";
+import { isReadOnly } from "../service/openApiSchema.js";
+import { HttpError, BadRequestError, ValidationError, describeFieldError } from "../service/errors.js";
+
+// Collect the problems with the top-level fields sent in a body
+const checkFields = (schema, body) => {
+  const errors = [];
+
+  for (const field of Object.keys(body)) {
+    const schemaType = schema.path(field);
+    if (!schemaType && schema.pathType(field) !== 'nested') {
+      errors.push({ field, message: 'Unknown field' });
+    } else if (schemaType && isReadOnly(schemaType)) {
+      errors.push({ field, message: 'Field is read-only' });
+    }
+  }
+
+  return errors;
+};
+
+// Validate a body against a model and return the list of problems found
+// With partial, only the fields sent are validated, as for an update
+const validateAgainstModel = (model, body, { partial = false } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: '', message: 'Request body must be a JSON object' }];
+  }
+
+  const errors = checkFields(model.schema, body);
+  const fields = Object.keys(body).filter((field) => !errors.some((error) => error.field === field));
+
+  const validation = new model(body).validateSync(partial ? fields : undefined);
+  if (validation) {
+    for (const [field, error] of Object.entries(validation.errors)) {
+      // Read-only fields are filled in by the server, e.g. a test's patientId
+      const schemaType = model.schema.path(field);
+      if (schemaType && isReadOnly(schemaType) && !(field in body)) continue;
+
+      errors.push({ field, message: describeFieldError(error) });
+    }
+  }
+
+  return errors;
+};
+
+// Reject requests whose body does not match the model
+const validateBody = (model, options) => (req, res, next) => {
+  const errors = validateAgainstModel(model, req.body, options);
+  if (errors.length > 0) {
+    return next(new ValidationError(errors));
+  }
+  next();
+};
+
+// Reject requests whose body is not sent with one of the given media types
+const validateContentType = (...types) => (req, res, next) => {
+  if (!req.is(types)) {
+    return next(new HttpError(415, `Content-Type must be ${types.join(' or ')}`));
+  }
+  next();
+};
+
+// Reject requests whose route parameter is not an ObjectId, for use with router.param
+const validateObjectIdParam = (req, res, next, value, name) => {
+  if (!mongoose.isObjectIdOrHexString(value)) {
+    return next(new BadRequestError(`${name} must be a valid ObjectId`));
+  }
+  next();
+};
+
+export {
+  validateAgainstModel,
+  validateBody,
+  validateContentType,
+  validateObjectIdParam,
+};
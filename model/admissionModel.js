@@ -0,0 +1,69 @@
+/**
+ * Admission Model
+ *
+ * Description: This module defines the Mongoose schema and model for patient admissions in
+ * the WellCare hospital management system. An admission tracks the ward and bed a patient is
+ * in from admission to discharge, and keeps every admission, transfer and discharge as a
+ * movement so that the full ADT history can be read back.
+ */
+
+import mongoose from "mongoose";
+
+// Kinds of patient movement recorded on an admission
+export const MOVEMENT_TYPES = ['admission', 'transfer', 'discharge'];
+
+// Statuses an admission can have
+export const ADMISSION_STATUSES = ['active', 'discharged'];
+
+// Define the schema for a movement of the patient
+const movementSchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: MOVEMENT_TYPES },
+
+  // Ward and bed the patient moved to, with their names at the time of the movement
+  wardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward' },
+  wardName: { type: String },
+  bedId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bed' },
+  bedLabel: { type: String },
+
+  at: { type: Date, default: Date.now },
+  notes: { type: String },
+
+  // User who recorded the movement
+  by: {
+    id: { type: String },
+    username: { type: String },
+    role: { type: String }
+  }
+}, { _id: false });
+
+// Define the schema for an admission
+const admissionSchema = new mongoose.Schema({
+  // Patient admitted
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+
+  // Reason for the admission
+  reason: { type: String },
+
+  status: { type: String, enum: ADMISSION_STATUSES, default: 'active' },
+
+  // Ward and bed the patient is currently in, cleared on discharge
+  wardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward' },
+  bedId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bed' },
+
+  admittedAt: { type: Date, default: Date.now },
+  dischargedAt: { type: Date },
+
+  // Every admission, transfer and discharge, oldest first
+  movements: [movementSchema]
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Indexes used to read a patient's admissions and the patients currently on a ward
+admissionSchema.index({ patientId: 1, admittedAt: -1 });
+admissionSchema.index({ status: 1, wardId: 1 });
+
+// Export the Admission model based on the schema
+export default mongoose.model("Admission", admissionSchema);
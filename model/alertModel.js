@@ -0,0 +1,56 @@
+/**
+ * Alert Model
+ *
+ * Description: This module defines the Mongoose schema and model for patient alerts in the
+ * WellCare hospital management system. An alert is raised whenever a patient becomes critical
+ * or recovers, is pushed to subscribed clients, and stays open until a clinician acknowledges
+ * it. Open critical alerts are escalated when they are not acknowledged in time. The name of
+ * the patient is encrypted at rest like the patient's own.
+ */
+
+import mongoose from "mongoose";
+import { protectCopiedPii } from "../service/patientPii.js";
+
+// Kinds of alert raised when a patient's critical condition changes
+export const ALERT_TYPES = ['critical', 'recovered'];
+
+// Define the schema for an alert
+const alertSchema = new mongoose.Schema({
+  // Patient the alert is about, with the details needed to filter and display it
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  patientName: { type: String },
+  ward: { type: String },
+
+  // Whether the patient became critical or recovered
+  type: { type: String, required: true, enum: ALERT_TYPES },
+
+  // Readable reasons for the critical condition at the time of the alert
+  reasons: [{ type: String }],
+
+  // Acknowledgement by a clinician
+  acknowledged: { type: Boolean, default: false },
+  acknowledgedBy: {
+    id: { type: String },
+    username: { type: String },
+    role: { type: String }
+  },
+  acknowledgedAt: { type: Date },
+
+  // Escalation of an alert left unacknowledged past the timeout
+  escalated: { type: Boolean, default: false },
+  escalatedAt: { type: Date }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Indexes used to list open alerts and to find the ones due for escalation
+alertSchema.index({ acknowledged: 1, createdAt: -1 });
+alertSchema.index({ patientId: 1, createdAt: -1 });
+
+// Encrypt the patient's name at rest
+alertSchema.plugin(protectCopiedPii(['patientName']));
+
+// Export the Alert model based on the schema
+export default mongoose.model("Alert", alertSchema);
@@ -0,0 +1,56 @@
+/**
+ * Appointment Model
+ *
+ * Description: This module defines the Mongoose schema and model for the appointments booked
+ * for patients in the WellCare hospital management system. An appointment takes a time slot
+ * with a provider, a doctor or nurse, for the reason given when booking. Booked appointments
+ * can be rescheduled or cancelled, and cancelled appointments free their slot.
+ */
+
+import mongoose from "mongoose";
+
+// Statuses an appointment can have
+export const APPOINTMENT_STATUSES = ['booked', 'cancelled'];
+
+// Roles of the users appointments can be booked with
+export const PROVIDER_ROLES = ['doctor', 'nurse'];
+
+// Define the schema for an appointment
+const appointmentSchema = new mongoose.Schema({
+  // Patient the appointment is booked for
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+
+  // User seeing the patient
+  providerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Time slot, the end being calculated from the start and duration
+  start: { type: Date, required: true },
+  durationMinutes: { type: Number, default: 15, min: 5, max: 480 },
+  end: { type: Date, readOnly: true },
+
+  // Reason for the visit
+  reason: { type: String },
+
+  // Cancelled appointments are kept with the reason they were cancelled
+  status: { type: String, enum: APPOINTMENT_STATUSES, default: 'booked', readOnly: true },
+  cancelledAt: { type: Date, readOnly: true },
+  cancellationReason: { type: String, readOnly: true }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Indexes used to list a provider's or a patient's appointments and to find overlapping slots
+appointmentSchema.index({ providerId: 1, start: 1 });
+appointmentSchema.index({ patientId: 1, start: 1 });
+
+// Calculate the end of the time slot from its start and duration
+appointmentSchema.pre('validate', function () {
+  if (this.start && this.durationMinutes) {
+    this.end = new Date(this.start.getTime() + this.durationMinutes * 60 * 1000);
+  }
+});
+
+// Export the Appointment model based on the schema
+export default mongoose.model("Appointment", appointmentSchema);
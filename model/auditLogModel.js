@@ -0,0 +1,73 @@
+/**
+ * Audit Log Model
+ *
+ * Description: This module defines the Mongoose schema and model for the audit trail of the
+ * WellCare hospital management system. Every change to a patient or test, and every read of
+ * a patient's history, is recorded with the user, time, route and before/after state.
+ * Entries are append-only: the model refuses to update or delete them.
+ */
+
+import mongoose from "mongoose";
+
+// Define the schema for a single field change
+const changeSchema = new mongoose.Schema({
+  path: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// Define the schema for an audit log entry
+const auditLogSchema = new mongoose.Schema({
+  // Kind of operation performed
+  action: { type: String, required: true, enum: ['create', 'update', 'delete', 'restore', 'purge', 'merge', 'read'] },
+
+  // Kind of record and the record affected
+  entity: { type: String, required: true, enum: ['Patient', 'Test', 'Appointment', 'MedicationOrder', 'MedicationAdministration', 'Admission'] },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  // Patient the record belongs to, used to list a patient's trail
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+
+  // User who performed the operation
+  user: {
+    id: { type: String },
+    username: { type: String },
+    role: { type: String }
+  },
+
+  // Route the operation came through
+  route: {
+    method: { type: String },
+    path: { type: String }
+  },
+
+  // Full record before and after the operation, and the fields that changed
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  changes: [changeSchema],
+
+  // Time of the operation
+  at: { type: Date, required: true, default: Date.now }
+});
+
+// Index used to list a patient's trail in order
+auditLogSchema.index({ patientId: 1, at: 1 });
+
+// Refuse any change to an entry once it has been written
+const rejectChange = function () {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) rejectChange();
+});
+
+for (const operation of [
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+]) {
+  auditLogSchema.pre(operation, rejectChange);
+}
+
+// Export the AuditLog model based on the schema
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,34 @@
+/**
+ * Bed Model
+ *
+ * Description: This module defines the Mongoose schema and model for the beds of a ward. A bed
+ * holds the patient currently occupying it, which is set and cleared in the same update that
+ * checks it, so that two patients can never be given the same bed.
+ */
+
+import mongoose from "mongoose";
+
+// Define the schema for a bed
+const bedSchema = new mongoose.Schema({
+  // Ward the bed belongs to
+  wardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward', required: true, readOnly: true },
+
+  // Label of the bed, unique within its ward, e.g. "B12"
+  label: { type: String, required: true, trim: true },
+
+  // Beds out of service cannot be given to patients
+  active: { type: Boolean, default: true },
+
+  // Patient occupying the bed, maintained by admissions, transfers and discharges
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', default: null, readOnly: true }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Index keeping bed labels unique within a ward
+bedSchema.index({ wardId: 1, label: 1 }, { unique: true });
+
+// Export the Bed model based on the schema
+export default mongoose.model("Bed", bedSchema);
@@ -0,0 +1,51 @@
+/**
+ * Medication Administration Model
+ *
+ * Description: This module defines the Mongoose schema and model for the record of each dose
+ * of a medication order given to a patient, along with the time it was given and the nurse
+ * who gave it. Doses the patient refused or that were held are recorded too, so that they are
+ * not reported as missed.
+ */
+
+import mongoose from "mongoose";
+
+// Outcomes of a scheduled dose
+export const ADMINISTRATION_STATUSES = ['given', 'refused', 'held'];
+
+// Define the schema for a medication administration
+const medicationAdministrationSchema = new mongoose.Schema({
+  // Order the dose belongs to and the patient it was given to
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'MedicationOrder', required: true, readOnly: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, readOnly: true },
+
+  // Time the dose was given, defaulting to when it is recorded
+  givenAt: { type: Date, default: Date.now },
+
+  // Dose given, defaulting to the dose of the order
+  dose: { type: Number, min: 0 },
+
+  status: { type: String, enum: ADMINISTRATION_STATUSES, default: 'given' },
+
+  // Reason a dose was refused or held, or other remarks
+  notes: { type: String },
+
+  // User who recorded the dose
+  givenBy: {
+    type: new mongoose.Schema({
+      id: { type: String },
+      username: { type: String },
+      role: { type: String }
+    }, { _id: false }),
+    readOnly: true
+  }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Index used to list the doses given against an order in time order
+medicationAdministrationSchema.index({ orderId: 1, givenAt: 1 });
+
+// Export the MedicationAdministration model based on the schema
+export default mongoose.model("MedicationAdministration", medicationAdministrationSchema);
@@ -0,0 +1,73 @@
+/**
+ * Medication Order Model
+ *
+ * Description: This module defines the Mongoose schema and model for the medications
+ * prescribed to patients in the WellCare hospital management system. An order gives the dose,
+ * the route it is given by and how often it is due, and stays active until it is stopped or
+ * reaches its end date. The doses given against an order are recorded as administrations.
+ */
+
+import mongoose from "mongoose";
+
+// Routes a medication can be given by
+export const MEDICATION_ROUTES = ['oral', 'sublingual', 'intravenous', 'intramuscular', 'subcutaneous', 'topical', 'inhaled', 'rectal'];
+
+// Statuses a medication order can have
+export const ORDER_STATUSES = ['active', 'stopped'];
+
+// Define the schema for the user who prescribed or stopped an order
+const userRefSchema = new mongoose.Schema({
+  id: { type: String },
+  username: { type: String },
+  role: { type: String }
+}, { _id: false });
+
+// Define the schema for a medication order
+const medicationOrderSchema = new mongoose.Schema({
+  // Reference to the patient the medication is prescribed for
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, readOnly: true },
+
+  // Medication name, e.g. "Amoxicillin"
+  name: { type: String, required: true, trim: true },
+
+  // Dose given each time, e.g. 500 mg
+  dose: { type: Number, required: true, min: 0 },
+  doseUnit: { type: String, required: true },
+
+  route: { type: String, required: true, enum: MEDICATION_ROUTES },
+
+  // Hours between doses; medications given as needed have no schedule
+  frequencyHours: {
+    type: Number,
+    min: 1,
+    max: 168,
+    required() {
+      return !this.asNeeded;
+    }
+  },
+  asNeeded: { type: Boolean, default: false },
+
+  // Period the order runs for, open-ended when there is no end
+  startAt: { type: Date, default: Date.now },
+  endAt: { type: Date },
+
+  notes: { type: String },
+
+  // Allergies the prescriber chose to override when the order was checked against them
+  allergyOverrides: { type: [String], readOnly: true },
+
+  status: { type: String, enum: ORDER_STATUSES, default: 'active', readOnly: true },
+  prescribedBy: { type: userRefSchema, readOnly: true },
+  stoppedBy: { type: userRefSchema, readOnly: true },
+  stoppedAt: { type: Date, readOnly: true }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Index used to list a patient's medications
+medicationOrderSchema.index({ patientId: 1, status: 1, startAt: 1 });
+
+// Export the MedicationOrder model based on the schema
+export default mongoose.model("MedicationOrder", medicationOrderSchema);
@@ -7,10 +7,57 @@
  * Description: This module defines the Mongoose schema and model for patients
  * in the WellCare hospital management system. It includes fields for storing
  * patient details such as name, age, gender, address, phone number, medical history,
- * and critical condition status.
+ * critical condition status and the rule flags behind it. Fields marked readOnly are
+ * maintained by the server and cannot be set through the API. The name, address and phone
+ * number are encrypted at rest and searched through their blind index.
  */
 
 import mongoose from "mongoose";
+import { versionQueryUpdates } from "../service/concurrency.js";
+import { protectPii } from "../service/patientPii.js";
+
+// Define the schema for a flag raised by a clinical rule
+const flagSchema = new mongoose.Schema({
+  // Test that raised the flag
+  testId: { type: mongoose.Schema.Types.ObjectId, ref: 'Test' },
+  testType: { type: String },
+  metric: { type: String },
+  value: { type: Number },
+
+  // Whether the reading was below (low) or above (high) the band
+  direction: { type: String, enum: ['low', 'high'] },
+  severity: { type: String, enum: ['warning', 'critical'] },
+
+  // Rule and rule version that triggered the flag
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'Rule' },
+  ruleVersion: { type: Number },
+
+  flaggedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Define the schema for a patient's early-warning score
+const scoreSchema = new mongoose.Schema({
+  // Aggregate NEWS2-style score and the risk level it maps to
+  score: { type: Number },
+  risk: { type: String, enum: ['low', 'low-medium', 'medium', 'high'] },
+
+  // Points contributed by each test type
+  components: [{
+    testType: { type: String },
+    value: { type: String },
+    points: { type: Number },
+    _id: false
+  }],
+
+  // Test types with no reading to score
+  missing: [{ type: String }],
+
+  // Direction of the score compared to the previous calculation
+  trend: { type: String, enum: ['rising', 'falling', 'stable'] },
+  previousScore: { type: Number },
+
+  calculatedAt: { type: Date }
+}, { _id: false });
 
 // Define the schema for a patient
 const patientSchema = new mongoose.Schema({
@@ -31,14 +78,75 @@ const patientSchema = new mongoose.Schema({
   
   // Array to store patient's medical history as strings
   medicalHistory: [{ type: String }],
+
+  // Known allergies, e.g. "Penicillin", checked when medications are prescribed
+  allergies: [{ type: String }],
+
+  // Current admission, with the name of the ward and the label of the bed the patient is in
+  // Maintained by admissions, transfers and discharges; the ward is also used to route alerts
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admission', default: null, readOnly: true },
+  ward: { type: String, readOnly: true },
+  bed: { type: String, readOnly: true },
   
   // Boolean flag to indicate if the patient is in a critical condition
-  criticalCondition: { type: Boolean, default: false }
+  criticalCondition: { type: Boolean, default: false, readOnly: true },
+
+  // Readable reasons for the critical condition, e.g. "BP 190/110 high"
+  criticalReasons: { type: [String], readOnly: true },
+
+  // Flags raised by the clinical rules on the latest reading of each test type
+  flags: { type: [flagSchema], readOnly: true },
+
+  // Latest early-warning score, recalculated whenever the patient's tests change
+  earlyWarningScore: { type: scoreSchema, readOnly: true },
+
+  // Archived patients are hidden from lists but can be restored
+  archived: { type: Boolean, default: false, readOnly: true },
+  archivedAt: { type: Date, readOnly: true },
+
+  // A patient merged into another record is kept archived as a tombstone pointing to it
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', readOnly: true },
+  mergedAt: { type: Date, readOnly: true },
+
+  // Records merged into this patient
+  mergedFrom: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Patient' }], readOnly: true },
+
+  // Previous scores, most recent last, used to chart the trend
+  scoreHistory: {
+    type: [{
+      score: { type: Number },
+      risk: { type: String },
+      calculatedAt: { type: Date },
+      _id: false
+    }],
+    readOnly: true
+  },
+
+  // Keyed hashes of the words of the encrypted name and address and of the phone digits
+  piiIndex: { type: [String], select: false, readOnly: true }
 },
 {
   // Include timestamps for creation and last update
-  timestamps: true
+  timestamps: true,
+  // Refuse to save over a version changed by another request since the document was loaded
+  optimisticConcurrency: true
 });
 
+// Increment the version on every update, which is sent as the ETag of the record
+patientSchema.plugin(versionQueryUpdates);
+
+// Encrypt the name, address and phone number at rest
+patientSchema.plugin(protectPii);
+
+// Index used to rank patients by early-warning score
+patientSchema.index({ 'earlyWarningScore.score': -1 });
+
+// Index used to search the encrypted fields by their keyed hashes
+patientSchema.index({ piiIndex: 1 });
+
+// Text index used to search patients by medical history
+// The encrypted fields are left out since their ciphertext has no words to match
+patientSchema.index({ medicalHistory: 'text' }, { name: 'patient_history_search' });
+
 // Export the Patient model based on the schema
 export default mongoose.model("Patient", patientSchema);
@@ -0,0 +1,86 @@
+/**
+ * Rule Model
+ *
+ * Description: This module defines the Mongoose schema and model for clinical threshold
+ * rules in the WellCare hospital management system. Each rule applies to one measured
+ * metric of a test type and holds the min/max bands that raise a warning or critical
+ * flag, along with a version number and the history of previous versions.
+ */
+
+import mongoose from "mongoose";
+import { TEST_TYPES } from "./testsModel.js";
+
+// Severity levels a rule band can raise
+export const SEVERITIES = ['warning', 'critical'];
+
+// Define the schema for a threshold band
+// A reading below min or above max raises the band's severity
+const bandSchema = new mongoose.Schema({
+  severity: { type: String, required: true, enum: SEVERITIES },
+  min: { type: Number },
+  max: {
+    type: Number,
+    validate: {
+      validator: function (max) {
+        return this.min == null || max == null || this.min <= max;
+      },
+      message: 'max must not be below min'
+    }
+  }
+}, { _id: false });
+
+// Define the schema for a previous version of a rule
+const ruleVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  description: { type: String },
+  bands: [bandSchema],
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Define the schema for a clinical threshold rule
+const ruleSchema = new mongoose.Schema({
+  // Test type the rule applies to
+  testType: { type: String, required: true, enum: TEST_TYPES },
+
+  // Metric of the test value being checked
+  // Blood pressure is checked per systolic/diastolic, every other type uses its value
+  metric: { type: String, required: true, enum: ['value', 'systolic', 'diastolic'] },
+
+  // Optional human readable explanation of the rule
+  description: { type: String },
+
+  // Threshold bands, at least one is required
+  bands: {
+    type: [bandSchema],
+    validate: {
+      validator: (bands) => bands.length > 0,
+      message: 'A rule needs at least one band'
+    }
+  },
+
+  // Current version of the rule, incremented on every change
+  version: { type: Number, default: 1, readOnly: true },
+
+  // Previous versions of the rule, oldest first
+  history: { type: [ruleVersionSchema], readOnly: true },
+
+  // Archived rules no longer flag readings but are kept for the flags that reference them
+  archived: { type: Boolean, default: false, readOnly: true },
+  archivedAt: { type: Date, readOnly: true }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true,
+  // Two clinicians updating a rule at once cannot both save the same version
+  optimisticConcurrency: true
+});
+
+// Only one active rule per test type and metric
+ruleSchema.index({ testType: 1, metric: 1 }, {
+  name: 'active_rule_per_metric',
+  unique: true,
+  partialFilterExpression: { archived: false }
+});
+
+// Export the Rule model based on the schema
+export default mongoose.model("Rule", ruleSchema);
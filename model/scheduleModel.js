@@ -0,0 +1,23 @@
+/**
+ * Schedule Model
+ *
+ * Description: This module defines the Mongoose schema and model for the schedules of the
+ * providers and patients appointments are booked for, a schedule sharing the ID of its owner.
+ * Bookings write to the schedules of their provider and patient in the transaction checking
+ * their time slot, so that two bookings for the same provider or patient cannot both find the
+ * slot free.
+ */
+
+import mongoose from "mongoose";
+
+// Define the schema for a schedule
+const scheduleSchema = new mongoose.Schema({
+  // Provider or patient the schedule belongs to
+  _id: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  // Time of the last booking checked against the schedule
+  lockedAt: { type: Date }
+});
+
+// Export the Schedule model based on the schema
+export default mongoose.model("Schedule", scheduleSchema);
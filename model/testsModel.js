@@ -7,15 +7,39 @@
  * Description: This module defines the Mongoose schema and model for medical tests
  * in the WellCare hospital management system. It includes fields for storing
  * test details such as the associated patient, date of the test, type of test,
- * and the test value.
+ * and the measured values. Blood pressure is stored as systolic/diastolic numbers,
+ * consciousness as an ACVPU level and every other type as a numeric value with a unit,
+ * each validated according to the test type.
  */
 
 import mongoose from "mongoose";
+import { TEST_UNITS, CONSCIOUSNESS_LEVELS, NUMERIC_TYPES, normalizeLevel } from "../service/measurement.js";
+import { versionQueryUpdates } from "../service/concurrency.js";
+
+// Supported test types, shared with the clinical rules
+export const TEST_TYPES = [
+  'Blood Pressure',
+  'Respiratory Rate',
+  'Blood Oxygen Level',
+  'Heartbeat Rate',
+  'Temperature',
+  'Consciousness Level'
+];
+
+// Validator rejecting a measurement field on test types it does not apply to
+// Passes when the type is unknown, e.g. when validating a partial update
+function appliesTo(types, field) {
+  return {
+    validator: function (value) { return value == null || !this.type || types.includes(this.type); },
+    message: `${field} does not apply to this test type`
+  };
+}
 
 // Define the schema for a medical test
 const testSchema = new mongoose.Schema({
   // Reference to the Patient model, linking each test to a specific patient
-  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  // Set from the URL, so it cannot be changed through the request body
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, readOnly: true },
   
   // Date when the test was conducted, defaults to the current date and time
   date: { type: Date, required: true, default: Date.now },
@@ -25,16 +49,72 @@ const testSchema = new mongoose.Schema({
   type: { 
     type: String, 
     required: true,
-    enum: ['Blood Pressure', 'Respiratory Rate', 'Blood Oxygen Level', 'Heartbeat Rate']
+    enum: TEST_TYPES
   },
   
-  // The result or value of the test
-  // Stored as a string to accommodate different formats (e.g., "120/80" for blood pressure)
-  value: { type: String, required: true }
+  // Numeric result of the test, e.g. 72 for a heart rate or 37.2 for a temperature
+  // Required for every type except blood pressure and consciousness level
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    required: [function () { return NUMERIC_TYPES.includes(this.type); }, 'A numeric value is required for this test type'],
+    validate: appliesTo(NUMERIC_TYPES, 'value')
+  },
+
+  // Blood pressure readings in mmHg
+  systolic: {
+    type: Number,
+    min: [0, 'Systolic pressure cannot be negative'],
+    required: [function () { return this.type === 'Blood Pressure'; }, 'Systolic pressure is required for blood pressure'],
+    validate: appliesTo(['Blood Pressure'], 'systolic')
+  },
+  diastolic: {
+    type: Number,
+    min: [0, 'Diastolic pressure cannot be negative'],
+    required: [function () { return this.type === 'Blood Pressure'; }, 'Diastolic pressure is required for blood pressure'],
+    validate: appliesTo(['Blood Pressure'], 'diastolic')
+  },
+
+  // Consciousness level on the ACVPU scale, e.g. "A" for alert
+  level: {
+    type: String,
+    enum: CONSCIOUSNESS_LEVELS,
+    set: normalizeLevel,
+    required: [function () { return this.type === 'Consciousness Level'; }, 'A level is required for consciousness level'],
+    validate: appliesTo(['Consciousness Level'], 'level')
+  },
+
+  // Unit of the reading, defaults to the unit of the test type
+  unit: {
+    type: String,
+    validate: {
+      validator: function (unit) { return !this.type || unit === TEST_UNITS[this.type]; },
+      message: (props) => `Unit ${props.value} is not valid for this test type`
+    }
+  },
+
+  // Tests are archived along with their patient and hidden until the patient is restored
+  archived: { type: Boolean, default: false, readOnly: true }
 },
 {
   // Include timestamps for creation and last update
-  timestamps: true
+  timestamps: true,
+  // Refuse to save a test that another request saved since it was loaded
+  optimisticConcurrency: true
+});
+
+// Increment the version, sent as the test's ETag, on updates made through queries too
+testSchema.plugin(versionQueryUpdates);
+
+// Index used to list a patient's tests by date
+testSchema.index({ patientId: 1, date: -1 });
+
+// Index used to aggregate a patient's vital signs per type over a date range
+testSchema.index({ patientId: 1, type: 1, date: 1 });
+
+// Default the unit to the one used by the test type
+testSchema.pre('validate', function () {
+  if (!this.unit && TEST_UNITS[this.type]) this.unit = TEST_UNITS[this.type];
 });
 
 // Export the Test model based on the schema
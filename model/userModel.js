@@ -0,0 +1,53 @@
+/**
+ * User Model
+ *
+ * Description: This module defines the Mongoose schema and model for the staff accounts
+ * allowed to use the WellCare hospital management API. Each user has a role that decides
+ * which operations they may perform, and passwords are only stored as bcrypt hashes.
+ */
+
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+// Roles a user can hold
+// Nurses record tests, doctors edit patients, admins manage everything and auditors only read
+export const ROLES = ['nurse', 'doctor', 'admin', 'auditor'];
+
+// Define the schema for a user
+const userSchema = new mongoose.Schema({
+  // Unique login name, stored in lowercase
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+
+  // bcrypt hash of the user's password, never returned by queries unless explicitly selected
+  passwordHash: { type: String, required: true, select: false },
+
+  // Display name of the user
+  name: { type: String },
+
+  // Role used for access control
+  role: { type: String, required: true, enum: ROLES },
+
+  // Inactive users can no longer log in, and the tokens they hold are refused
+  active: { type: Boolean, default: true },
+
+  // Tokens issued before the password was last changed are refused
+  passwordChangedAt: { type: Date }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Hash and store a new password
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, 10);
+  this.passwordChangedAt = new Date();
+};
+
+// Check a password against the stored hash
+userSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(String(password), this.passwordHash);
+};
+
+// Export the User model based on the schema
+export default mongoose.model("User", userSchema);
@@ -0,0 +1,24 @@
+/**
+ * Ward Model
+ *
+ * Description: This module defines the Mongoose schema and model for the wards of the
+ * WellCare hospital. Patients are admitted to a ward, and to one of its beds, and the ward's
+ * name is kept on the patient so that alerts can be routed to it.
+ */
+
+import mongoose from "mongoose";
+
+// Define the schema for a ward
+const wardSchema = new mongoose.Schema({
+  // Unique name of the ward, e.g. "ICU"
+  name: { type: String, required: true, unique: true, trim: true },
+
+  description: { type: String }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Export the Ward model based on the schema
+export default mongoose.model("Ward", wardSchema);
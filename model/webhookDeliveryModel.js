@@ -0,0 +1,46 @@
+/**
+ * Webhook Delivery Model
+ *
+ * Description: This module defines the Mongoose schema and model for the webhook delivery
+ * log in the WellCare hospital management system. A delivery holds the payload sent for one
+ * event to one webhook, every attempt made to deliver it and when the next retry is due.
+ */
+
+import mongoose from "mongoose";
+
+// Define the schema for a delivery attempt
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+
+  // HTTP status returned by the receiver, or the error when none was returned
+  statusCode: { type: Number },
+  error: { type: String },
+
+  durationMs: { type: Number }
+}, { _id: false });
+
+// Define the schema for a webhook delivery
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+
+  // JSON body sent to the receiver
+  payload: { type: mongoose.Schema.Types.Mixed },
+
+  // Pending deliveries are retried until they succeed or run out of attempts
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: [attemptSchema],
+  nextAttemptAt: { type: Date },
+  deliveredAt: { type: Date }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Indexes used to find the deliveries due for a retry and to list a webhook's deliveries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Export the WebhookDelivery model based on the schema
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,83 @@
+/**
+ * Webhook Model
+ *
+ * Description: This module defines the Mongoose schema and model for webhook subscriptions
+ * in the WellCare hospital management system. A webhook receives a signed HTTP callback for
+ * each patient or test lifecycle event it subscribes to. Its signing secret is generated by
+ * the server and only returned when the webhook is created.
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  'patient.created',
+  'patient.updated',
+  'patient.deleted',
+  'patient.restored',
+  'patient.purged',
+  'patient.merged',
+  'patient.critical',
+  'patient.recovered',
+  'patient.admitted',
+  'patient.transferred',
+  'patient.discharged',
+  'test.created',
+  'test.updated',
+  'test.deleted',
+  'appointment.booked',
+  'appointment.rescheduled',
+  'appointment.cancelled',
+  'medication.prescribed',
+  'medication.stopped',
+  'medication.administered'
+];
+
+// Check that a callback URL is an absolute HTTP(S) URL
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Define the schema for a webhook subscription
+const webhookSchema = new mongoose.Schema({
+  // URL receiving the callbacks
+  url: {
+    type: String,
+    required: true,
+    validate: { validator: isHttpUrl, message: 'url must be an absolute http or https URL' }
+  },
+
+  // Events delivered to the webhook
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: { validator: (events) => events.length > 0, message: 'A webhook needs at least one event' }
+  },
+
+  description: { type: String },
+
+  // Inactive webhooks receive no callbacks
+  active: { type: Boolean, default: true },
+
+  // Secret used to sign the callbacks with HMAC-SHA256
+  secret: {
+    type: String,
+    select: false,
+    readOnly: true,
+    default: () => crypto.randomBytes(32).toString('hex')
+  }
+},
+{
+  // Include timestamps for creation and last update
+  timestamps: true
+});
+
+// Index used to find the active webhooks subscribed to an event
+webhookSchema.index({ active: 1, events: 1 });
+
+// Export the Webhook model based on the schema
+export default mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,175 @@
+/**
+ * Admissions API Routes
+ *
+ * Description: This module defines the API routes for admitting, transferring and discharging
+ * patients and for reading their admission history, along with Swagger documentation for each
+ * endpoint.
+ */
+
+import express from 'express';
+import {
+  admitPatient,
+  transferPatient,
+  dischargePatient,
+  getPatientAdmissions
+} from '../controller/admissionsController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/patients/{id}/admissions:
+ *   get:
+ *     summary: Get a patient's admissions with every admission, transfer and discharge
+ *     tags: [Admissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The patient's admissions, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Admission'
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/patients/:id/admissions', asyncHandler(getPatientAdmissions));
+
+/**
+ * @swagger
+ * /api/patients/{id}/admit:
+ *   post:
+ *     summary: Admit a patient to a ward, and to one of its beds when bedId is given
+ *     description: Requires the nurse, doctor or admin role
+ *     tags: [Admissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [wardId]
+ *             properties:
+ *               wardId:
+ *                 type: string
+ *               bedId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The new admission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admission'
+ *       400:
+ *         description: wardId or bedId is invalid
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient or ward not found
+ *       409:
+ *         description: The patient is already admitted or the bed is not available
+ */
+router.post('/patients/:id/admit', authorize('nurse', 'doctor', 'admin'), asyncHandler(admitPatient));
+
+/**
+ * @swagger
+ * /api/patients/{id}/transfer:
+ *   post:
+ *     summary: Transfer an admitted patient to another ward or bed
+ *     description: Requires the nurse, doctor or admin role
+ *     tags: [Admissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [wardId]
+ *             properties:
+ *               wardId:
+ *                 type: string
+ *               bedId:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The admission with the transfer recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admission'
+ *       400:
+ *         description: wardId or bedId is invalid, or the patient is already there
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient or ward not found
+ *       409:
+ *         description: The patient is not admitted or the bed is not available
+ */
+router.post('/patients/:id/transfer', authorize('nurse', 'doctor', 'admin'), asyncHandler(transferPatient));
+
+/**
+ * @swagger
+ * /api/patients/{id}/discharge:
+ *   post:
+ *     summary: Discharge an admitted patient, releasing their bed
+ *     description: Requires the nurse, doctor or admin role
+ *     tags: [Admissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The discharged admission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admission'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: The patient is not admitted
+ */
+router.post('/patients/:id/discharge', authorize('nurse', 'doctor', 'admin'), asyncHandler(dischargePatient));
+
+export default router;
@@ -0,0 +1,139 @@
+/**
+ * Alerts API Routes
+ *
+ * Description: This module defines the API routes for patient alerts raised when a patient
+ * becomes critical or recovers, along with Swagger documentation for each endpoint.
+ */
+
+import express from 'express';
+import {
+  streamAlerts,
+  getAlerts,
+  acknowledgeAlert
+} from '../controller/alertsController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: Retrieve alerts, most recent first
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: ward
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patientId
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [critical, recovered]
+ *       - in: query
+ *         name: acknowledged
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: escalated
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: A page of alerts, with the patient's name masked unless unmasked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Alert'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ */
+router.get('/alerts', asyncHandler(getAlerts));
+
+/**
+ * @swagger
+ * /api/alerts/stream:
+ *   get:
+ *     summary: Subscribe to alerts as Server-Sent Events
+ *     description: Sends alert.raised, alert.acknowledged and alert.escalated events whose data is the alert, with the patient's name masked unless unmasked. The stream stays open until the client disconnects.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: ward
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only receive alerts for patients in this ward
+ *       - in: query
+ *         name: patientId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only receive alerts for this patient
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: An event stream of alerts
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ */
+router.get('/alerts/stream', streamAlerts);
+
+/**
+ * @swagger
+ * /api/alerts/{id}/ack:
+ *   post:
+ *     summary: Acknowledge an alert
+ *     description: Requires the nurse, doctor or admin role
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged, with the patient's name masked unless unmasked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert already acknowledged
+ */
+router.post('/alerts/:id/ack', authorize('nurse', 'doctor', 'admin'), asyncHandler(acknowledgeAlert));
+
+export default router;
@@ -0,0 +1,224 @@
+/**
+ * Appointments API Routes
+ *
+ * Description: This module defines the API routes for booking, rescheduling, cancelling and
+ * listing patient appointments, along with Swagger documentation for each endpoint.
+ */
+
+import express from 'express';
+import {
+  getAppointments,
+  getAppointmentById,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment
+} from '../controller/appointmentsController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import { validateBody } from '../middleware/validationMiddleware.js';
+import Appointment from '../model/appointmentModel.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   get:
+ *     summary: Retrieve a page of appointments in time order
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: false
+ *         description: Only list the appointments starting on this day (UTC)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: providerId
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patientId
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [booked, cancelled]
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: A page of appointments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid date, limit, sort or cursor
+ */
+router.get('/appointments', asyncHandler(getAppointments));
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   post:
+ *     summary: Book an appointment for a patient with a provider
+ *     description: Requires the nurse, doctor or admin role. The provider must be an active doctor or nurse
+ *     tags: [Appointments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Appointment'
+ *     responses:
+ *       201:
+ *         description: The booked appointment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: The slot is in the past or the provider cannot be booked
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient or provider not found
+ *       409:
+ *         description: The time slot overlaps a booked appointment of the provider or patient, returned as conflicts
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/appointments', authorize('nurse', 'doctor', 'admin'), validateBody(Appointment), asyncHandler(bookAppointment));
+
+/**
+ * @swagger
+ * /api/appointments/{appointmentId}:
+ *   get:
+ *     summary: Get an appointment by ID
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/appointments/:appointmentId', asyncHandler(getAppointmentById));
+
+/**
+ * @swagger
+ * /api/appointments/{appointmentId}/reschedule:
+ *   post:
+ *     summary: Move a booked appointment to another time slot, duration or provider
+ *     description: Requires the nurse, doctor or admin role
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               durationMinutes:
+ *                 type: number
+ *               providerId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The rescheduled appointment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: The slot is in the past or the provider cannot be booked
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Appointment or provider not found
+ *       409:
+ *         description: The appointment is cancelled, or the new slot overlaps a booked appointment
+ *       422:
+ *         description: The body has other fields than start, durationMinutes and providerId, or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/appointments/:appointmentId/reschedule', authorize('nurse', 'doctor', 'admin'), validateBody(Appointment, { partial: true }), asyncHandler(rescheduleAppointment));
+
+/**
+ * @swagger
+ * /api/appointments/{appointmentId}/cancel:
+ *   post:
+ *     summary: Cancel a booked appointment, freeing its time slot
+ *     description: Requires the nurse, doctor or admin role
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The cancelled appointment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: The appointment is already cancelled
+ */
+router.post('/appointments/:appointmentId/cancel', authorize('nurse', 'doctor', 'admin'), asyncHandler(cancelAppointment));
+
+export default router;
@@ -0,0 +1,148 @@
+/**
+ * Auth API Routes
+ *
+ * Description: This module defines the API routes for logging in and managing staff
+ * accounts, along with Swagger documentation for each endpoint. Only the login route
+ * can be used without a token.
+ */
+
+import express from 'express';
+import {
+  login,
+  getCurrentUser,
+  addUser,
+  getAllUsers,
+  updateUser
+} from '../controller/authController.js';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in and receive a signed token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The token to send in the Authorization header as a bearer token, and the logged in user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Invalid username or password
+ */
+router.post('/auth/login', asyncHandler(login));
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the logged in user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The user the token was issued to
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ */
+router.get('/auth/me', authenticate, asyncHandler(getCurrentUser));
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Retrieve all staff accounts (admin only)
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: A list of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ */
+router.get('/users', authenticate, authorize('admin'), asyncHandler(getAllUsers));
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Add a staff account (admin only)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/User'
+ *               - type: object
+ *                 required: [password]
+ *                 properties:
+ *                   password:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: The user was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ */
+router.post('/users', authenticate, authorize('admin'), asyncHandler(addUser));
+
+/**
+ * @swagger
+ * /api/users/{userId}:
+ *   put:
+ *     summary: Update a staff account (admin only)
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/User'
+ *     responses:
+ *       200:
+ *         description: User updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ */
+router.put('/users/:userId', authenticate, authorize('admin'), asyncHandler(updateUser));
+
+export default router;
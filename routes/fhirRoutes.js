@@ -0,0 +1,156 @@
+/**
+ * FHIR API Routes
+ *
+ * Description: This module defines the HL7 FHIR R4 routes used to exchange patients and
+ * their vital-sign observations with other hospital systems, along with Swagger
+ * documentation for each endpoint. The router is mounted at /fhir and its resources use
+ * the application/fhir+json media type. Its errors are answered with OperationOutcome
+ * resources by the fhirErrorHandler mounted after it.
+ */
+
+import express from 'express';
+import {
+  getFhirPatient,
+  searchFhirObservations,
+  getFhirPatientEverything,
+  importFhirBundle
+} from '../controller/fhirController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /fhir/Patient/{id}:
+ *   get:
+ *     summary: Get a patient as a FHIR Patient resource
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: FHIR Patient resource, with the name, address and phone number masked unless unmasked
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               type: object
+ *       403:
+ *         description: OperationOutcome reporting that unmasking was asked for by a role that is not allowed it
+ *       404:
+ *         description: OperationOutcome reporting that the patient was not found
+ *       410:
+ *         description: OperationOutcome reporting that the patient was archived or merged into another patient
+ */
+router.get('/Patient/:id', asyncHandler(getFhirPatient));
+
+/**
+ * @swagger
+ * /fhir/Patient/{id}/$everything:
+ *   get:
+ *     summary: Get a patient and all their tests as a FHIR Bundle
+ *     description: Returns a searchset Bundle holding the Patient resource, with the name, address and phone number masked unless unmasked, followed by an Observation resource for every test, most recent first.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Include the tests of an archived patient
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: FHIR Bundle
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               type: object
+ *       403:
+ *         description: OperationOutcome reporting that unmasking was asked for by a role that is not allowed it
+ *       404:
+ *         description: OperationOutcome reporting that the patient was not found
+ *       410:
+ *         description: OperationOutcome reporting that the patient was archived or merged into another patient
+ */
+router.get('/Patient/:id/\\$everything', asyncHandler(getFhirPatientEverything));
+
+/**
+ * @swagger
+ * /fhir/Observation:
+ *   get:
+ *     summary: Search a patient's tests as FHIR Observation resources
+ *     description: Observations are coded with LOINC and measured in UCUM units.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: query
+ *         name: patient
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID, optionally prefixed with Patient/
+ *       - in: query
+ *         name: code
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: LOINC code of the observations, e.g. 8867-4 for heart rate
+ *     responses:
+ *       200:
+ *         description: FHIR searchset Bundle of Observation resources
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: OperationOutcome reporting a missing or invalid patient parameter
+ */
+router.get('/Observation', asyncHandler(searchFhirObservations));
+
+/**
+ * @swagger
+ * /fhir:
+ *   post:
+ *     summary: Import a FHIR Bundle of Patient and Observation resources
+ *     description: Requires the nurse, doctor or admin role. Every entry is validated before anything is created, and all records are created in a single transaction. Observations reference a Patient of the Bundle by its fullUrl, or an existing patient as Patient/<id>.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: query
+ *         name: allowDuplicates
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Import patients even if they may duplicate existing patients, flagging them in the response
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/fhir+json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: transaction-response or batch-response Bundle with the location of every created resource
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               type: object
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       409:
+ *         description: OperationOutcome listing the patients that may duplicate existing patients
+ *       422:
+ *         description: OperationOutcome listing the invalid entries
+ */
+router.post('/', authorize('nurse', 'doctor', 'admin'), asyncHandler(importFhirBundle));
+
+export default router;
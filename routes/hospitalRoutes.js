@@ -14,20 +14,41 @@ import express from 'express';
 import { 
   addPatient, 
   getAllPatients, 
+  searchPatients,
   getPatientById, 
   addTestForPatient, 
   getTestsForPatient, 
+  getPatientVitals,
   getPatientHistory, 
+  getPatientReport,
   getCriticalPatients,
+  getPatientStatus,
+  getPatientScore,
+  getPatientScoreRanking,
   updatePatient,
+  patchPatient,
   deletePatient,
+  restorePatient,
+  purgePatient,
+  mergePatient,
   updateTest,
+  patchTest,
   deleteTest,
-  getTestById
+  getTestById,
+  getPatientAudit
 } from '../controller/hospitalController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import { validateBody, validateContentType, validateObjectIdParam } from '../middleware/validationMiddleware.js';
+import Patient from '../model/patientModel.js';
+import Test from '../model/testsModel.js';
 
 const router = express.Router();
 
+// Patient and test IDs in the URL must be ObjectIds
+router.param('id', validateObjectIdParam);
+router.param('testId', validateObjectIdParam);
+
 // Patient-related routes
 
 /**
@@ -35,7 +56,19 @@ const router = express.Router();
  * /api/patients:
  *   post:
  *     summary: Add a new patient
+ *     description: >
+ *       Requires the nurse, doctor or admin role. A patient matching an existing one on at least
+ *       two of name, phone number and age is a possible duplicate and is rejected unless
+ *       allowDuplicates is set
  *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: allowDuplicates
+ *         required: false
+ *         description: Create the patient despite possible duplicates, returning them in a Warning header
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Unmask'
  *     requestBody:
  *       required: true
  *       content:
@@ -44,55 +77,296 @@ const router = express.Router();
  *             $ref: '#/components/schemas/Patient'
  *     responses:
  *       201:
- *         description: The patient was successfully created
+ *         description: The patient was successfully created, with their name, address and phone number masked unless unmasked
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Patient'
+ *         headers:
+ *           Warning:
+ *             description: The IDs of the possible duplicates, when allowDuplicates is set
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: The name, address or phone number is sent masked
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       409:
+ *         description: Possible duplicate patients found, masked unless unmasked
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Problem'
+ *                 - type: object
+ *                   properties:
+ *                     duplicates:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           patient:
+ *                             $ref: '#/components/schemas/Patient'
+ *                           matchedOn:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               enum: [name, phoneNumber, age]
+ *                           nameSimilarity:
+ *                             type: number
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-router.post('/patients', addPatient);
+router.post('/patients', authorize('nurse', 'doctor', 'admin'), validateBody(Patient), asyncHandler(addPatient));
 
 /**
  * @swagger
  * /api/patients:
  *   get:
- *     summary: Retrieve a list of all patients
+ *     summary: Retrieve a page of patients
  *     tags: [Patients]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [age, -age, createdAt, -createdAt, updatedAt, -updatedAt]
+ *           default: createdAt
+ *       - in: query
+ *         name: gender
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minAge
+ *         required: false
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAge
+ *         required: false
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: critical
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: name
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Search on the start of the words of the patient's name, e.g. "jan do" for Jane Doe
+ *       - in: query
+ *         name: ward
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only patients on the ward with this name
+ *       - in: query
+ *         name: admitted
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Only patients with (true) or without (false) an active admission
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived records
+ *       - $ref: '#/components/parameters/Unmask'
  *     responses:
  *       200:
- *         description: A list of patients
+ *         description: A page of patients, with their name, address and phone number masked unless unmasked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Patient'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ */
+router.get('/patients', asyncHandler(getAllPatients));
+
+/**
+ * @swagger
+ * /api/patients/search:
+ *   get:
+ *     summary: Search patients by name, phone number, address and medical history
+ *     description: Medical histories are matched through the patient text index, and the encrypted names, addresses and phone numbers through their blind index, on the start of their words and despite typos, and on any run of digits of the phone number. Results are ranked best first, with the matching words of each field wrapped in mark tags. Masked results have no highlights of the name, address and phone number.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Include archived patients
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: The matching patients, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       patient:
+ *                         $ref: '#/components/schemas/Patient'
+ *                       score:
+ *                         type: number
+ *                       highlights:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           phoneNumber:
+ *                             type: string
+ *                           address:
+ *                             type: string
+ *                           medicalHistory:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *       400:
+ *         description: Missing query or invalid limit
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ */
+router.get('/patients/search', asyncHandler(searchPatients));
+
+/**
+ * @swagger
+ * /api/patients/critical:
+ *   get:
+ *     summary: Get all patients in critical condition
+ *     description: Each patient includes the criticalReasons that flagged them, e.g. "BP 190/110 high", and the ward and bed they are in
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: ward
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only patients on the ward with this name
+ *       - in: query
+ *         name: admitted
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Only patients with (true) or without (false) an active admission
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived records
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: A list of patients in critical condition
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Patient'
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
  */
-router.get('/patients', getAllPatients);
+router.get('/patients/critical', asyncHandler(getCriticalPatients));
 
 /**
  * @swagger
- * /api/patients/critical:
+ * /api/patients/scores:
  *   get:
- *     summary: Get all patients in critical condition
+ *     summary: Rank all patients by early-warning score
  *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: risk
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [low, low-medium, medium, high]
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived records
+ *       - $ref: '#/components/parameters/Unmask'
  *     responses:
  *       200:
- *         description: A list of patients in critical 
+ *         description: Patients ordered by early-warning score
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Patient'
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
  */
-router.get('/patients/critical', getCriticalPatients);
+router.get('/patients/scores', asyncHandler(getPatientScoreRanking));
 
 /**
  * @swagger
  * /api/patients/{id}:
  *   get:
  *     summary: Get a patient by ID
+ *     description: The name, address and phone number are masked unless unmasked, which a client must ask for to read a record it then replaces with PUT
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -100,21 +374,32 @@ router.get('/patients/critical', getCriticalPatients);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/Unmask'
  *     responses:
  *       200:
- *         description: Patient details
+ *         description: Patient details, with their name, address and phone number masked unless unmasked
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Patient'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       304:
+ *         description: The patient was not changed since the ETag sent in If-None-Match
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ *       404:
+ *         description: Patient not found
  */
-router.get('/patients/:id', getPatientById);
+router.get('/patients/:id', asyncHandler(getPatientById));
 
 /**
  * @swagger
  * /api/patients/{id}:
  *   put:
  *     summary: Update patient details
+ *     description: Requires the doctor or admin role
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -122,6 +407,8 @@ router.get('/patients/:id', getPatientById);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/Unmask'
  *     requestBody:
  *       required: true
  *       content:
@@ -130,31 +417,220 @@ router.get('/patients/:id', getPatientById);
  *             $ref: '#/components/schemas/Patient'
  *     responses:
  *       200:
- *         description: Patient details updated
+ *         description: Patient details updated, with their name, address and phone number masked unless unmasked
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Patient'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       400:
+ *         description: The name, address or phone number is sent masked, as read without unmasking
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: The patient is archived, or the request was sent without If-Match and the patient was changed by another request while it was saved
+ *       412:
+ *         description: The patient was changed since the version sent in If-Match
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-router.put('/patients/:id', updatePatient);
+router.put('/patients/:id', authorize('doctor', 'admin'), validateBody(Patient, { partial: true }), asyncHandler(updatePatient));
 
 /**
  * @swagger
  * /api/patients/{id}:
+ *   patch:
+ *     summary: Update some of a patient's details with a JSON Merge Patch
+ *     description: Requires the doctor or admin role. Fields set to null are removed and nested objects are merged
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/Unmask'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Patient'
+ *     responses:
+ *       200:
+ *         description: Patient details updated, with their name, address and phone number masked unless unmasked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patient'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       400:
+ *         description: The name, address or phone number is sent masked, as read without unmasking
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: The patient is archived, or the request was sent without If-Match and the patient was changed by another request while it was saved
+ *       412:
+ *         description: The patient was changed since the version sent in If-Match
+ *       415:
+ *         description: The body is not sent as application/merge-patch+json or application/json
+ *       422:
+ *         description: The body has unknown or read-only fields, invalid values or removes a required field
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.patch('/patients/:id', authorize('doctor', 'admin'), validateContentType('application/merge-patch+json', 'application/json'), validateBody(Patient, { partial: true }), asyncHandler(patchPatient));
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   delete:
+ *     summary: Archive a patient along with their tests
+ *     description: Requires the admin role. Archived patients are hidden from lists and can be restored
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Patient archived successfully
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: Patient must be discharged before being archived
+ *       412:
+ *         description: The patient was changed since the version sent in If-Match
+ */
+router.delete('/patients/:id', authorize('admin'), asyncHandler(deletePatient));
+
+/**
+ * @swagger
+ * /api/patients/{id}/restore:
+ *   post:
+ *     summary: Restore an archived patient along with their tests
+ *     description: Requires the admin role
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: The restored patient, with their name, address and phone number masked unless unmasked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patient'
+ *       400:
+ *         description: Patient is not archived or was merged into another patient
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ */
+router.post('/patients/:id/restore', authorize('admin'), asyncHandler(restorePatient));
+
+/**
+ * @swagger
+ * /api/patients/{id}/purge:
  *   delete:
- *     summary: Delete a patient
+ *     summary: Permanently remove a patient and all their tests, appointments, medications and admissions
+ *     description: Requires the admin role. The patient and their records are removed in a single transaction and cannot be restored, and their bed is released
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patient purged successfully, with the number of tests removed
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient not found
+ */
+router.delete('/patients/:id/purge', authorize('admin'), asyncHandler(purgePatient));
+
+/**
+ * @swagger
+ * /api/patients/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate patient into this patient
+ *     description: >
+ *       Requires the admin role. In a single transaction, the duplicate's tests, appointments,
+ *       medications and past admissions move to this patient, the medical histories and
+ *       allergies are combined and the duplicate is archived as a tombstone whose mergedInto
+ *       points to this patient. The critical status is then recalculated
  *     tags: [Patients]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
+ *         description: ID of the surviving patient
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/Unmask'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [duplicateId]
+ *             properties:
+ *               duplicateId:
+ *                 type: string
+ *                 description: ID of the patient merged into the surviving patient
  *     responses:
  *       200:
- *         description: Patient deleted successfully
+ *         description: The surviving patient, masked unless unmasked, the merged patient's ID and the number of tests moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 patient:
+ *                   $ref: '#/components/schemas/Patient'
+ *                 mergedPatientId:
+ *                   type: string
+ *                 movedTests:
+ *                   type: integer
+ *       400:
+ *         description: duplicateId is missing, invalid or the patient's own ID
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient or duplicate patient not found
+ *       409:
+ *         description: Duplicate patient has already been merged or is still admitted
  */
-router.delete('/patients/:id', deletePatient);
+router.post('/patients/:id/merge', authorize('admin'), asyncHandler(mergePatient));
 
 // Test-related routes
 
@@ -163,6 +639,7 @@ router.delete('/patients/:id', deletePatient);
  * /api/patients/{id}/tests:
  *   post:
  *     summary: Add a new test for a patient
+ *     description: Requires the nurse, doctor or admin role
  *     tags: [Tests]
  *     parameters:
  *       - in: path
@@ -183,14 +660,26 @@ router.delete('/patients/:id', deletePatient);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Test'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: The patient is archived
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-router.post('/patients/:id/tests', addTestForPatient);
+router.post('/patients/:id/tests', authorize('nurse', 'doctor', 'admin'), validateBody(Test), asyncHandler(addTestForPatient));
 
 /**
  * @swagger
  * /api/patients/{id}/tests:
  *   get:
- *     summary: Get all tests for a patient
+ *     summary: Get a page of tests for a patient
  *     tags: [Tests]
  *     parameters:
  *       - in: path
@@ -198,23 +687,64 @@ router.post('/patients/:id/tests', addTestForPatient);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [date, -date, type, -type, createdAt, -createdAt]
+ *           default: -date
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived records
  *     responses:
  *       200:
- *         description: A list of tests for the patient
+ *         description: A page of tests for the patient
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Test'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Test'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid query parameter
  */
-router.get('/patients/:id/tests', getTestsForPatient);
+router.get('/patients/:id/tests', asyncHandler(getTestsForPatient));
 
 /**
  * @swagger
  * /api/patients/{id}/tests/{testId}:
  *   put:
  *     summary: Update a test for a patient
+ *     description: Requires the nurse, doctor or admin role
  *     tags: [Tests]
  *     parameters:
  *       - in: path
@@ -227,6 +757,7 @@ router.get('/patients/:id/tests', getTestsForPatient);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -240,14 +771,90 @@ router.get('/patients/:id/tests', getTestsForPatient);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Test'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       400:
+ *         description: The patient or test ID is not a valid ObjectId
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: The patient has no test with this ID, or the test was archived with its patient
+ *       409:
+ *         description: The request was sent without If-Match and the test was changed by another request while it was saved
+ *       412:
+ *         description: The test was changed since the version sent in If-Match
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.put('/patients/:id/tests/:testId', authorize('nurse', 'doctor', 'admin'), validateBody(Test, { partial: true }), asyncHandler(updateTest));
+
+/**
+ * @swagger
+ * /api/patients/{id}/tests/{testId}:
+ *   patch:
+ *     summary: Update some of a test's fields with a JSON Merge Patch
+ *     description: Requires the nurse, doctor or admin role. Fields set to null are removed
+ *     tags: [Tests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Test'
+ *     responses:
+ *       200:
+ *         description: Test updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Test'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       400:
+ *         description: The patient or test ID is not a valid ObjectId
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: The patient has no test with this ID, or the test was archived with its patient
+ *       409:
+ *         description: The request was sent without If-Match and the test was changed by another request while it was saved
+ *       412:
+ *         description: The test was changed since the version sent in If-Match
+ *       415:
+ *         description: The body is not sent as application/merge-patch+json or application/json
+ *       422:
+ *         description: The body has unknown or read-only fields, invalid values or removes a required field
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-router.put('/patients/:id/tests/:testId', updateTest);
+router.patch('/patients/:id/tests/:testId', authorize('nurse', 'doctor', 'admin'), validateContentType('application/merge-patch+json', 'application/json'), validateBody(Test, { partial: true }), asyncHandler(patchTest));
 
 /**
  * @swagger
  * /api/patients/{id}/tests/{testId}:
  *   delete:
  *     summary: Delete a test for a patient
+ *     description: Requires the admin role
  *     tags: [Tests]
  *     parameters:
  *       - in: path
@@ -260,17 +867,26 @@ router.put('/patients/:id/tests/:testId', updateTest);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Test deleted successfully
+ *       400:
+ *         description: The patient or test ID is not a valid ObjectId
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: The patient has no test with this ID, or the test was archived with its patient
+ *       412:
+ *         description: The test was changed since the version sent in If-Match
  */
-router.delete('/patients/:id/tests/:testId', deleteTest);
+router.delete('/patients/:id/tests/:testId', authorize('admin'), asyncHandler(deleteTest));
 
 /**
  * @swagger
  * /api/patients/{id}/history:
  *   get:
- *     summary: Get patient's history including all tests
+ *     summary: Get patient's history including all tests, booked appointments and active medications
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -278,9 +894,17 @@ router.delete('/patients/:id/tests/:testId', deleteTest);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived records
+ *       - $ref: '#/components/parameters/Unmask'
  *     responses:
  *       200:
- *         description: Patient's history with all tests
+ *         description: Patient's history with all tests, booked appointments and active medications
  *         content:
  *           application/json:
  *             schema:
@@ -292,19 +916,262 @@ router.delete('/patients/:id/tests/:testId', deleteTest);
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Test'
+ *                 appointments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *                 medications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Medication'
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ */
+router.get('/patients/:id/history', asyncHandler(getPatientHistory));
+
+/**
+ * @swagger
+ * /api/patients/{id}/report:
+ *   get:
+ *     summary: Get a printable summary report of a patient for discharge or handover
+ *     description: Renders the patient's demographics, medical history, current critical status and early-warning score, the latest reading of each test type and every abnormal reading highlighted with the threshold it breached.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Include the tests of an archived patient
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: The report, with the patient's name, address and phone number masked unless unmasked
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/patients/:id/report', asyncHandler(getPatientReport));
+
+/**
+ * @swagger
+ * /api/patients/{id}/status:
+ *   get:
+ *     summary: Get a patient's status from the latest reading of each test type
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The patient's critical condition, the reasons behind it, the rule flags and the readings evaluated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 criticalCondition:
+ *                   type: boolean
+ *                 criticalReasons:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 flags:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 latestTests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Test'
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/patients/:id/status', asyncHandler(getPatientStatus));
+
+/**
+ * @swagger
+ * /api/patients/{id}/vitals:
+ *   get:
+ *     summary: Get a patient's vital signs aggregated into series for charting
+ *     tags: [Tests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [Blood Pressure, Respiratory Rate, Blood Oxygen Level, Heartbeat Rate, Temperature]
+ *         description: Only return the series of this test type
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: bucket
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [hour, day]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: One series per test type with the min, max and average of each bucket and the trend direction. Blood pressure points hold systolic and diastolic statistics.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 patientId:
+ *                   type: string
+ *                 bucket:
+ *                   type: string
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VitalSeries'
+ *       400:
+ *         description: Invalid query parameter
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/patients/:id/vitals', asyncHandler(getPatientVitals));
+
+/**
+ * @swagger
+ * /api/patients/{id}/score:
+ *   get:
+ *     summary: Get a patient's early-warning score and its trend
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: The latest score with its risk level, contributing tests and trend, plus previous scores
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 patientId:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 earlyWarningScore:
+ *                   $ref: '#/components/schemas/EarlyWarningScore'
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/patients/:id/score', asyncHandler(getPatientScore));
+
+/**
+ * @swagger
+ * /api/patients/{id}/audit:
+ *   get:
+ *     summary: Get a patient's audit trail and replay their record over time
+ *     description: Requires the auditor or admin role
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: at
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Also return the patient record as it was at this time
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: Every audit entry for the patient and their tests, oldest first, with the successive states of the patient record, the patient's name, address and phone number being masked unless unmasked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 patientId:
+ *                   type: string
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 states:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 stateAt:
+ *                   type: object
+ *       403:
+ *         description: The user's role is not allowed to perform this action, or to unmask
+ *       404:
+ *         description: No audit trail found for this patient
  */
-router.get('/patients/:id/history', getPatientHistory);
+router.get('/patients/:id/audit', authorize('auditor', 'admin'), asyncHandler(getPatientAudit));
 
 
 /**
  * @swagger
- * /api/patients/{patientId}/tests/{testId}:
+ * /api/patients/{id}/tests/{testId}:
  *   get:
  *     summary: Get a specific test for a patient
  *     tags: [Tests]
  *     parameters:
  *       - in: path
- *         name: patientId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
@@ -313,6 +1180,13 @@ router.get('/patients/:id/history', getPatientHistory);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include a test archived with its patient
  *     responses:
  *       200:
  *         description: Details of the specific test
@@ -320,9 +1194,16 @@ router.get('/patients/:id/history', getPatientHistory);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Test'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       304:
+ *         description: The test was not changed since the ETag sent in If-None-Match
+ *       400:
+ *         description: The patient or test ID is not a valid ObjectId
  *       404:
- *         description: Test not found
+ *         description: The patient has no test with this ID, or the test was archived with its patient and includeArchived is not set
  */
-router.get('/patients/:patientId/tests/:testId', getTestById);
+router.get('/patients/:id/tests/:testId', asyncHandler(getTestById));
 
 export default router;
\ No newline at end of file
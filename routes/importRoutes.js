@@ -0,0 +1,131 @@
+/**
+ * Import API Routes
+ *
+ * Description: This module defines the API route importing patients and tests in bulk from
+ * CSV or NDJSON, along with its Swagger documentation.
+ */
+
+import express from 'express';
+import { importRecords } from '../controller/importController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+
+const router = express.Router();
+
+// Imports are read as text, in the format given by their content type, up to IMPORT_BODY_LIMIT
+// (10mb by default) as BODY_LIMIT does for JSON bodies
+// The parser is built on the first import, once the environment has been loaded
+let importParser = null;
+const importBody = (req, res, next) => {
+  importParser ??= express.text({
+    type: ['text/csv', 'application/x-ndjson', 'application/ndjson'],
+    limit: process.env.IMPORT_BODY_LIMIT || '10mb'
+  });
+  importParser(req, res, next);
+};
+
+/**
+ * @swagger
+ * /api/import:
+ *   post:
+ *     summary: Import patients and tests in bulk from CSV or NDJSON
+ *     description: >
+ *       Requires the nurse, doctor or admin role.
+ *       Each row has a record column set to patient or test.
+ *       Patient rows hold the patient fields (medicalHistory is semicolon separated in CSV) and an optional ref.
+ *       Test rows hold the test fields and either the patientRef of a patient row of the same import or the patientId of an existing patient.
+ *       Every row is validated before anything is written, then valid rows are inserted in batches of 500, each batch in a single transaction.
+ *       The critical status of each patient receiving tests is recomputed once.
+ *       Patient rows matching an existing patient on at least two of name, phone number and age are refused as possible duplicates, as when registering a patient, unless allowDuplicates is set. Patient rows are compared with the earlier patient rows of the same import in the same way.
+ *     tags: [Import]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Only validate the rows and return the report
+ *       - in: query
+ *         name: allowDuplicates
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Import the patients that may duplicate existing patients or earlier rows, listing them in the warnings of the report
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             record,ref,patientRef,name,age,gender,type,value
+ *             patient,p1,,Jane Doe,42,female,,
+ *             test,,p1,,,,Heartbeat Rate,72
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Import report listing the errors of every invalid row, numbered by line
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     rows:
+ *                       type: integer
+ *                     valid:
+ *                       type: integer
+ *                     invalid:
+ *                       type: integer
+ *                     createdPatients:
+ *                       type: integer
+ *                     createdTests:
+ *                       type: integer
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       record:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                             message:
+ *                               type: string
+ *                 warnings:
+ *                   type: array
+ *                   description: Patients imported despite possible duplicates, with allowDuplicates
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       record:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: The body could not be parsed
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       413:
+ *         description: The body is larger than IMPORT_BODY_LIMIT, 10mb by default
+ *       415:
+ *         description: Unsupported content type
+ */
+router.post('/import', authorize('nurse', 'doctor', 'admin'), importBody, asyncHandler(importRecords));
+
+export default router;
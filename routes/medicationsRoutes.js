@@ -0,0 +1,227 @@
+/**
+ * Medications API Routes
+ *
+ * Description: This module defines the API routes for prescribing and stopping a patient's
+ * medications and recording the doses given, along with Swagger documentation for each
+ * endpoint.
+ */
+
+import express from 'express';
+import {
+  getMedications,
+  getMedicationById,
+  prescribeMedication,
+  stopMedication,
+  recordAdministration
+} from '../controller/medicationsController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import { validateBody } from '../middleware/validationMiddleware.js';
+import MedicationOrder from '../model/medicationOrderModel.js';
+import MedicationAdministration from '../model/medicationAdministrationModel.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications:
+ *   get:
+ *     summary: Retrieve a patient's medications with their dose schedule
+ *     tags: [Medications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [active, stopped, all]
+ *           default: active
+ *     responses:
+ *       200:
+ *         description: The patient's medications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Medication'
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/patients/:id/medications', asyncHandler(getMedications));
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications:
+ *   post:
+ *     summary: Prescribe a medication for a patient
+ *     description: >
+ *       Requires the doctor or admin role. The medication is checked against the patient's
+ *       allergies and rejected on a conflict unless overrideAllergies is set, in which case the
+ *       overridden allergies are kept on the order
+ *     tags: [Medications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: overrideAllergies
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MedicationOrder'
+ *     responses:
+ *       201:
+ *         description: The medication order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MedicationOrder'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: The medication conflicts with the patient's allergies, which are returned
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/patients/:id/medications', authorize('doctor', 'admin'), validateBody(MedicationOrder), asyncHandler(prescribeMedication));
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications/{orderId}:
+ *   get:
+ *     summary: Get a medication order with every dose recorded against it
+ *     tags: [Medications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The medication order, its dose schedule and its administrations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Medication'
+ *                 - type: object
+ *                   properties:
+ *                     administrations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MedicationAdministration'
+ *       404:
+ *         description: Medication not found
+ */
+router.get('/patients/:id/medications/:orderId', asyncHandler(getMedicationById));
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications/{orderId}/stop:
+ *   post:
+ *     summary: Stop an active medication order
+ *     description: Requires the doctor or admin role
+ *     tags: [Medications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The stopped medication order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MedicationOrder'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Medication not found
+ *       409:
+ *         description: Medication is already stopped
+ */
+router.post('/patients/:id/medications/:orderId/stop', authorize('doctor', 'admin'), asyncHandler(stopMedication));
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications/{orderId}/administrations:
+ *   post:
+ *     summary: Record a dose of a medication as given, refused or held
+ *     description: Requires the nurse, doctor or admin role. The dose defaults to the order's dose and the time to now
+ *     tags: [Medications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MedicationAdministration'
+ *     responses:
+ *       201:
+ *         description: The recorded dose
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MedicationAdministration'
+ *       400:
+ *         description: givenAt is in the future
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Medication not found
+ *       409:
+ *         description: The medication is stopped
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/patients/:id/medications/:orderId/administrations', authorize('nurse', 'doctor', 'admin'), validateBody(MedicationAdministration), asyncHandler(recordAdministration));
+
+export default router;
@@ -0,0 +1,189 @@
+/**
+ * Clinical Rules API Routes
+ *
+ * Description: This module defines the API routes for managing the clinical threshold rules
+ * used to decide whether a patient is in critical condition, along with Swagger
+ * documentation for each endpoint.
+ */
+
+import express from 'express';
+import {
+  getAllRules,
+  getRuleById,
+  addRule,
+  updateRule,
+  deleteRule,
+  getRuleHistory
+} from '../controller/rulesController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import { validateBody } from '../middleware/validationMiddleware.js';
+import Rule from '../model/ruleModel.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/rules:
+ *   get:
+ *     summary: Retrieve all clinical rules
+ *     tags: [Rules]
+ *     parameters:
+ *       - in: query
+ *         name: testType
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only return rules for this test type
+ *       - in: query
+ *         name: includeArchived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Also return the archived rules
+ *     responses:
+ *       200:
+ *         description: A list of rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Rule'
+ */
+router.get('/rules', asyncHandler(getAllRules));
+
+/**
+ * @swagger
+ * /api/rules:
+ *   post:
+ *     summary: Add a new clinical rule for a test type
+ *     description: Requires the doctor or admin role
+ *     tags: [Rules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Rule'
+ *     responses:
+ *       201:
+ *         description: The rule was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Rule'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/rules', authorize('doctor', 'admin'), validateBody(Rule), asyncHandler(addRule));
+
+/**
+ * @swagger
+ * /api/rules/{ruleId}:
+ *   get:
+ *     summary: Get a clinical rule by ID
+ *     tags: [Rules]
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Rule'
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/rules/:ruleId', asyncHandler(getRuleById));
+
+/**
+ * @swagger
+ * /api/rules/{ruleId}:
+ *   put:
+ *     summary: Update a clinical rule, creating a new version
+ *     description: Requires the doctor or admin role
+ *     tags: [Rules]
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Rule'
+ *     responses:
+ *       200:
+ *         description: Rule updated, with its version incremented
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Rule'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       409:
+ *         description: The rule is archived, or was changed by another request since it was read
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.put('/rules/:ruleId', authorize('doctor', 'admin'), validateBody(Rule, { partial: true }), asyncHandler(updateRule));
+
+/**
+ * @swagger
+ * /api/rules/{ruleId}:
+ *   delete:
+ *     summary: Archive a clinical rule
+ *     description: Requires the admin role. The rule no longer flags readings but is kept, with its history, for the flags it raised
+ *     tags: [Rules]
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule archived successfully
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ */
+router.delete('/rules/:ruleId', authorize('admin'), asyncHandler(deleteRule));
+
+/**
+ * @swagger
+ * /api/rules/{ruleId}/history:
+ *   get:
+ *     summary: Get the version history of a clinical rule
+ *     tags: [Rules]
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Every version of the rule, oldest first
+ */
+router.get('/rules/:ruleId/history', asyncHandler(getRuleHistory));
+
+export default router;
@@ -0,0 +1,181 @@
+/**
+ * Wards API Routes
+ *
+ * Description: This module defines the API routes for managing wards and their beds and for
+ * reading ward occupancy, along with Swagger documentation for each endpoint.
+ */
+
+import express from 'express';
+import {
+  getWards,
+  addWard,
+  addBed,
+  getOccupancy,
+  getWardOccupancy
+} from '../controller/wardsController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import { validateBody } from '../middleware/validationMiddleware.js';
+import Ward from '../model/wardModel.js';
+import Bed from '../model/bedModel.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/wards:
+ *   get:
+ *     summary: Retrieve all wards in name order
+ *     tags: [Wards]
+ *     responses:
+ *       200:
+ *         description: A list of wards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Ward'
+ */
+router.get('/wards', asyncHandler(getWards));
+
+/**
+ * @swagger
+ * /api/wards:
+ *   post:
+ *     summary: Add a new ward
+ *     description: Requires the admin role
+ *     tags: [Wards]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Ward'
+ *     responses:
+ *       201:
+ *         description: The ward was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ward'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       409:
+ *         description: A ward with this name already exists
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/wards', authorize('admin'), validateBody(Ward), asyncHandler(addWard));
+
+/**
+ * @swagger
+ * /api/wards/occupancy:
+ *   get:
+ *     summary: Get the occupancy of every ward
+ *     tags: [Wards]
+ *     responses:
+ *       200:
+ *         description: The occupancy of each ward, in name order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WardOccupancy'
+ */
+router.get('/wards/occupancy', asyncHandler(getOccupancy));
+
+/**
+ * @swagger
+ * /api/wards/{wardId}/occupancy:
+ *   get:
+ *     summary: Get the occupancy of a ward with each bed and the patients admitted to it
+ *     tags: [Wards]
+ *     parameters:
+ *       - in: path
+ *         name: wardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Unmask'
+ *     responses:
+ *       200:
+ *         description: The ward's occupancy, its beds with their patient and the patients without a bed, with the patients' names masked unless unmasked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 occupancy:
+ *                   $ref: '#/components/schemas/WardOccupancy'
+ *                 beds:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       bedId:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       active:
+ *                         type: boolean
+ *                       patient:
+ *                         $ref: '#/components/schemas/Patient'
+ *                 patientsWithoutBed:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Patient'
+ *       403:
+ *         description: Unmasking was asked for by a role that is not allowed it
+ *       404:
+ *         description: Ward not found
+ */
+router.get('/wards/:wardId/occupancy', asyncHandler(getWardOccupancy));
+
+/**
+ * @swagger
+ * /api/wards/{wardId}/beds:
+ *   post:
+ *     summary: Add a bed to a ward
+ *     description: Requires the admin role
+ *     tags: [Wards]
+ *     parameters:
+ *       - in: path
+ *         name: wardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Bed'
+ *     responses:
+ *       201:
+ *         description: The bed was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Bed'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Ward not found
+ *       409:
+ *         description: A bed with this label already exists on the ward
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/wards/:wardId/beds', authorize('admin'), validateBody(Bed), asyncHandler(addBed));
+
+export default router;
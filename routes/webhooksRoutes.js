@@ -0,0 +1,220 @@
+/**
+ * Webhooks API Routes
+ *
+ * Description: This module defines the API routes for managing the webhooks notified of
+ * patient and test lifecycle events and for reading their delivery log, along with Swagger
+ * documentation for each endpoint. Every route requires the admin role.
+ */
+
+import express from 'express';
+import {
+  getAllWebhooks,
+  getWebhookById,
+  addWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries
+} from '../controller/webhooksController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import { validateBody } from '../middleware/validationMiddleware.js';
+import Webhook from '../model/webhookModel.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Retrieve all webhooks
+ *     description: Requires the admin role
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: A list of webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ */
+router.get('/webhooks', authorize('admin'), asyncHandler(getAllWebhooks));
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Subscribe a URL to patient and test lifecycle events
+ *     description: Requires the admin role. Each callback is a JSON POST carrying the X-WellCare-Event, X-WellCare-Delivery, X-WellCare-Timestamp and X-WellCare-Signature headers. The signature is "sha256=" followed by the hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret, which is only returned in this response. Patients are identified by their ID only, their name, address and phone number being left out of the records sent.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: The webhook was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/webhooks', authorize('admin'), validateBody(Webhook), asyncHandler(addWebhook));
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   get:
+ *     summary: Get a webhook by ID
+ *     description: Requires the admin role
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/webhooks/:webhookId', authorize('admin'), asyncHandler(getWebhookById));
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Requires the admin role
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Webhook not found
+ *       422:
+ *         description: The body has unknown or read-only fields or invalid values
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.put('/webhooks/:webhookId', authorize('admin'), validateBody(Webhook, { partial: true }), asyncHandler(updateWebhook));
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Requires the admin role
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/webhooks/:webhookId', authorize('admin'), asyncHandler(deleteWebhook));
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook, most recent first
+ *     description: Requires the admin role
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: A page of deliveries with every attempt made
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: The user's role is not allowed to perform this action
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/webhooks/:webhookId/deliveries', authorize('admin'), asyncHandler(getWebhookDeliveries));
+
+export default router;
@@ -0,0 +1,88 @@
+/**
+ * Patient PII Encryption
+ *
+ * Description: This script encrypts the name, address and phone number of the patients stored
+ * before encryption was enabled, and re-encrypts the values encrypted with an older key once a
+ * new key is listed first in PII_ENCRYPTION_KEYS. The patient names copied into alerts are
+ * encrypted and re-encrypted in the same way. The blind index of every patient rewritten is
+ * rebuilt, and --reindex rebuilds it for every patient, e.g. after PII_INDEX_KEY was changed.
+ * The text index that covered the plaintext fields is replaced by the one on medical history.
+ *
+ * Audit entries are never rewritten, so an older key must stay listed in PII_ENCRYPTION_KEYS
+ * for as long as the entries encrypted with it are to be read.
+ *
+ * Usage: npm run migrate:patient-pii [-- --dry-run] [-- --reindex]
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Patient from "../model/patientModel.js";
+import Alert from "../model/alertModel.js";
+import { PII_FIELDS, buildPiiIndex } from "../service/patientPii.js";
+import { encrypt, decrypt, isEncryptedWithCurrentKey } from "../service/fieldEncryption.js";
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const reindex = process.argv.includes('--reindex');
+
+// Text index that covered the plaintext name, phone number, address and medical history
+const LEGACY_TEXT_INDEX = 'patient_search';
+
+// Encrypt with the current key every PII value that is not, and rebuild the blind indexes
+const encryptPatientPii = async () => {
+  const report = { scanned: 0, encrypted: 0, reindexed: 0, alerts: 0 };
+
+  // The raw collection is used to read the stored values rather than their decrypted plaintext
+  const projection = Object.fromEntries(PII_FIELDS.map((field) => [field, 1]));
+  const cursor = Patient.collection.find({}, { projection });
+
+  for await (const patient of cursor) {
+    report.scanned += 1;
+    const stale = PII_FIELDS.filter((field) => patient[field] && !isEncryptedWithCurrentKey(patient[field]));
+    if (stale.length === 0 && !reindex) continue;
+
+    const plaintext = Object.fromEntries(PII_FIELDS.map((field) => [field, decrypt(patient[field])]));
+    const update = { piiIndex: buildPiiIndex(plaintext) };
+    stale.forEach((field) => { update[field] = encrypt(plaintext[field]); });
+
+    if (!dryRun) {
+      await Patient.collection.updateOne({ _id: patient._id }, { $set: update });
+    }
+    if (stale.length > 0) report.encrypted += 1;
+    else report.reindexed += 1;
+  }
+
+  // Alerts hold a copy of their patient's name, encrypted like the patient's own
+  const alerts = Alert.collection.find({ patientName: { $exists: true } }, { projection: { patientName: 1 } });
+  for await (const alert of alerts) {
+    if (!alert.patientName || isEncryptedWithCurrentKey(alert.patientName)) continue;
+    if (!dryRun) {
+      await Alert.collection.updateOne({ _id: alert._id }, { $set: { patientName: encrypt(decrypt(alert.patientName)) } });
+    }
+    report.alerts += 1;
+  }
+
+  // A collection may only have one text index, so the legacy one goes before the new is built
+  if (!dryRun) {
+    const indexes = await Patient.collection.indexes();
+    if (indexes.some((index) => index.name === LEGACY_TEXT_INDEX)) {
+      await Patient.collection.dropIndex(LEGACY_TEXT_INDEX);
+    }
+    await Patient.createIndexes();
+  }
+
+  return report;
+};
+
+mongoose.connect(process.env.MONGO_URL)
+  .then(encryptPatientPii)
+  .then((report) => {
+    console.log(`${dryRun ? 'Dry run: ' : ''}${report.encrypted} of ${report.scanned} patients encrypted, ${report.reindexed} reindexed, ${report.alerts} alerts encrypted`);
+  })
+  .catch((error) => {
+    console.error("Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,63 @@
+/**
+ * Test Value Migration
+ *
+ * Description: This script converts tests recorded with a free-form string value, such as
+ * "120/80" or "98%", to the structured measurement fields. Each value is parsed according to
+ * the test type and the rows that cannot be parsed are left untouched and reported.
+ *
+ * Usage: npm run migrate:test-values [-- --dry-run]
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Test from "../model/testsModel.js";
+import { parseLegacyValue } from "../service/measurement.js";
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Convert every test whose value is still stored as a string
+const migrateTestValues = async () => {
+  const report = { scanned: 0, migrated: 0, failed: [] };
+
+  // The raw collection is used since the model now casts value to a number
+  const cursor = Test.collection.find({ value: { $type: 'string' } });
+
+  for await (const test of cursor) {
+    report.scanned += 1;
+    const parsed = parseLegacyValue(test.type, test.value);
+
+    if (!parsed) {
+      report.failed.push({ id: String(test._id), type: test.type, value: test.value });
+      continue;
+    }
+
+    if (!dryRun) {
+      const update = { $set: parsed };
+      // Blood pressure and consciousness level no longer use the value field
+      if (!('value' in parsed)) update.$unset = { value: '' };
+      await Test.collection.updateOne({ _id: test._id }, update);
+    }
+    report.migrated += 1;
+  }
+
+  return report;
+};
+
+mongoose.connect(process.env.MONGO_URL)
+  .then(migrateTestValues)
+  .then((report) => {
+    console.log(`${dryRun ? 'Dry run: ' : ''}${report.migrated} of ${report.scanned} tests migrated`);
+    if (report.failed.length > 0) {
+      console.log(`${report.failed.length} tests could not be parsed:`);
+      console.table(report.failed);
+    }
+    process.exitCode = report.failed.length > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+    console.error("Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,87 @@
+/**
+ * Alerts
+ *
+ * Description: This module raises an alert whenever a patient's critical condition changes
+ * and publishes it on the event bus, from where it is pushed to subscribed clients. Critical
+ * alerts left unacknowledged for longer than ALERT_ESCALATION_MINUTES (15 by default) are
+ * escalated and published again.
+ */
+
+import Alert from "../model/alertModel.js";
+import eventBus, { publishEvent } from "./eventBus.js";
+import { logError } from "./logger.js";
+
+// Name of the event bus event carrying alerts
+const ALERT_EVENT = 'alert';
+
+// Time after which an unacknowledged critical alert is escalated, in milliseconds
+const escalationTimeout = () => (Number(process.env.ALERT_ESCALATION_MINUTES) || 15) * 60 * 1000;
+
+// Publish an alert event, e.g. "alert.raised", to the subscribed clients
+const publishAlert = (event, alert) => {
+  eventBus.emit(ALERT_EVENT, { event, alert });
+};
+
+// Check whether an alert matches a subscription filtered by ward and/or patient
+const matchesAlertFilter = (alert, { ward, patientId } = {}) => {
+  if (ward && alert.ward !== ward) return false;
+  if (patientId && String(alert.patientId) !== String(patientId)) return false;
+  return true;
+};
+
+// Raise an alert for a patient whose critical condition has just changed
+// The transition is also published as a patient.critical or patient.recovered event
+const raiseAlert = async (patient, { criticalCondition, criticalReasons }) => {
+  const alert = await new Alert({
+    patientId: patient._id,
+    patientName: patient.name,
+    ward: patient.ward,
+    type: criticalCondition ? 'critical' : 'recovered',
+    reasons: criticalReasons
+  }).save();
+
+  publishAlert('alert.raised', alert);
+  publishEvent(`patient.${alert.type}`, alert);
+  return alert;
+};
+
+// Escalate the critical alerts that were not acknowledged in time
+const escalateOverdueAlerts = async (now = new Date()) => {
+  const overdue = await Alert.find({
+    type: 'critical',
+    acknowledged: false,
+    escalated: false,
+    createdAt: { $lte: new Date(now.getTime() - escalationTimeout()) }
+  });
+
+  for (const alert of overdue) {
+    alert.escalated = true;
+    alert.escalatedAt = now;
+    await alert.save();
+    publishAlert('alert.escalated', alert);
+  }
+
+  return overdue.length;
+};
+
+// Periodically check for alerts to escalate
+// The timer does not keep the process alive on its own
+const startAlertEscalation = () => {
+  const interval = Math.min(escalationTimeout(), 60 * 1000);
+  const timer = setInterval(() => {
+    escalateOverdueAlerts().catch((error) => {
+      logError('background job failed', error, { job: 'alert escalation' });
+    });
+  }, interval);
+  timer.unref();
+  return timer;
+};
+
+export {
+  ALERT_EVENT,
+  publishAlert,
+  matchesAlertFilter,
+  raiseAlert,
+  escalateOverdueAlerts,
+  startAlertEscalation,
+};
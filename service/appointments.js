@@ -0,0 +1,50 @@
+/**
+ * Appointments
+ *
+ * Description: This module holds the scheduling rules for appointments. A time slot conflicts
+ * with the booked appointments it overlaps for the same provider or the same patient, so that
+ * neither is double-booked. A slot is checked and saved in a transaction that first writes to
+ * the schedules of the provider and patient, so that concurrent bookings for either conflict
+ * and the one retried finds the slot taken. Appointments are listed by day, a day running
+ * from midnight to midnight UTC.
+ */
+
+import Appointment from "../model/appointmentModel.js";
+import Schedule from "../model/scheduleModel.js";
+
+// Parse a day in the YYYY-MM-DD format into the range of times it covers
+// Returns null when the day is not a valid date
+const dayRange = (day) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(day))) return null;
+  const start = new Date(`${day}T00:00:00.000Z`);
+  if (isNaN(start.getTime()) || start.toISOString().slice(0, 10) !== day) return null;
+  return { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+// Find the booked appointments overlapping a time slot for the same provider or patient
+// The appointment being rescheduled is left out with excludeId
+const findConflicts = ({ patientId, providerId, start, end }, { excludeId, session } = {}) => {
+  const filter = {
+    status: 'booked',
+    start: { $lt: end },
+    end: { $gt: start },
+    $or: [{ providerId }, { patientId }]
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Appointment.find(filter, null, { session }).sort({ start: 1 });
+};
+
+// Write to the schedules of an appointment's provider and patient in a booking transaction
+// Another transaction booking for either then has a write conflict until this one ends
+const lockSchedules = ({ patientId, providerId }, session) => Schedule.bulkWrite(
+  [providerId, patientId].map((ownerId) => ({
+    updateOne: { filter: { _id: ownerId }, update: { $set: { lockedAt: new Date() } }, upsert: true }
+  })),
+  { session }
+);
+
+export {
+  dayRange,
+  findConflicts,
+  lockSchedules,
+};
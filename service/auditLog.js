@@ -0,0 +1,106 @@
+/**
+ * Audit Log
+ *
+ * Description: This module records audit log entries for patient and test operations and
+ * replays a patient's audit trail to show how their record looked over time. The patient's
+ * name, address and phone number are stored encrypted in the entries, as in the patient record.
+ */
+
+import AuditLog from "../model/auditLogModel.js";
+import { encrypt, decrypt } from "./fieldEncryption.js";
+import { PII_FIELDS } from "./patientPii.js";
+import { maskField } from "./piiMasking.js";
+
+// Fields maintained by Mongoose that are not part of a change
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+// Convert a document to a plain object that can be stored in the log
+const toPlain = (document) => {
+  if (!document) return null;
+  const plain = typeof document.toObject === 'function' ? document.toObject() : document;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// List the top-level fields that differ between two versions of a record
+const diffRecords = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const previous = before ? before[key] : undefined;
+    const next = after ? after[key] : undefined;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ path: key, before: previous, after: next });
+    }
+  }
+
+  return changes;
+};
+
+// Encrypt a value of a patient's PII, leaving missing values as they are
+const encryptValue = (value) => (value == null || value === '' ? value : encrypt(value));
+
+// Copy the states and changes of an entry with the values of the patient's PII converted
+// Only patient records hold PII, the other entities referring to the patient by their ID
+const convertPii = (entity, { before, after, changes }, convert) => {
+  if (entity !== 'Patient') return { before, after, changes };
+
+  const convertRecord = (record) => record && Object.fromEntries(Object.entries(record)
+    .map(([field, value]) => [field, PII_FIELDS.includes(field) ? convert(value, field) : value]));
+  return {
+    before: convertRecord(before),
+    after: convertRecord(after),
+    changes: changes.map((change) => (PII_FIELDS.includes(change.path)
+      ? { path: change.path, before: convert(change.before, change.path), after: convert(change.after, change.path) }
+      : change))
+  };
+};
+
+// Record an operation performed through a request
+// The changes are listed from the plaintext, as encrypting a value twice gives different results
+// The route is stored without its query string, which can carry search terms
+const recordAudit = async (req, { action, entity, entityId, patientId, before, after }) => {
+  const plainBefore = toPlain(before);
+  const plainAfter = toPlain(after);
+  const changes = action === 'read' ? [] : diffRecords(plainBefore, plainAfter);
+
+  await AuditLog.create({
+    action,
+    entity,
+    entityId,
+    patientId,
+    user: req.user ? { id: req.user.id, username: req.user.username, role: req.user.role } : undefined,
+    route: { method: req.method, path: req.originalUrl.split('?')[0] },
+    ...convertPii(entity, { before: plainBefore, after: plainAfter, changes }, encryptValue)
+  });
+};
+
+// Convert a stored entry to a plain object with the patient's PII decrypted
+const decryptEntry = (entry) => {
+  const plain = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  return { ...plain, ...convertPii(plain.entity, plain, (value) => decrypt(value)) };
+};
+
+// Copy a decrypted entry with the patient's PII masked
+const maskEntry = (entry) => ({ ...entry, ...convertPii(entry.entity, entry, (value, field) => maskField(field, value)) });
+
+// Replay a patient's audit trail into the successive states of their record
+// Reads and test operations are skipped since they do not change the patient record
+// An archived patient keeps their state, a purged patient has none
+const replayPatient = (entries) => entries
+  .filter((entry) => entry.entity === 'Patient' && entry.action !== 'read')
+  .map((entry) => ({
+    at: entry.at,
+    action: entry.action,
+    user: entry.user,
+    state: entry.after || null
+  }));
+
+export {
+  diffRecords,
+  recordAudit,
+  decryptEntry,
+  maskEntry,
+  replayPatient,
+};
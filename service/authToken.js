@@ -0,0 +1,35 @@
+/**
+ * Auth Tokens
+ *
+ * Description: This module signs and verifies the JSON Web Tokens issued at login.
+ * Tokens carry the user's id, username and role, and are signed with the JWT_SECRET
+ * configured in the environment.
+ */
+
+import jwt from "jsonwebtoken";
+
+// Read the signing secret, refusing to issue unsigned tokens
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Sign a token for a user
+const signToken = (user) => jwt.sign(
+  { username: user.username, role: user.role },
+  getSecret(),
+  { subject: String(user._id), expiresIn: process.env.JWT_EXPIRES_IN || '8h' }
+);
+
+// Verify a token and return the user it was issued to, with the time it was issued at
+const verifyToken = (token) => {
+  const payload = jwt.verify(token, getSecret());
+  return { id: payload.sub, username: payload.username, role: payload.role, issuedAt: new Date(payload.iat * 1000) };
+};
+
+export {
+  signToken,
+  verifyToken,
+};
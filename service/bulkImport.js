@@ -0,0 +1,257 @@
+/**
+ * Bulk Import
+ *
+ * Description: This module imports patients and tests in bulk from CSV or NDJSON. Each row
+ * is a patient or a test, named by its record column. Patient rows can carry a ref that the
+ * test rows of the same import use as patientRef, while tests of existing patients use
+ * patientId. Every row is validated against the Patient and Test models before anything is
+ * written, then valid rows are inserted in batches, each batch in its own transaction.
+ * Patient rows that may duplicate an existing patient, or an earlier patient row of the same
+ * import, are refused as when registering a single patient, unless duplicates are allowed.
+ */
+
+import mongoose from "mongoose";
+import Patient from "../model/patientModel.js";
+import Test from "../model/testsModel.js";
+import { validateAgainstModel } from "../middleware/validationMiddleware.js";
+import { findDuplicatesOfEach, findDuplicatesWithin } from "./duplicatePatients.js";
+import { BadRequestError } from "./errors.js";
+
+// Number of rows inserted per transaction
+const IMPORT_BATCH_SIZE = 500;
+
+// Largest number of rows accepted in one import
+const MAX_IMPORT_ROWS = 10000;
+
+// Columns describing a row rather than holding a field of the record
+const CONTROL_COLUMNS = ['record', 'ref', 'patientRef', 'patientId'];
+
+// Parse CSV text with a header line into rows keyed by column name
+// Quoted fields may contain commas, line breaks and doubled quotes
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new BadRequestError(`Unterminated quoted field starting on line ${recordLine}`);
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  const nonEmpty = records.filter(({ values }) => values.some((value) => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const [header, ...rows] = nonEmpty;
+  const columns = header.values.map((column) => column.trim());
+  return rows.map(({ line: rowLine, values }) => ({
+    row: rowLine,
+    data: Object.fromEntries(columns.map((column, index) => [column, values[index]]))
+  }));
+};
+
+// Parse NDJSON text into rows, one JSON object per line
+// Lines that are not JSON objects are kept with a parse error
+const parseNdjson = (text) => text.split(/\r?\n/)
+  .map((lineText, index) => ({ row: index + 1, text: lineText.trim() }))
+  .filter(({ text: lineText }) => lineText !== '')
+  .map(({ row, text: lineText }) => {
+    try {
+      const data = JSON.parse(lineText);
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { row, data: {}, parseError: 'Line must be a JSON object' };
+      }
+      return { row, data };
+    } catch (error) {
+      return { row, data: {}, parseError: `Invalid JSON: ${error.message}` };
+    }
+  });
+
+// Extract the record fields of a row, dropping empty cells
+// In CSV, a patient's medical history is a semicolon separated list
+const rowFields = (data) => {
+  const fields = {};
+  for (const [column, value] of Object.entries(data)) {
+    if (CONTROL_COLUMNS.includes(column) || value === undefined || value === null || value === '') continue;
+    fields[column] = column === 'medicalHistory' && typeof value === 'string'
+      ? value.split(';').map((entry) => entry.trim()).filter(Boolean)
+      : value;
+  }
+  return fields;
+};
+
+// Validate the parsed rows against the models and resolve the patient of each test
+// Returns every row with its record type, fields, patient reference and errors
+// Patient rows kept despite possible duplicates, with allowDuplicates, list the existing patients
+// in duplicateOf and the earlier rows in duplicateOfRows
+const validateRows = async (parsedRows, { allowDuplicates = false } = {}) => {
+  const rows = parsedRows.map(({ row, data, parseError }) => ({
+    row,
+    record: data.record,
+    ref: data.ref === '' ? undefined : data.ref,
+    patientRef: data.patientRef === '' ? undefined : data.patientRef,
+    patientId: data.patientId === '' ? undefined : data.patientId,
+    fields: rowFields(data),
+    errors: parseError ? [{ field: '', message: parseError }] : []
+  }));
+
+  // Patient rows are validated first so that test rows can check their patientRef
+  const refs = new Map();
+  for (const row of rows.filter((candidate) => candidate.record === 'patient' && candidate.errors.length === 0)) {
+    row.errors.push(...validateAgainstModel(Patient, row.fields));
+    if (row.ref !== undefined) {
+      if (refs.has(String(row.ref))) {
+        row.errors.push({ field: 'ref', message: `Duplicate ref, already used on row ${refs.get(String(row.ref)).row}` });
+      } else {
+        refs.set(String(row.ref), row);
+      }
+    }
+  }
+
+  // Valid patient rows are compared with the existing patients and with the earlier rows
+  const patientRows = rows.filter((row) => row.record === 'patient' && row.errors.length === 0);
+  const fieldsList = patientRows.map((row) => row.fields);
+  const existingDuplicates = await findDuplicatesOfEach(fieldsList);
+  const rowDuplicates = findDuplicatesWithin(fieldsList);
+  patientRows.forEach((row, index) => {
+    const ids = existingDuplicates[index].map((duplicate) => String(duplicate.patient._id));
+    const rowNumbers = rowDuplicates[index].map((position) => patientRows[position].row);
+    if (allowDuplicates) {
+      if (ids.length > 0) row.duplicateOf = ids;
+      if (rowNumbers.length > 0) row.duplicateOfRows = rowNumbers;
+      return;
+    }
+    if (ids.length > 0) row.errors.push({ field: '', message: `Possible duplicate of patients ${ids.join(', ')}` });
+    if (rowNumbers.length > 0) row.errors.push({ field: '', message: `Possible duplicate of rows ${rowNumbers.join(', ')}` });
+  });
+
+  const existingIds = new Set();
+  for (const row of rows.filter((candidate) => candidate.record === 'test' && candidate.errors.length === 0)) {
+    row.errors.push(...validateAgainstModel(Test, row.fields));
+
+    if (row.patientRef !== undefined) {
+      const patientRow = refs.get(String(row.patientRef));
+      if (!patientRow) {
+        row.errors.push({ field: 'patientRef', message: 'No patient row has this ref' });
+      } else if (patientRow.errors.length > 0) {
+        row.errors.push({ field: 'patientRef', message: `Patient row ${patientRow.row} is invalid` });
+      } else {
+        row.patientRow = patientRow;
+      }
+    } else if (row.patientId === undefined) {
+      row.errors.push({ field: 'patientId', message: 'A patientId or patientRef is required' });
+    } else if (!mongoose.Types.ObjectId.isValid(String(row.patientId))) {
+      row.errors.push({ field: 'patientId', message: 'Invalid patient ID' });
+    } else {
+      existingIds.add(String(row.patientId));
+    }
+  }
+
+  for (const row of rows.filter((candidate) => !['patient', 'test'].includes(candidate.record) && candidate.errors.length === 0)) {
+    row.errors.push({ field: 'record', message: 'record must be patient or test' });
+  }
+
+  // Tests of existing patients must reference a patient that exists and is not archived
+  if (existingIds.size > 0) {
+    const found = await Patient.find({ _id: { $in: [...existingIds] }, archived: { $ne: true } }).select('_id');
+    const foundIds = new Set(found.map((patient) => String(patient._id)));
+    rows
+      .filter((row) => row.record === 'test' && row.patientId !== undefined && row.patientRef === undefined)
+      .filter((row) => existingIds.has(String(row.patientId)) && !foundIds.has(String(row.patientId)))
+      .forEach((row) => row.errors.push({ field: 'patientId', message: 'Patient not found' }));
+  }
+
+  return rows;
+};
+
+// Insert rows in batches, each batch in its own transaction
+// The rows of a failed batch are given the error and left without a document
+const insertInBatches = async (model, rows, batchSize) => {
+  for (let start = 0; start < rows.length; start += batchSize) {
+    const batch = rows.slice(start, start + batchSize);
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const documents = await model.insertMany(batch.map((row) => row.fields), { session });
+        batch.forEach((row, index) => { row.document = documents[index]; });
+      });
+    } catch (error) {
+      batch.forEach((row) => {
+        row.document = undefined;
+        row.errors.push({ field: '', message: `Batch not imported: ${error.message}` });
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+};
+
+// Insert the valid rows, patients first so that tests can reference them
+const commitRows = async (rows, batchSize = IMPORT_BATCH_SIZE) => {
+  const valid = rows.filter((row) => row.errors.length === 0);
+  await insertInBatches(Patient, valid.filter((row) => row.record === 'patient'), batchSize);
+
+  const tests = [];
+  for (const row of valid.filter((candidate) => candidate.record === 'test')) {
+    if (row.patientRow && !row.patientRow.document) {
+      row.errors.push({ field: 'patientRef', message: `Patient row ${row.patientRow.row} was not imported` });
+      continue;
+    }
+    row.fields.patientId = row.patientRow ? row.patientRow.document._id : row.patientId;
+    tests.push(row);
+  }
+  await insertInBatches(Test, tests, batchSize);
+
+  return rows;
+};
+
+// Parse an import in the given format, csv or ndjson
+const parseImport = (text, format) => {
+  const rows = format === 'csv' ? parseCsv(text) : parseNdjson(text);
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(`An import cannot have more than ${MAX_IMPORT_ROWS} rows`);
+  }
+  return rows;
+};
+
+export {
+  IMPORT_BATCH_SIZE,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseNdjson,
+  parseImport,
+  validateRows,
+  commitRows,
+};
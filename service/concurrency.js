@@ -0,0 +1,97 @@
+/**
+ * Optimistic Concurrency
+ *
+ * Description: This module implements the conditional requests used to edit patients and
+ * tests without overwriting another user's change. Every write increments a record's version,
+ * which is sent as its ETag, except the status updates made with the versioned: false query
+ * option. A client sending that ETag back in an If-Match header only writes over the version
+ * it read, and is answered with 412 Precondition Failed when the record was changed in the
+ * meantime. A request without If-Match is not checked against the version the client read,
+ * but a save racing another write to the record is still refused with 409 Conflict, and can
+ * be sent again. It also applies JSON Merge Patch (RFC 7386) bodies to a document.
+ */
+
+import mongoose from "mongoose";
+import { PreconditionFailedError } from "./errors.js";
+
+// Mongoose plugin incrementing a record's version on every update made through a query
+// Documents saved with the optimisticConcurrency option increment it themselves
+// Updates made with the versioned: false option, which only store derived fields such as the
+// clinical status, keep the version so that clients' ETags stay valid
+const versionQueryUpdates = (schema) => {
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate();
+    // Aggregation pipeline updates are left as they are
+    if (!update || Array.isArray(update) || this.getOptions().versioned === false) return;
+
+    delete update.__v;
+    if (update.$set) delete update.$set.__v;
+    update.$inc = { ...update.$inc, __v: 1 };
+  });
+};
+
+// Strong ETag of a record, built from its version
+const etagOf = (doc) => `"${doc.__v ?? 0}"`;
+
+// Send a record's ETag with the response
+const setEtag = (res, doc) => {
+  res.set('ETag', etagOf(doc));
+};
+
+// Refuse the request when its If-Match header names none of the record's current ETag
+// Requests without If-Match are not checked against the version the client read
+const checkIfMatch = (req, doc) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') return;
+
+  const etags = ifMatch.split(',').map((etag) => etag.trim());
+  if (!etags.includes(etagOf(doc))) {
+    throw new PreconditionFailedError(undefined, { etag: etagOf(doc) });
+  }
+};
+
+// Filter matching the record only at the version checked by checkIfMatch
+// Used by writes made through a query, which do not compare versions on their own
+const versionFilter = (req, doc) => (req.get('If-Match') ? { __v: doc.__v } : {});
+
+// Save a document checked by checkIfMatch
+// Another request saving it in between is refused with 412 when the request was conditional,
+// and with the VersionError, answered with 409, when it was not
+const saveIfMatch = async (req, doc) => {
+  try {
+    return await doc.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError && req.get('If-Match')) {
+      throw new PreconditionFailedError();
+    }
+    throw error;
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply a JSON Merge Patch to a document
+// A null member removes the field, an object is merged into the field and any other value replaces it
+const applyMergePatch = (doc, patch, prefix = '') => {
+  for (const [field, value] of Object.entries(patch)) {
+    const path = prefix + field;
+    if (value === null) {
+      doc.set(path, undefined);
+    } else if (isPlainObject(value) && isPlainObject(doc.get(path))) {
+      applyMergePatch(doc, value, `${path}.`);
+    } else {
+      doc.set(path, value);
+    }
+  }
+  return doc;
+};
+
+export {
+  versionQueryUpdates,
+  etagOf,
+  setEtag,
+  checkIfMatch,
+  versionFilter,
+  saveIfMatch,
+  applyMergePatch,
+};
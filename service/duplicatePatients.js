@@ -0,0 +1,163 @@
+/**
+ * Duplicate Patients
+ *
+ * Description: This module finds the existing patients that a new registration may duplicate.
+ * Two records are compared on their name, allowing for typos and missing middle names, on the
+ * digits of their phone number and on their age. A patient is a duplicate candidate when at
+ * least two of the three match. Imports look up the candidates of all their patients at once
+ * and also compare their patients with each other.
+ */
+
+import Patient from "../model/patientModel.js";
+import { tokenize, termSimilarity } from "./patientSearch.js";
+import { wordSearchEntries, phoneSearchEntry, buildPiiIndex } from "./patientPii.js";
+
+// Lowest name similarity, from 0 to 1, for two names to be considered the same person
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+// Largest age difference, in years, for two ages to be considered the same person
+const AGE_TOLERANCE = 2;
+
+// Number of digits a phone number needs to be compared, and the trailing digits compared
+// Comparing the trailing digits ignores country codes and leading zeros
+const MIN_PHONE_DIGITS = 7;
+const COMPARED_PHONE_DIGITS = 10;
+
+// Number of existing patients read before comparing them
+const CANDIDATE_LIMIT = 50;
+
+// Number of signals that must match for a patient to be a duplicate candidate
+const MIN_MATCHING_SIGNALS = 2;
+
+// Keep the digits of a phone number that are compared, or null when there are too few
+const phoneDigits = (phoneNumber) => {
+  const digits = String(phoneNumber ?? '').replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-COMPARED_PHONE_DIGITS) : null;
+};
+
+// Average, over the words of one name, of how closely each matches a word of the other
+const matchWords = (words, others) => {
+  const total = words.reduce((sum, word) => sum + Math.max(0, ...others.map((other) => (
+    Math.max(termSimilarity(word, other), termSimilarity(other, word))
+  ))), 0);
+  return total / words.length;
+};
+
+// Score how closely two names match, from 0 to 1, whatever the order of their words
+const nameSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+  return Math.round(((matchWords(wordsA, wordsB) + matchWords(wordsB, wordsA)) / 2) * 100) / 100;
+};
+
+// List the signals on which an existing patient matches the fields of a new one
+const matchingSignals = (fields, patient) => {
+  const signals = [];
+
+  if (nameSimilarity(fields.name, patient.name) >= NAME_SIMILARITY_THRESHOLD) signals.push('name');
+
+  const phone = phoneDigits(fields.phoneNumber);
+  if (phone && phone === phoneDigits(patient.phoneNumber)) signals.push('phoneNumber');
+
+  const age = Number(fields.age);
+  if (fields.age != null && patient.age != null && Math.abs(age - patient.age) <= AGE_TOLERANCE) signals.push('age');
+
+  return signals;
+};
+
+// Build the filter reading the patients that may match on name or phone number, through the
+// blind index of their encrypted fields
+// Age alone is never enough, so it is left to the comparison
+const candidateFilter = (fields) => {
+  const words = tokenize(fields.name).filter((word) => word.length >= 3);
+  const entries = wordSearchEntries('name', words, { typos: true });
+
+  const phone = phoneDigits(fields.phoneNumber);
+  if (phone) entries.push(phoneSearchEntry(phone));
+
+  return entries.length > 0 ? { piiIndex: { $in: entries }, mergedInto: { $exists: false } } : null;
+};
+
+// Keep the candidates matching the fields of a new patient on enough signals, closest first
+const rankCandidates = (fields, patients) => patients
+  .map((patient) => ({
+    patient,
+    matchedOn: matchingSignals(fields, patient),
+    nameSimilarity: nameSimilarity(fields.name, patient.name)
+  }))
+  .filter((candidate) => candidate.matchedOn.length >= MIN_MATCHING_SIGNALS)
+  .sort((a, b) => b.matchedOn.length - a.matchedOn.length || b.nameSimilarity - a.nameSimilarity);
+
+// Add a value to the list kept under a key
+const addToList = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+// Find the existing patients that the fields of a new patient may duplicate, closest first
+// Patients already merged into another record are skipped
+const findDuplicatePatients = async (fields) => {
+  const filter = candidateFilter(fields);
+  if (!filter) return [];
+
+  const patients = await Patient.find(filter).limit(CANDIDATE_LIMIT);
+  return rankCandidates(fields, patients);
+};
+
+// Find the existing patients that each of several new patients may duplicate
+// The candidates of all of them are read in a single query, then each new patient is only
+// compared with the candidates its own index entries matched
+const findDuplicatesOfEach = async (fieldsList) => {
+  const searched = fieldsList.map((fields) => candidateFilter(fields)?.piiIndex.$in ?? []);
+  const entries = [...new Set(searched.flat())];
+  if (entries.length === 0) return fieldsList.map(() => []);
+
+  const patients = await Patient.find({ piiIndex: { $in: entries }, mergedInto: { $exists: false } }).select('+piiIndex');
+  const patientsByEntry = new Map();
+  for (const patient of patients) {
+    patient.piiIndex.forEach((entry) => addToList(patientsByEntry, entry, patient));
+  }
+
+  return fieldsList.map((fields, index) => {
+    const candidates = new Set(searched[index].flatMap((entry) => patientsByEntry.get(entry) ?? []));
+    return rankCandidates(fields, [...candidates]);
+  });
+};
+
+// Find, for each of several new patients, the positions of the earlier ones in the list that
+// it may duplicate
+// They are compared as they would be once stored, through the index entries of the earlier ones
+const findDuplicatesWithin = (fieldsList) => {
+  const positionsByEntry = new Map();
+  return fieldsList.map((fields, position) => {
+    const earlier = new Set((candidateFilter(fields)?.piiIndex.$in ?? []).flatMap((entry) => positionsByEntry.get(entry) ?? []));
+    buildPiiIndex(fields).forEach((entry) => addToList(positionsByEntry, entry, position));
+    return [...earlier]
+      .sort((a, b) => a - b)
+      .filter((other) => matchingSignals(fields, fieldsList[other]).length >= MIN_MATCHING_SIGNALS);
+  });
+};
+
+// Merge two lists of entries such as medical histories, keeping the first spelling of entries
+// differing only in case
+const mergeEntries = (survivor = [], duplicate = []) => {
+  const seen = new Set();
+  return [...survivor, ...duplicate].filter((entry) => {
+    const key = String(entry).trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+export {
+  phoneDigits,
+  nameSimilarity,
+  matchingSignals,
+  candidateFilter,
+  findDuplicatePatients,
+  findDuplicatesOfEach,
+  findDuplicatesWithin,
+  mergeEntries,
+};
@@ -0,0 +1,94 @@
+/**
+ * Early Warning Score
+ *
+ * Description: This module computes a NEWS2-style aggregate early-warning score from a
+ * patient's latest readings. Respiratory rate, blood oxygen level, systolic blood pressure,
+ * heart rate, temperature and consciousness level each add points, and the total maps to
+ * a clinical risk level used to triage patients.
+ */
+
+import { CONSCIOUSNESS_LEVELS, formatMeasurement } from "./measurement.js";
+
+// Points awarded for a numeric reading, as [upper bound, points] pairs checked in order
+const SCORE_RANGES = {
+  'Respiratory Rate': [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]],
+  'Blood Oxygen Level': [[91, 3], [93, 2], [95, 1], [Infinity, 0]],
+  'Blood Pressure': [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]],
+  'Heartbeat Rate': [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]],
+  'Temperature': [[35, 3], [36, 1], [38, 0], [39, 1], [Infinity, 2]]
+};
+
+// Extract the reading scored for a test
+// Blood pressure is scored on its systolic value, consciousness on its ACVPU level
+const scoredReading = (test) => {
+  if (test.type === 'Consciousness Level') {
+    return CONSCIOUSNESS_LEVELS.includes(test.level) ? test.level : null;
+  }
+  const reading = test.type === 'Blood Pressure' ? test.systolic : test.value;
+  return Number.isFinite(reading) ? reading : null;
+};
+
+// Score a single test, returning null when the reading cannot be scored
+const scoreTest = (test) => {
+  const reading = scoredReading(test);
+  if (reading === null) return null;
+
+  // Any consciousness level other than Alert scores 3
+  if (test.type === 'Consciousness Level') {
+    return reading === 'A' ? 0 : 3;
+  }
+
+  const ranges = SCORE_RANGES[test.type];
+  if (!ranges) return null;
+
+  const [, points] = ranges.find(([upper]) => reading <= upper);
+  return points;
+};
+
+// Map a total score to a risk level
+// A single parameter scoring 3 raises the risk to low-medium even when the total is low
+const riskLevel = (score, components) => {
+  if (score >= 7) return 'high';
+  if (score >= 5) return 'medium';
+  if (components.some((component) => component.points === 3)) return 'low-medium';
+  return 'low';
+};
+
+// Compute the early-warning score from the latest test of each type
+const calculateScore = (tests) => {
+  const components = [];
+
+  for (const test of tests) {
+    const points = scoreTest(test);
+    if (points === null) continue;
+    components.push({ testType: test.type, value: formatMeasurement(test), points });
+  }
+
+  const score = components.reduce((total, component) => total + component.points, 0);
+  const scored = components.map((component) => component.testType);
+
+  return {
+    score,
+    risk: riskLevel(score, components),
+    components,
+    missing: Object.keys(SCORE_RANGES).concat('Consciousness Level')
+      .filter((testType) => !scored.includes(testType)),
+    calculatedAt: new Date()
+  };
+};
+
+// Compare a new score with the previous one
+const scoreTrend = (score, previousScore) => {
+  if (previousScore == null) return 'stable';
+  if (score > previousScore) return 'rising';
+  if (score < previousScore) return 'falling';
+  return 'stable';
+};
+
+export {
+  SCORE_RANGES,
+  scoreTest,
+  riskLevel,
+  calculateScore,
+  scoreTrend,
+};
@@ -0,0 +1,95 @@
+/**
+ * HTTP Errors
+ *
+ * Description: This module defines the errors thrown by the controllers and middleware to
+ * refuse a request. Each error carries the HTTP status it is answered with and any extra
+ * members to send in the problem details body, e.g. the conflicting appointments. The error
+ * middleware turns them, and the errors raised by Mongoose, into RFC 7807 responses.
+ */
+
+import { STATUS_CODES } from "http";
+
+// An error answered with the given HTTP status
+// The message becomes the detail of the problem and the extensions are added to its body
+class HttpError extends Error {
+  constructor(status, message = STATUS_CODES[status], extensions = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.extensions = extensions;
+  }
+}
+
+// The request is malformed, e.g. an invalid query parameter
+class BadRequestError extends HttpError {
+  constructor(message, extensions) {
+    super(400, message, extensions);
+  }
+}
+
+// The request has no valid credentials
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required', extensions) {
+    super(401, message, extensions);
+  }
+}
+
+// The authenticated user is not allowed to perform the request
+class ForbiddenError extends HttpError {
+  constructor(message = 'You are not allowed to perform this action', extensions) {
+    super(403, message, extensions);
+  }
+}
+
+// The requested record does not exist
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found', extensions) {
+    super(404, message, extensions);
+  }
+}
+
+// The request conflicts with the current state of a record
+class ConflictError extends HttpError {
+  constructor(message, extensions) {
+    super(409, message, extensions);
+  }
+}
+
+// The record was changed since the version named in the request's If-Match header
+class PreconditionFailedError extends HttpError {
+  constructor(message = 'The record was changed since it was read', extensions) {
+    super(412, message, extensions);
+  }
+}
+
+// The body has invalid fields, listed as { field, message } in errors
+class ValidationError extends HttpError {
+  constructor(errors, message = 'Validation failed') {
+    super(422, message, { errors });
+  }
+}
+
+// The client sent too many requests in the current rate limit window
+class TooManyRequestsError extends HttpError {
+  constructor(message = 'Too many requests, please retry later', extensions) {
+    super(429, message, extensions);
+  }
+}
+
+// Describe a Mongoose error raised by a single field
+const describeFieldError = (error) => (
+  error.name === 'CastError' ? `Expected a value of type ${error.kind}` : error.message
+);
+
+export {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  ValidationError,
+  TooManyRequestsError,
+  describeFieldError,
+};
@@ -0,0 +1,29 @@
+/**
+ * Event Bus
+ *
+ * Description: This module provides the in-process event bus used to publish domain events,
+ * such as patient alerts and patient and test lifecycle events, to the parts of the server
+ * that push them to clients and webhooks.
+ */
+
+import { EventEmitter } from "events";
+
+// Name of the event bus event carrying patient and test lifecycle events
+const DOMAIN_EVENT = 'domain';
+
+const eventBus = new EventEmitter();
+
+// Every open alert stream adds a listener, so the default limit of 10 is lifted
+eventBus.setMaxListeners(0);
+
+// Publish a lifecycle event, e.g. "patient.created", with the record it is about
+const publishEvent = (event, data) => {
+  eventBus.emit(DOMAIN_EVENT, { event, data, occurredAt: new Date() });
+};
+
+export {
+  DOMAIN_EVENT,
+  publishEvent,
+};
+
+export default eventBus;
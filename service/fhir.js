@@ -0,0 +1,215 @@
+/**
+ * FHIR Mapping
+ *
+ * Description: This module maps patients and tests to and from HL7 FHIR R4 resources.
+ * Patients become FHIR Patient resources and tests become vital-sign Observation resources
+ * coded with LOINC and measured in UCUM units. Incoming resources are mapped back to the
+ * fields of the Patient and Test models, with the problems found reported as FHIR
+ * OperationOutcome issues.
+ */
+
+import { TEST_UNITS, normalizeLevel } from "./measurement.js";
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+
+// Extension carrying the patient's age, since only their age is recorded
+const AGE_EXTENSION = 'http://wellcare.example.org/fhir/StructureDefinition/patient-age';
+
+// LOINC code of each test type
+const LOINC_CODES = {
+  'Blood Pressure': { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+  'Respiratory Rate': { code: '9279-1', display: 'Respiratory rate' },
+  'Blood Oxygen Level': { code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry' },
+  'Heartbeat Rate': { code: '8867-4', display: 'Heart rate' },
+  'Temperature': { code: '8310-5', display: 'Body temperature' },
+  'Consciousness Level': { code: '67775-7', display: 'Level of responsiveness' }
+};
+
+// LOINC codes of the blood pressure components
+const SYSTOLIC = { code: '8480-6', display: 'Systolic blood pressure' };
+const DIASTOLIC = { code: '8462-4', display: 'Diastolic blood pressure' };
+
+// UCUM code of each unit
+const UCUM_CODES = {
+  'mmHg': 'mm[Hg]',
+  'breaths/min': '/min',
+  '%': '%',
+  'bpm': '/min',
+  '°C': 'Cel'
+};
+
+// Build an OperationOutcome resource reporting the given issues
+const operationOutcome = (issues) => ({
+  resourceType: 'OperationOutcome',
+  issue: issues.map(({ severity = 'error', code = 'invalid', diagnostics, expression }) => ({
+    severity,
+    code,
+    diagnostics,
+    ...(expression ? { expression: [expression] } : {})
+  }))
+});
+
+// Build a Bundle of resources
+const toBundle = (type, resources) => ({
+  resourceType: 'Bundle',
+  type,
+  total: resources.length,
+  entry: resources.map((resource) => ({
+    fullUrl: `${resource.resourceType}/${resource.id}`,
+    resource
+  }))
+});
+
+// Map a patient to a FHIR Patient resource
+const patientToFhir = (patient) => {
+  // The last word of the name is taken as the family name
+  const given = String(patient.name).trim().split(/\s+/);
+  const family = given.length > 1 ? given.pop() : undefined;
+
+  const resource = {
+    resourceType: 'Patient',
+    id: String(patient._id),
+    meta: patient.updatedAt ? { lastUpdated: new Date(patient.updatedAt).toISOString() } : undefined,
+    active: !patient.archived,
+    name: [{ text: patient.name, family, given }],
+    gender: ['male', 'female', 'other'].includes(String(patient.gender).toLowerCase())
+      ? String(patient.gender).toLowerCase()
+      : 'unknown',
+    extension: [{ url: AGE_EXTENSION, valueInteger: patient.age }]
+  };
+  if (patient.phoneNumber) resource.telecom = [{ system: 'phone', value: patient.phoneNumber }];
+  if (patient.address) resource.address = [{ text: patient.address }];
+  return JSON.parse(JSON.stringify(resource));
+};
+
+// Map a test to a FHIR vital-sign Observation resource
+const testToObservation = (test) => {
+  const coding = LOINC_CODES[test.type];
+  const quantity = (value) => ({ value, unit: TEST_UNITS[test.type], system: UCUM, code: UCUM_CODES[TEST_UNITS[test.type]] });
+
+  const resource = {
+    resourceType: 'Observation',
+    id: String(test._id),
+    status: 'final',
+    category: [{
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+        code: 'vital-signs',
+        display: 'Vital Signs'
+      }]
+    }],
+    code: { coding: [{ system: LOINC, ...coding }], text: test.type },
+    subject: { reference: `Patient/${test.patientId}` },
+    effectiveDateTime: new Date(test.date).toISOString()
+  };
+
+  if (test.type === 'Blood Pressure') {
+    resource.component = [
+      { code: { coding: [{ system: LOINC, ...SYSTOLIC }] }, valueQuantity: quantity(test.systolic) },
+      { code: { coding: [{ system: LOINC, ...DIASTOLIC }] }, valueQuantity: quantity(test.diastolic) }
+    ];
+  } else if (test.type === 'Consciousness Level') {
+    resource.valueString = test.level;
+  } else {
+    resource.valueQuantity = quantity(test.value);
+  }
+
+  return resource;
+};
+
+// Compute an age in years from a FHIR birth date
+const ageFrom = (birthDate, now = new Date()) => {
+  const born = new Date(birthDate);
+  if (isNaN(born)) return undefined;
+  let age = now.getUTCFullYear() - born.getUTCFullYear();
+  const birthday = new Date(Date.UTC(now.getUTCFullYear(), born.getUTCMonth(), born.getUTCDate()));
+  if (now < birthday) age -= 1;
+  return age;
+};
+
+// Map a FHIR Patient resource to the fields of a patient
+const fhirToPatient = (resource) => {
+  const name = resource.name?.[0];
+  const address = resource.address?.[0];
+  const ageExtension = resource.extension?.find((extension) => extension.url === AGE_EXTENSION);
+
+  return JSON.parse(JSON.stringify({
+    name: name?.text || [...(name?.given || []), name?.family].filter(Boolean).join(' ') || undefined,
+    age: resource.birthDate ? ageFrom(resource.birthDate) : ageExtension?.valueInteger,
+    gender: resource.gender,
+    address: address?.text || [...(address?.line || []), address?.city, address?.postalCode].filter(Boolean).join(', ') || undefined,
+    phoneNumber: resource.telecom?.find((telecom) => telecom.system === 'phone')?.value
+  }));
+};
+
+// Find the LOINC code of a codeable concept among the given codes
+const loincCode = (concept, codes) => concept?.coding
+  ?.find((coding) => coding.system === LOINC && codes.includes(coding.code))?.code;
+
+// Read a quantity in the unit recorded for a test type
+// Temperatures in Fahrenheit are converted to Celsius
+const readQuantity = (quantity, type, issues, expression) => {
+  if (!quantity || typeof quantity.value !== 'number') {
+    issues.push({ diagnostics: 'A numeric valueQuantity is required', expression });
+    return undefined;
+  }
+  const code = quantity.code || quantity.unit;
+  if (type === 'Temperature' && code === '[degF]') {
+    return Math.round(((quantity.value - 32) * 5 / 9) * 10) / 10;
+  }
+  if (code && code !== UCUM_CODES[TEST_UNITS[type]] && code !== TEST_UNITS[type]) {
+    issues.push({ diagnostics: `Unsupported unit ${code} for ${type}`, expression });
+    return undefined;
+  }
+  return quantity.value;
+};
+
+// Map a FHIR Observation resource to the fields of a test
+// Returns the fields and the issues found, expressed relative to the given path
+const observationToTest = (resource, path = 'Observation') => {
+  const issues = [];
+  const codeOf = loincCode(resource.code, Object.values(LOINC_CODES).map((coding) => coding.code));
+  const type = Object.keys(LOINC_CODES).find((testType) => LOINC_CODES[testType].code === codeOf);
+  if (!type) {
+    issues.push({
+      code: 'code-invalid',
+      diagnostics: `Observation code must be one of the LOINC codes ${Object.values(LOINC_CODES).map((coding) => coding.code).join(', ')}`,
+      expression: `${path}.code`
+    });
+    return { fields: {}, issues };
+  }
+
+  const fields = { type, date: resource.effectiveDateTime };
+
+  if (type === 'Blood Pressure') {
+    const components = resource.component || [];
+    [['systolic', SYSTOLIC], ['diastolic', DIASTOLIC]].forEach(([field, coding]) => {
+      const index = components.findIndex((component) => loincCode(component.code, [coding.code]));
+      if (index === -1) {
+        issues.push({ diagnostics: `A ${coding.display.toLowerCase()} component is required`, expression: `${path}.component` });
+        return;
+      }
+      fields[field] = readQuantity(components[index].valueQuantity, type, issues, `${path}.component[${index}].valueQuantity`);
+    });
+    fields.unit = TEST_UNITS[type];
+  } else if (type === 'Consciousness Level') {
+    const level = resource.valueString ?? resource.valueCodeableConcept?.coding?.[0]?.code ?? resource.valueCodeableConcept?.text;
+    fields.level = normalizeLevel(level);
+  } else {
+    fields.value = readQuantity(resource.valueQuantity, type, issues, `${path}.valueQuantity`);
+    fields.unit = TEST_UNITS[type];
+  }
+
+  return { fields: JSON.parse(JSON.stringify(fields)), issues };
+};
+
+export {
+  LOINC_CODES,
+  operationOutcome,
+  toBundle,
+  patientToFhir,
+  testToObservation,
+  fhirToPatient,
+  observationToTest,
+};
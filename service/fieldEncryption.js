@@ -0,0 +1,102 @@
+/**
+ * Field Encryption
+ *
+ * Description: This module encrypts single field values with AES-256-GCM, using the keys
+ * configured in PII_ENCRYPTION_KEYS. Each encrypted value records the ID of the key it was
+ * encrypted with, so that keys can be rotated: new values are encrypted with the first key
+ * listed, and values encrypted with an older key listed after it can still be read until they
+ * are re-encrypted. Encrypted values cannot be searched, so the module also computes blind
+ * indexes, keyed hashes of the searchable words of a value, with the PII_INDEX_KEY.
+ */
+
+import { createCipheriv, createDecipheriv, createHmac, randomBytes } from "crypto";
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Encrypted values read enc:<key ID>:<IV>:<authentication tag>:<ciphertext>, in base64
+const ENCRYPTED_PREFIX = 'enc:';
+
+// Read the encryption keys, e.g. PII_ENCRYPTION_KEYS=2026-10:<base64 key>,2025-01:<base64 key>
+// The first key encrypts new values and every key listed decrypts
+const getKeys = () => {
+  if (!process.env.PII_ENCRYPTION_KEYS) {
+    throw new Error('PII_ENCRYPTION_KEYS is not configured');
+  }
+
+  return process.env.PII_ENCRYPTION_KEYS.split(',').map((entry) => {
+    const [id, encoded = ''] = entry.trim().split(':');
+    const key = Buffer.from(encoded, 'base64');
+    if (!id || key.length !== 32) {
+      throw new Error(`PII_ENCRYPTION_KEYS has an invalid key "${id}", keys must be 32 bytes encoded in base64`);
+    }
+    return { id, key };
+  });
+};
+
+// Read the key of the blind indexes, which is kept apart from the encryption keys
+const getIndexKey = () => {
+  if (!process.env.PII_INDEX_KEY) {
+    throw new Error('PII_INDEX_KEY is not configured');
+  }
+  return process.env.PII_INDEX_KEY;
+};
+
+// Check that the encryption and index keys are configured and valid, throwing otherwise
+const checkKeys = () => {
+  getKeys();
+  getIndexKey();
+};
+
+// Whether a stored value is encrypted
+// Values stored before encryption was enabled are plaintext until they are migrated
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+// ID of the key a value was encrypted with
+const keyIdOf = (value) => (isEncrypted(value) ? value.slice(ENCRYPTED_PREFIX.length).split(':')[0] : null);
+
+// Whether a value is encrypted with the current key
+const isEncryptedWithCurrentKey = (value) => keyIdOf(value) === getKeys()[0].id;
+
+// Encrypt a value with the current key
+const encrypt = (value) => {
+  const [{ id, key }] = getKeys();
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return ENCRYPTED_PREFIX + [id, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+// Decrypt a value with the key it was encrypted with, returning plaintext values as they are
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [id, iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const entry = getKeys().find((candidate) => candidate.id === id);
+  if (!entry) {
+    throw new Error(`PII_ENCRYPTION_KEYS has no key "${id}" to decrypt a value encrypted with it`);
+  }
+
+  const decipher = createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Keyed hash of a searchable token, scoped so the same word hashes differently in each field
+const blindIndex = (scope, token) => createHmac('sha256', getIndexKey())
+  .update(`${scope}:${token}`)
+  .digest()
+  .subarray(0, 16)
+  .toString('base64url');
+
+export {
+  checkKeys,
+  isEncrypted,
+  keyIdOf,
+  isEncryptedWithCurrentKey,
+  encrypt,
+  decrypt,
+  blindIndex,
+};
@@ -0,0 +1,15 @@
+/**
+ * HTML
+ *
+ * Description: This module contains the helpers shared by the services rendering HTML, such
+ * as the printable patient report and the highlighted search results.
+ */
+
+// Escape text for HTML, rendering a missing value as an empty string
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+export {
+  escapeHtml,
+};
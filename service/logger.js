@@ -0,0 +1,39 @@
+/**
+ * Logger
+ *
+ * Description: This module writes the errors the server runs into as single lines of JSON,
+ * like the request logs, whether a request failed with them or a background job such as alert
+ * escalation or webhook delivery. An error is logged by its name, code, redacted message and
+ * stack frames, never as a whole, as its other properties can hold the documents it failed on.
+ */
+
+// Remove from an error message the values databases and drivers quote in it: quoted strings,
+// documents such as the key of a duplicate and the credentials of connection strings
+const redactMessage = (message) => String(message ?? '')
+  .replace(/"[^"]*"|'[^']*'/g, '"[redacted]"')
+  .replace(/\{[^{}]*\}/g, '{ [redacted] }')
+  .replace(/\/\/[^/@\s]+@/g, '//[redacted]@');
+
+// Describe an error by the parts of it that are safe to log
+const errorDetails = (error) => ({
+  name: error?.name,
+  code: error?.code,
+  message: redactMessage(error?.message),
+  stack: String(error?.stack ?? '').split('\n').slice(1).map((frame) => frame.trim()).filter(Boolean)
+});
+
+// Log an error with a message and the context it happened in
+const logError = (msg, error, context = {}) => {
+  console.error(JSON.stringify({
+    time: new Date().toISOString(),
+    level: 'error',
+    msg,
+    ...context,
+    error: errorDetails(error)
+  }));
+};
+
+export {
+  redactMessage,
+  logError,
+};
@@ -0,0 +1,85 @@
+/**
+ * Measurements
+ *
+ * Description: This module describes how each test type is measured. Blood pressure is
+ * stored as numeric systolic/diastolic values, consciousness as an ACVPU level and every
+ * other type as a numeric value with a unit. It also parses the free-form string values
+ * recorded before tests were structured.
+ */
+
+// Unit recorded for each test type
+const TEST_UNITS = {
+  'Blood Pressure': 'mmHg',
+  'Respiratory Rate': 'breaths/min',
+  'Blood Oxygen Level': '%',
+  'Heartbeat Rate': 'bpm',
+  'Temperature': '°C'
+};
+
+// Consciousness levels on the ACVPU scale: Alert, new Confusion, Voice, Pain, Unresponsive
+const CONSCIOUSNESS_LEVELS = ['A', 'C', 'V', 'P', 'U'];
+
+// Test types measured by a single numeric value
+const NUMERIC_TYPES = ['Respiratory Rate', 'Blood Oxygen Level', 'Heartbeat Rate', 'Temperature'];
+
+// Normalise a consciousness level such as "Alert" or "v" to its ACVPU letter
+const normalizeLevel = (level) => (level == null ? level : String(level).trim().charAt(0).toUpperCase());
+
+// Extract the readings of a test, keyed by metric
+const readingsOf = (test) => {
+  if (test.type === 'Blood Pressure') {
+    return { systolic: test.systolic, diastolic: test.diastolic };
+  }
+  if (test.type === 'Consciousness Level') {
+    return { level: test.level };
+  }
+  return { value: test.value };
+};
+
+// Format a test's reading for display, e.g. "120/80" or "98"
+const formatMeasurement = (test) => {
+  if (test.type === 'Blood Pressure') return `${test.systolic}/${test.diastolic}`;
+  if (test.type === 'Consciousness Level') return String(test.level);
+  return String(test.value);
+};
+
+// Parse a free-form string value recorded before tests were structured
+// Returns the structured fields, or null when the value cannot be parsed
+const parseLegacyValue = (type, raw) => {
+  const text = String(raw).trim();
+
+  if (type === 'Blood Pressure') {
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*(mmhg)?$/i);
+    if (!match) return null;
+    return { systolic: Number(match[1]), diastolic: Number(match[2]), unit: TEST_UNITS[type] };
+  }
+
+  if (type === 'Consciousness Level') {
+    const level = normalizeLevel(text);
+    return text && CONSCIOUSNESS_LEVELS.includes(level) ? { level } : null;
+  }
+
+  if (NUMERIC_TYPES.includes(type)) {
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*(%|bpm|breaths\/min|\/min|°?c|°?f)?$/i);
+    if (!match) return null;
+
+    let value = Number(match[1]);
+    // Temperatures recorded in Fahrenheit are converted to Celsius
+    if (type === 'Temperature' && /f$/i.test(match[2] || '')) {
+      value = Math.round(((value - 32) * 5 / 9) * 10) / 10;
+    }
+    return { value, unit: TEST_UNITS[type] };
+  }
+
+  return null;
+};
+
+export {
+  TEST_UNITS,
+  CONSCIOUSNESS_LEVELS,
+  NUMERIC_TYPES,
+  normalizeLevel,
+  readingsOf,
+  formatMeasurement,
+  parseLegacyValue,
+};
@@ -0,0 +1,127 @@
+/**
+ * Medications
+ *
+ * Description: This module holds the rules for medication orders. New orders are checked
+ * against the patient's allergies, including a few common cross-reactions such as penicillin
+ * and amoxicillin. The doses of an order are due every frequencyHours from its start, and a
+ * dose with nothing recorded MISSED_DOSE_GRACE_MINUTES (60 by default) after it was due is
+ * reported as missed. Orders are loaded along with this dose schedule.
+ */
+
+import MedicationOrder from "../model/medicationOrderModel.js";
+import MedicationAdministration from "../model/medicationAdministrationModel.js";
+import { tokenize } from "./patientSearch.js";
+
+// One hour in milliseconds
+const HOUR = 60 * 60 * 1000;
+
+// Largest number of past doses checked for each order, the most recent ones
+const MAX_SCHEDULED_DOSES = 500;
+
+// Medications that may also cause a reaction in patients allergic to a drug or drug class
+// This is a short list of common cross-reactions, not a replacement for a drug database
+const CROSS_REACTIONS = {
+  penicillin: ['amoxicillin', 'ampicillin', 'flucloxacillin', 'piperacillin', 'co-amoxiclav', 'augmentin'],
+  sulfa: ['sulfamethoxazole', 'co-trimoxazole', 'sulfasalazine', 'sulfadiazine'],
+  nsaid: ['ibuprofen', 'naproxen', 'diclofenac', 'aspirin', 'ketorolac', 'celecoxib'],
+  aspirin: ['ibuprofen', 'naproxen', 'diclofenac', 'ketorolac'],
+  codeine: ['morphine', 'dihydrocodeine'],
+  cephalosporin: ['cefalexin', 'cefuroxime', 'ceftriaxone', 'cefazolin']
+};
+
+// Time after which a dose with nothing recorded is missed, in milliseconds
+const missedDoseGrace = () => (Number(process.env.MISSED_DOSE_GRACE_MINUTES) || 60) * 60 * 1000;
+
+// Split a medication or allergy name into words, keeping hyphenated names such as co-trimoxazole
+const nameWords = (name) => {
+  const words = tokenize(name);
+  return [...words, ...String(name ?? '').toLowerCase().split(/\s+/).filter((word) => word.includes('-'))];
+};
+
+// Find the patient's allergies that a medication may cause a reaction to
+const findAllergyConflicts = (medication, allergies = []) => {
+  const medicationWords = nameWords(medication);
+
+  return allergies.filter((allergy) => {
+    const allergyWords = nameWords(allergy);
+    // Plurals such as "NSAIDs" or "penicillins" name the same class
+    const related = allergyWords.flatMap((word) => CROSS_REACTIONS[word] || CROSS_REACTIONS[word.replace(/s$/, '')] || []);
+    return medicationWords.some((word) => allergyWords.includes(word) || related.includes(word));
+  });
+};
+
+// List the times the doses of an order were due, up to the given time
+const scheduledDoses = (order, until) => {
+  if (order.asNeeded || !order.frequencyHours) return [];
+
+  const interval = order.frequencyHours * HOUR;
+  const start = new Date(order.startAt).getTime();
+  const end = Math.min(
+    until.getTime(),
+    order.endAt ? new Date(order.endAt).getTime() : Infinity,
+    order.stoppedAt ? new Date(order.stoppedAt).getTime() : Infinity
+  );
+  if (end < start) return [];
+
+  const count = Math.floor((end - start) / interval) + 1;
+  const first = Math.max(0, count - MAX_SCHEDULED_DOSES);
+  return Array.from({ length: count - first }, (_, index) => new Date(start + (first + index) * interval));
+};
+
+// Work out an order's missed doses, last dose given and next dose due
+// A dose counts as recorded when anything was recorded within half an interval of it
+const doseSchedule = (order, administrations, now = new Date()) => {
+  const recorded = administrations.map((administration) => new Date(administration.givenAt).getTime());
+  const lastGiven = administrations
+    .filter((administration) => administration.status === 'given')
+    .map((administration) => new Date(administration.givenAt))
+    .sort((a, b) => b - a)[0] || null;
+
+  if (order.asNeeded || !order.frequencyHours) {
+    return { lastGivenAt: lastGiven, nextDueAt: null, missedDoses: [] };
+  }
+
+  const interval = order.frequencyHours * HOUR;
+  const missedDoses = scheduledDoses(order, new Date(now.getTime() - missedDoseGrace()))
+    .filter((due) => !recorded.some((time) => Math.abs(time - due.getTime()) <= interval / 2));
+
+  // The next dose is the first one due from now, while the order is running
+  let nextDueAt = null;
+  if (order.status === 'active') {
+    const start = new Date(order.startAt).getTime();
+    const next = start >= now.getTime() ? start : start + Math.ceil((now.getTime() - start) / interval) * interval;
+    if (!order.endAt || next <= new Date(order.endAt).getTime()) nextDueAt = new Date(next);
+  }
+
+  return { lastGivenAt: lastGiven, nextDueAt, missedDoses };
+};
+
+// Filter matching the orders still running at the given time
+const activeOrderFilter = (now = new Date()) => ({
+  status: 'active',
+  $or: [{ endAt: null }, { endAt: { $gt: now } }]
+});
+
+// Load the medication orders matching a filter, each with its dose schedule
+const loadMedications = async (filter, now = new Date()) => {
+  const orders = await MedicationOrder.find(filter).sort({ startAt: 1 });
+  if (orders.length === 0) return [];
+
+  const administrations = await MedicationAdministration.find({ orderId: { $in: orders.map((order) => order._id) } });
+  return orders.map((order) => ({
+    ...order.toObject(),
+    schedule: doseSchedule(
+      order,
+      administrations.filter((administration) => String(administration.orderId) === String(order._id)),
+      now
+    )
+  }));
+};
+
+export {
+  findAllergyConflicts,
+  scheduledDoses,
+  doseSchedule,
+  activeOrderFilter,
+  loadMedications,
+};
@@ -0,0 +1,48 @@
+/**
+ * Ward Occupancy
+ *
+ * Description: This module works out the occupancy of the wards from their beds and the
+ * active admissions. A ward's occupancy rate is the share of its beds in service that are
+ * occupied; patients admitted to a ward without a bed are counted separately.
+ */
+
+import Ward from "../model/wardModel.js";
+import Bed from "../model/bedModel.js";
+import Admission from "../model/admissionModel.js";
+
+// Summarize the occupancy of a ward from the beds and active admissions given
+const summarizeOccupancy = (ward, beds, admissions) => {
+  const isOnWard = (record) => String(record.wardId) === String(ward._id);
+  const wardBeds = beds.filter((bed) => isOnWard(bed) && bed.active);
+  const occupiedBeds = wardBeds.filter((bed) => bed.patientId).length;
+  const wardAdmissions = admissions.filter(isOnWard);
+
+  return {
+    wardId: ward._id,
+    name: ward.name,
+    beds: wardBeds.length,
+    occupiedBeds,
+    availableBeds: wardBeds.length - occupiedBeds,
+    patients: wardAdmissions.length,
+    patientsWithoutBed: wardAdmissions.filter((admission) => !admission.bedId).length,
+    occupancyRate: wardBeds.length > 0 ? Math.round((occupiedBeds / wardBeds.length) * 100) / 100 : null
+  };
+};
+
+// Load the occupancy of the wards matching a filter, in name order
+const loadOccupancy = async (filter = {}) => {
+  const wards = await Ward.find(filter).sort({ name: 1 });
+  const wardIds = wards.map((ward) => ward._id);
+
+  const [beds, admissions] = await Promise.all([
+    Bed.find({ wardId: { $in: wardIds } }),
+    Admission.find({ status: 'active', wardId: { $in: wardIds } }).select('wardId bedId patientId')
+  ]);
+
+  return wards.map((ward) => summarizeOccupancy(ward, beds, admissions));
+};
+
+export {
+  summarizeOccupancy,
+  loadOccupancy,
+};
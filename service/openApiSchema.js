@@ -0,0 +1,77 @@
+/**
+ * OpenAPI Schemas
+ *
+ * Description: This module generates the OpenAPI schemas served in the Swagger documentation
+ * from the Mongoose schemas, so the documented fields always match the models. Fields marked
+ * readOnly in a model are managed by the server and documented as read-only.
+ */
+
+// Fields Mongoose manages itself, never accepted from clients
+const MANAGED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Check whether a path is managed by the server rather than set by clients
+const isReadOnly = (schemaType) => MANAGED_FIELDS.includes(schemaType.path) || schemaType.options.readOnly === true;
+
+// Convert a single Mongoose schema type to an OpenAPI schema
+const typeToOpenApi = (schemaType) => {
+  switch (schemaType.instance) {
+    case 'String':
+      return schemaType.enumValues && schemaType.enumValues.length > 0
+        ? { type: 'string', enum: schemaType.enumValues }
+        : { type: 'string' };
+    case 'Number':
+      return { type: 'number' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'ObjectId':
+      return { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+    case 'Embedded':
+      return schemaToOpenApi(schemaType.schema);
+    case 'Array':
+      return {
+        type: 'array',
+        items: schemaType.schema ? schemaToOpenApi(schemaType.schema) : typeToOpenApi(schemaType.caster)
+      };
+    default:
+      return { type: 'object' };
+  }
+};
+
+// Convert a Mongoose schema to an OpenAPI object schema
+// Dotted paths such as "user.id" become nested objects
+const schemaToOpenApi = (schema, { exclude = [] } = {}) => {
+  const root = { type: 'object', properties: {} };
+
+  schema.eachPath((path, schemaType) => {
+    if (path === '__v' || exclude.includes(path) || schemaType.options.select === false) return;
+
+    const segments = path.split('.');
+    let parent = root;
+    for (const segment of segments.slice(0, -1)) {
+      parent.properties[segment] = parent.properties[segment] || { type: 'object', properties: {} };
+      parent = parent.properties[segment];
+    }
+
+    const name = segments[segments.length - 1];
+    const property = typeToOpenApi(schemaType);
+    if (isReadOnly(schemaType)) property.readOnly = true;
+    parent.properties[name] = property;
+
+    if (schemaType.isRequired) {
+      parent.required = [...(parent.required || []), name];
+    }
+  });
+
+  return root;
+};
+
+// Convert a Mongoose model to an OpenAPI schema
+const modelToOpenApi = (model, options) => schemaToOpenApi(model.schema, options);
+
+export {
+  isReadOnly,
+  schemaToOpenApi,
+  modelToOpenApi,
+};
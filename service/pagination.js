@@ -0,0 +1,101 @@
+/**
+ * Pagination
+ *
+ * Description: This module provides cursor-based pagination for the list endpoints. List
+ * queries accept limit, cursor and sort parameters, and results are returned in a consistent
+ * envelope holding the page of data, the total count and the cursor of the next page.
+ */
+
+// Page size used when no limit is given, and the largest page allowed
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Encode the position after a document as an opaque cursor
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id: String(id) })).toString('base64url');
+
+// Decode a cursor, returning null when it is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position.id === 'string' && 'v' in position ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read a possibly nested field of a document or plain object
+const readField = (document, field) => (typeof document.get === 'function'
+  ? document.get(field)
+  : field.split('.').reduce((value, key) => (value == null ? value : value[key]), document));
+
+// Parse the limit, cursor and sort query parameters of a list request
+// sort is a field name, prefixed with "-" for descending order, e.g. ?sort=-age
+// Returns { error } when a parameter is invalid
+const parseListQuery = (query, { sortFields, defaultSort }) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  const sort = query.sort || defaultSort;
+  const field = sort.replace(/^-/, '');
+  if (!sortFields.includes(field)) {
+    return { error: `sort must be one of ${sortFields.join(', ')}, optionally prefixed with -` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { limit, cursor, sortField: field, direction: sort.startsWith('-') ? -1 : 1 };
+};
+
+// Find a page of documents after the cursor, ordered by the sort field then by ID
+const paginate = async (model, filter, { limit, cursor, sortField, direction, select }) => {
+  let query = filter;
+  if (cursor) {
+    const operator = direction === 1 ? '$gt' : '$lt';
+    query = {
+      $and: [filter, {
+        $or: [
+          { [sortField]: { [operator]: cursor.v } },
+          { [sortField]: cursor.v, _id: { [operator]: cursor.id } }
+        ]
+      }]
+    };
+  }
+
+  let finder = model.find(query);
+  if (select) finder = finder.select(select);
+
+  const [documents, total] = await Promise.all([
+    finder.sort({ [sortField]: direction, _id: direction }).limit(limit + 1),
+    model.countDocuments(filter)
+  ]);
+
+  // One extra document is fetched to know whether there is a next page
+  const hasMore = documents.length > limit;
+  const data = hasMore ? documents.slice(0, limit) : documents;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    meta: {
+      total,
+      limit,
+      sort: `${direction === -1 ? '-' : ''}${sortField}`,
+      nextCursor: hasMore ? encodeCursor(readField(last, sortField), last._id) : null
+    }
+  };
+};
+
+export {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseListQuery,
+  paginate,
+};
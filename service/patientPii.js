@@ -0,0 +1,209 @@
+/**
+ * Patient PII
+ *
+ * Description: This module protects the personally identifiable information (PII) of patients:
+ * their name, address and phone number. The fields are encrypted before a patient is written
+ * and decrypted when it is read, so the API works with plaintext while the database only holds
+ * ciphertext. As encrypted fields cannot be matched with a regular expression or a text index,
+ * each patient also keeps a blind index of their PII: keyed hashes of the words of their name
+ * and address with their prefixes and one-letter typos, and of the runs of digits of their
+ * phone number. Searches hash their terms the same way to find candidates. PII copied onto
+ * other records, such as the patient name shown with an alert, is encrypted at rest too.
+ */
+
+import { encrypt, decrypt, isEncrypted, blindIndex } from "./fieldEncryption.js";
+
+// Fields of a patient that identify them
+const PII_FIELDS = ['name', 'address', 'phoneNumber'];
+
+// Fields indexed on their words, the phone number being indexed on its digits
+const WORD_FIELDS = ['name', 'address'];
+
+// Shortest prefix of a word that is indexed
+const MIN_PREFIX_LENGTH = 2;
+
+// Shortest word searched with typos, as in the search, which tolerates none in shorter words
+const MIN_TYPO_LENGTH = 4;
+
+// Shortest run of phone digits that is indexed
+const MIN_PHONE_DIGITS = 3;
+
+// Split text into lowercase words
+// The blind index splits words the same way so that searched words hash like indexed ones
+const tokenize = (text) => String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// The variants of a word with one letter removed
+// Two words one typo apart always share one of their variants or one is a variant of the other
+const deletions = (letters) => letters.map((_, index) => [...letters.slice(0, index), ...letters.slice(index + 1)].join(''));
+
+// Index entries of a word: the word and its prefixes, plus the entries matching it despite a typo
+const wordEntries = (field, word) => {
+  const letters = [...word];
+  const entries = [blindIndex(field, word)];
+
+  for (let length = MIN_PREFIX_LENGTH; length < letters.length; length += 1) {
+    entries.push(blindIndex(field, letters.slice(0, length).join('')));
+  }
+  // A word one letter shorter than the searched ones can still be reached with a typo
+  if (letters.length >= MIN_TYPO_LENGTH - 1) entries.push(blindIndex(`${field}~`, word));
+  if (letters.length >= MIN_TYPO_LENGTH) {
+    entries.push(...deletions(letters).map((variant) => blindIndex(`${field}~`, variant)));
+  }
+
+  return entries;
+};
+
+// Runs of consecutive digits of a phone number, so that any part of it can be searched
+const digitRuns = (digits) => {
+  const runs = [];
+  for (let start = 0; start < digits.length; start += 1) {
+    for (let end = start + MIN_PHONE_DIGITS; end <= digits.length; end += 1) {
+      runs.push(digits.slice(start, end));
+    }
+  }
+  return runs;
+};
+
+// Build the blind index of a patient from the plaintext of their PII
+const buildPiiIndex = (patient) => {
+  const entries = new Set();
+
+  for (const field of WORD_FIELDS) {
+    tokenize(patient[field]).forEach((word) => wordEntries(field, word).forEach((entry) => entries.add(entry)));
+  }
+  const digits = String(patient.phoneNumber ?? '').replace(/\D/g, '');
+  digitRuns(digits).forEach((run) => entries.add(blindIndex('phoneNumber', run)));
+
+  return [...entries];
+};
+
+// Index entries matching words of a field, typed in full or as the start of a word
+// With typos, the words one letter away from the longer ones are matched too
+const wordSearchEntries = (field, words, { typos = false } = {}) => words.flatMap((word) => {
+  const letters = [...word];
+  const entries = [blindIndex(field, word)];
+  if (typos && letters.length >= MIN_TYPO_LENGTH) {
+    entries.push(...[word, ...deletions(letters)].map((variant) => blindIndex(`${field}~`, variant)));
+  }
+  return entries;
+});
+
+// Index entry matching the phone numbers containing the given digits
+const phoneSearchEntry = (digits) => blindIndex('phoneNumber', digits);
+
+// Set a decrypted value without marking the field as modified
+const setPlaintext = (doc, field, value) => {
+  doc.set(field, value);
+  doc.unmarkModified(field);
+};
+
+// Encrypt the PII of a plain object or document, returning the plaintext that was replaced
+const encryptFields = (target, fields) => {
+  const plaintext = {};
+  for (const field of fields) {
+    const value = target[field];
+    if (value == null || value === '' || isEncrypted(value)) continue;
+    plaintext[field] = value;
+    target[field] = encrypt(value);
+  }
+  return plaintext;
+};
+
+// Decrypt the PII of a document read or written
+const decryptFields = (doc, fields = PII_FIELDS) => {
+  for (const field of fields) {
+    if (isEncrypted(doc.get(field))) setPlaintext(doc, field, decrypt(doc.get(field)));
+  }
+};
+
+// Put back the plaintext replaced when a document was saved, whether the write succeeded or not
+const restorePlaintext = (doc) => {
+  for (const [field, value] of Object.entries(doc.$locals.piiPlaintext || {})) setPlaintext(doc, field, value);
+  delete doc.$locals.piiPlaintext;
+};
+
+// Add the hooks putting back a document's plaintext once it is saved
+const restorePlaintextAfterSave = (schema) => {
+  schema.post('save', function () {
+    restorePlaintext(this);
+  });
+  schema.post('save', function (error, doc, next) {
+    restorePlaintext(doc);
+    next(error);
+  });
+};
+
+// Mongoose plugin encrypting a patient's PII at rest and keeping their blind index up to date
+// Documents hold plaintext: the PII is encrypted just before it is written and decrypted after
+const protectPii = (schema) => {
+  schema.post('init', function () {
+    decryptFields(this);
+  });
+
+  schema.pre('save', function () {
+    const modified = PII_FIELDS.filter((field) => this.isModified(field));
+    if (modified.length === 0) return;
+    // The index is rebuilt from every PII field, so none may be missing from the document
+    if (!PII_FIELDS.every((field) => this.isSelected(field))) {
+      throw new Error('Patient PII can only be changed on a patient loaded with all of its PII');
+    }
+
+    this.piiIndex = buildPiiIndex(this);
+    this.$locals.piiPlaintext = encryptFields(this, modified);
+  });
+  restorePlaintextAfterSave(schema);
+
+  schema.pre('insertMany', function (next, docs) {
+    for (const doc of docs) {
+      doc.piiIndex = buildPiiIndex(doc);
+      encryptFields(doc, PII_FIELDS);
+    }
+    next();
+  });
+  schema.post('insertMany', function (docs) {
+    docs.forEach((doc) => decryptFields(doc));
+  });
+
+  // Updates made through queries cannot rebuild the blind index, so they may not change the PII
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+
+    const paths = [update, update.$set, update.$unset, update.$setOnInsert]
+      .flatMap((operation) => Object.keys(operation || {}));
+    if (paths.some((path) => PII_FIELDS.includes(path))) {
+      throw new Error('Patient PII can only be changed by saving the patient');
+    }
+  });
+
+  // The blind index is only used by queries and never sent
+  const hideIndex = (doc, ret) => {
+    delete ret.piiIndex;
+    return ret;
+  };
+  schema.set('toJSON', { transform: hideIndex });
+  schema.set('toObject', { transform: hideIndex });
+};
+
+// Mongoose plugin encrypting at rest the given fields of a record holding a copy of a patient's PII
+// Documents hold plaintext as patients do, but the fields are not indexed and cannot be searched
+const protectCopiedPii = (fields) => (schema) => {
+  schema.post('init', function () {
+    decryptFields(this, fields);
+  });
+
+  schema.pre('save', function () {
+    this.$locals.piiPlaintext = encryptFields(this, fields.filter((field) => this.isModified(field)));
+  });
+  restorePlaintextAfterSave(schema);
+};
+
+export {
+  PII_FIELDS,
+  tokenize,
+  buildPiiIndex,
+  wordSearchEntries,
+  phoneSearchEntry,
+  protectPii,
+  protectCopiedPii,
+};
@@ -0,0 +1,230 @@
+/**
+ * Patient Report
+ *
+ * Description: This module builds the printable patient summary used for discharge and
+ * handover. The report holds the patient's demographics, medical history, current critical
+ * status and early-warning score, the latest reading of each test type and every abnormal
+ * reading with the threshold it breached. It is rendered server-side as HTML or as a PDF.
+ */
+
+import PDFDocument from "pdfkit";
+import { evaluateTest } from "./ruleEngine.js";
+import { TEST_LABELS } from "./patientStatus.js";
+import { TEST_UNITS, formatMeasurement } from "./measurement.js";
+import { escapeHtml } from "./html.js";
+
+// Colours used to highlight abnormal readings
+const SEVERITY_COLOURS = { warning: '#b45309', critical: '#b91c1c' };
+
+// Describe the threshold a flag breached, e.g. "systolic above 180"
+const describeThreshold = (flag, rules) => {
+  const rule = rules.find((candidate) => String(candidate._id) === String(flag.rule));
+  const band = rule?.bands.find((candidate) => candidate.severity === flag.severity);
+  const metric = flag.metric === 'value' ? '' : `${flag.metric} `;
+  if (!band) return `${metric}${flag.direction}`;
+  return flag.direction === 'high' ? `${metric}above ${band.max}` : `${metric}below ${band.min}`;
+};
+
+// Describe a reading with the flags it raised against the rules
+const describeReading = (test, rules) => {
+  const flags = evaluateTest(test, rules).map((flag) => ({
+    metric: flag.metric,
+    direction: flag.direction,
+    severity: flag.severity,
+    threshold: describeThreshold(flag, rules)
+  }));
+
+  return {
+    type: test.type,
+    label: TEST_LABELS[test.type] || test.type,
+    value: formatMeasurement(test),
+    unit: test.unit || TEST_UNITS[test.type] || '',
+    date: test.date,
+    severity: flags.some((flag) => flag.severity === 'critical') ? 'critical' : flags[0]?.severity || null,
+    flags
+  };
+};
+
+// Build the report of a patient from their tests, most recent first, and the clinical rules
+const buildPatientReport = (patient, tests, rules, generatedAt = new Date()) => {
+  const readings = tests.map((test) => describeReading(test, rules));
+  const score = patient.earlyWarningScore;
+
+  return {
+    generatedAt,
+    patient: {
+      id: String(patient._id),
+      name: patient.name,
+      age: patient.age,
+      gender: patient.gender,
+      address: patient.address,
+      phoneNumber: patient.phoneNumber,
+      ward: patient.ward,
+      archived: Boolean(patient.archived)
+    },
+    medicalHistory: patient.medicalHistory || [],
+    status: {
+      critical: Boolean(patient.criticalCondition),
+      reasons: patient.criticalReasons || [],
+      earlyWarningScore: score?.score != null ? { score: score.score, risk: score.risk, trend: score.trend } : null
+    },
+    latestReadings: Object.keys(TEST_LABELS)
+      .map((type) => readings.find((reading) => reading.type === type))
+      .filter(Boolean),
+    abnormalReadings: readings.filter((reading) => reading.flags.length > 0)
+  };
+};
+
+// Format a date for the report
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+
+// Render the rows of a readings table as HTML, highlighting abnormal readings
+const readingRowsHtml = (readings) => readings.map((reading) => `
+      <tr${reading.severity ? ` class="${reading.severity}"` : ''}>
+        <td>${escapeHtml(reading.type)}</td>
+        <td>${escapeHtml(`${reading.value} ${reading.unit}`.trim())}</td>
+        <td>${escapeHtml(formatDate(reading.date))}</td>
+        <td>${escapeHtml(reading.flags.map((flag) => `${flag.severity}: ${flag.threshold}`).join(', ') || 'Normal')}</td>
+      </tr>`).join('');
+
+// Render a readings table as HTML
+const readingsTableHtml = (readings, empty) => (readings.length === 0
+  ? `<p>${escapeHtml(empty)}</p>`
+  : `<table>
+      <thead><tr><th>Test</th><th>Reading</th><th>Date</th><th>Thresholds</th></tr></thead>
+      <tbody>${readingRowsHtml(readings)}
+      </tbody>
+    </table>`);
+
+// Render a report as a standalone HTML document
+const renderReportHtml = (report) => {
+  const { patient, status } = report;
+  const score = status.earlyWarningScore;
+  const details = [
+    ['Age', patient.age],
+    ['Gender', patient.gender],
+    ['Ward', patient.ward],
+    ['Phone', patient.phoneNumber],
+    ['Address', patient.address]
+  ].filter(([, value]) => value != null && value !== '');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Patient summary - ${escapeHtml(patient.name)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; margin: 2em; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; }
+    tr.warning td { color: ${SEVERITY_COLOURS.warning}; background: #fef3c7; }
+    tr.critical td { color: ${SEVERITY_COLOURS.critical}; background: #fee2e2; font-weight: bold; }
+    .status.critical { color: ${SEVERITY_COLOURS.critical}; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>Patient summary</h1>
+  <p>Generated ${escapeHtml(formatDate(report.generatedAt))}</p>
+
+  <h2>${escapeHtml(patient.name)}${patient.archived ? ' (archived)' : ''}</h2>
+  <table>
+    <tbody>${details.map(([label, value]) => `
+      <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </tbody>
+  </table>
+
+  <h2>Medical history</h2>
+  ${report.medicalHistory.length === 0
+    ? '<p>None recorded</p>'
+    : `<ul>${report.medicalHistory.map((entry) => `<li>${escapeHtml(entry)}</li>`).join('')}</ul>`}
+
+  <h2>Current status</h2>
+  <p class="status${status.critical ? ' critical' : ''}">${status.critical ? 'Critical' : 'Not critical'}</p>
+  ${status.reasons.length > 0 ? `<ul>${status.reasons.map((reason) => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>` : ''}
+  ${score ? `<p>Early-warning score ${escapeHtml(score.score)} (${escapeHtml(score.risk)} risk${score.trend ? `, ${escapeHtml(score.trend)}` : ''})</p>` : ''}
+
+  <h2>Latest readings</h2>
+  ${readingsTableHtml(report.latestReadings, 'No readings recorded')}
+
+  <h2>Abnormal readings</h2>
+  ${readingsTableHtml(report.abnormalReadings, 'No abnormal readings')}
+</body>
+</html>
+`;
+};
+
+// Write a readings table to a PDF document, highlighting abnormal readings
+const writeReadingsPdf = (doc, readings, empty) => {
+  if (readings.length === 0) {
+    doc.font('Helvetica').fillColor('black').text(empty).moveDown();
+    return;
+  }
+
+  const columns = [{ x: 50, width: 120 }, { x: 175, width: 95 }, { x: 275, width: 110 }, { x: 390, width: 160 }];
+  const writeRow = (cells, font, colour) => {
+    doc.font(font).fillColor(colour);
+    const heights = cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width }));
+    // Rows are kept whole, starting a new page when they do not fit
+    if (doc.y + Math.max(...heights) > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const top = doc.y;
+    cells.forEach((cell, index) => doc.text(cell, columns[index].x, top, { width: columns[index].width }));
+    doc.x = 50;
+    doc.y = top + Math.max(...heights) + 4;
+  };
+
+  writeRow(['Test', 'Reading', 'Date', 'Thresholds'], 'Helvetica-Bold', 'black');
+  for (const reading of readings) {
+    writeRow([
+      reading.type,
+      `${reading.value} ${reading.unit}`.trim(),
+      formatDate(reading.date),
+      reading.flags.map((flag) => `${flag.severity}: ${flag.threshold}`).join(', ') || 'Normal'
+    ], reading.severity === 'critical' ? 'Helvetica-Bold' : 'Helvetica', SEVERITY_COLOURS[reading.severity] || 'black');
+  }
+  doc.fillColor('black').moveDown();
+};
+
+// Render a report as a PDF document
+const renderReportPdf = (report) => new Promise((resolve, reject) => {
+  const { patient, status } = report;
+  const score = status.earlyWarningScore;
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Patient summary - ${patient.name}` } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const heading = (text) => doc.moveDown(0.5).font('Helvetica-Bold').fontSize(13).fillColor('black').text(text).fontSize(10).moveDown(0.3);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Patient summary');
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(`Generated ${formatDate(report.generatedAt)}`);
+
+  heading(`${patient.name}${patient.archived ? ' (archived)' : ''}`);
+  [['Age', patient.age], ['Gender', patient.gender], ['Ward', patient.ward], ['Phone', patient.phoneNumber], ['Address', patient.address]]
+    .filter(([, value]) => value != null && value !== '')
+    .forEach(([label, value]) => doc.font('Helvetica').text(`${label}: ${value}`));
+
+  heading('Medical history');
+  doc.font('Helvetica').text(report.medicalHistory.length ? report.medicalHistory.map((entry) => `- ${entry}`).join('\n') : 'None recorded');
+
+  heading('Current status');
+  doc.font('Helvetica-Bold').fillColor(status.critical ? SEVERITY_COLOURS.critical : 'black')
+    .text(status.critical ? 'Critical' : 'Not critical');
+  doc.font('Helvetica').fillColor('black');
+  status.reasons.forEach((reason) => doc.text(`- ${reason}`));
+  if (score) doc.text(`Early-warning score ${score.score} (${score.risk} risk${score.trend ? `, ${score.trend}` : ''})`);
+
+  heading('Latest readings');
+  writeReadingsPdf(doc, report.latestReadings, 'No readings recorded');
+
+  heading('Abnormal readings');
+  writeReadingsPdf(doc, report.abnormalReadings, 'No abnormal readings');
+
+  doc.end();
+});
+
+export {
+  buildPatientReport,
+  renderReportHtml,
+  renderReportPdf,
+};
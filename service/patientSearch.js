@@ -0,0 +1,167 @@
+/**
+ * Patient Search
+ *
+ * Description: This module finds patients from a free-text query. Candidates come from the
+ * patient text index on the medical history and from a typo tolerant match on name, phone
+ * number and address, which are encrypted and matched through their blind index. Every
+ * candidate is then scored on how closely its decrypted fields match the query terms, and the
+ * matching words are highlighted.
+ */
+
+import Patient from "../model/patientModel.js";
+import { tokenize, wordSearchEntries, phoneSearchEntry } from "./patientPii.js";
+import { escapeHtml } from "./html.js";
+
+// Number of candidates read from each query before ranking
+const CANDIDATE_LIMIT = 200;
+
+// Largest number of words of a query that are searched
+const MAX_TERMS = 10;
+
+// Weight of a match in each searched field
+const FIELD_WEIGHTS = { name: 3, phoneNumber: 3, medicalHistory: 2, address: 1 };
+
+// Number of typos tolerated in a term of the given length
+const allowedEdits = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+// Edit distance between two words, counting a swap of adjacent letters as one edit
+const editDistance = (a, b) => {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) distances[0][j] = j;
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+};
+
+// Score how closely a word matches a query term, from 0 to 1
+// Exact words score highest, then words the term starts, then words within the tolerated typos
+const termSimilarity = (term, word) => {
+  if (word === term) return 1;
+  if (term.length >= 2 && word.startsWith(term)) return 0.9;
+
+  const edits = allowedEdits(term.length);
+  if (edits === 0) return 0;
+  const distance = editDistance(term, word);
+  return distance <= edits ? 1 - distance / Math.max(term.length, word.length) : 0;
+};
+
+// Build the filter finding candidates by name, address or phone number despite typos
+// Words are matched in full, as the start of a word or one letter away
+const candidateFilter = (terms) => {
+  const entries = ['name', 'address'].flatMap((field) => wordSearchEntries(field, terms, { typos: true }));
+
+  // Phone numbers are matched on their digits, whatever the separators
+  const digits = terms.join('').replace(/\D/g, '');
+  if (digits.length >= 3) entries.push(phoneSearchEntry(digits));
+
+  return { piiIndex: { $in: entries } };
+};
+
+// Score a field's words against the query terms
+// Returns the best similarity of each term and the words that matched
+const matchField = (terms, text) => {
+  const words = tokenize(text);
+  const matched = new Set();
+  const similarities = terms.map((term) => {
+    let best = 0;
+    for (const word of words) {
+      const similarity = termSimilarity(term, word);
+      if (similarity > 0) matched.add(word);
+      best = Math.max(best, similarity);
+    }
+    return best;
+  });
+  return { similarities, matched };
+};
+
+// Wrap the matched words of a text in <mark> tags, escaping the rest for HTML
+const highlight = (text, matched) => String(text)
+  .split(/([^\p{L}\p{N}]+)/u)
+  .map((part) => (matched.has(part.toLowerCase()) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+  .join('');
+
+// Score a patient against the query terms and highlight the matching fields
+const scorePatient = (patient, terms) => {
+  const highlights = {};
+  const termScores = terms.map(() => 0);
+
+  const scoreText = (field, text) => {
+    const { similarities, matched } = matchField(terms, text);
+    similarities.forEach((similarity, index) => {
+      termScores[index] = Math.max(termScores[index], similarity * FIELD_WEIGHTS[field]);
+    });
+    return matched;
+  };
+
+  for (const field of ['name', 'address']) {
+    if (!patient[field]) continue;
+    const matched = scoreText(field, patient[field]);
+    if (matched.size > 0) highlights[field] = highlight(patient[field], matched);
+  }
+
+  const history = (patient.medicalHistory || [])
+    .map((entry) => ({ entry, matched: scoreText('medicalHistory', entry) }))
+    .filter(({ matched }) => matched.size > 0);
+  if (history.length > 0) {
+    highlights.medicalHistory = history.map(({ entry, matched }) => highlight(entry, matched));
+  }
+
+  // A phone number matches when it contains the digits of the query
+  const digits = terms.join('').replace(/\D/g, '');
+  if (patient.phoneNumber && digits.length >= 3 && patient.phoneNumber.replace(/\D/g, '').includes(digits)) {
+    terms.forEach((term, index) => {
+      if (/\d/.test(term)) termScores[index] = Math.max(termScores[index], FIELD_WEIGHTS.phoneNumber);
+    });
+    highlights.phoneNumber = `<mark>${escapeHtml(patient.phoneNumber)}</mark>`;
+  }
+
+  return {
+    score: Math.round(termScores.reduce((total, score) => total + score, 0) * 100) / 100,
+    highlights
+  };
+};
+
+// Find the patients matching a free-text query, best matches first
+const findMatchingPatients = async (query, { limit, filter = {} }) => {
+  const terms = [...new Set(tokenize(query))].slice(0, MAX_TERMS);
+  if (terms.length === 0) return [];
+
+  // The text search is given the bare words, so that "-" or quotes are not read as operators
+  const [textMatches, typoMatches] = await Promise.all([
+    Patient.find({ ...filter, $text: { $search: terms.join(' ') } }).limit(CANDIDATE_LIMIT),
+    Patient.find({ ...filter, ...candidateFilter(terms) }).limit(CANDIDATE_LIMIT)
+  ]);
+
+  const candidates = new Map();
+  for (const patient of [...textMatches, ...typoMatches]) {
+    candidates.set(String(patient._id), patient);
+  }
+
+  return [...candidates.values()]
+    .map((patient) => ({ patient, ...scorePatient(patient, terms) }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+export {
+  tokenize,
+  editDistance,
+  termSimilarity,
+  candidateFilter,
+  scorePatient,
+  findMatchingPatients,
+};
@@ -0,0 +1,125 @@
+/**
+ * Patient Status
+ *
+ * Description: This module derives a patient's clinical status from their most recent
+ * readings. The latest test of every test type is evaluated together against the clinical
+ * rules, so a normal reading of one vital sign no longer clears a critical reading of
+ * another. The resulting flags, human readable reasons and early-warning score are stored
+ * on the patient.
+ */
+
+import mongoose from "mongoose";
+import Test from "../model/testsModel.js";
+import Patient from "../model/patientModel.js";
+import { evaluateTest, loadRules } from "./ruleEngine.js";
+import { calculateScore, scoreTrend } from "./earlyWarningScore.js";
+import { formatMeasurement } from "./measurement.js";
+import { raiseAlert } from "./alerts.js";
+
+// Number of previous scores kept on the patient
+const SCORE_HISTORY_LIMIT = 50;
+
+// Attempts at storing a patient's status while concurrent test writes keep changing it
+const STATUS_UPDATE_ATTEMPTS = 5;
+
+// Short labels used when describing a reading
+const TEST_LABELS = {
+  'Blood Pressure': 'BP',
+  'Respiratory Rate': 'RR',
+  'Blood Oxygen Level': 'SpO2',
+  'Heartbeat Rate': 'HR',
+  'Temperature': 'Temp',
+  'Consciousness Level': 'ACVPU'
+};
+
+// Retrieve the latest test of each type for a patient
+const getLatestTestsByType = (patientId) => Test.aggregate([
+  { $match: { patientId: new mongoose.Types.ObjectId(String(patientId)), archived: { $ne: true } } },
+  { $sort: { date: -1 } },
+  { $group: { _id: '$type', test: { $first: '$$ROOT' } } },
+  { $replaceRoot: { newRoot: '$test' } },
+  { $sort: { type: 1 } }
+]);
+
+// Describe the flags raised by each test, e.g. "BP 190/110 high"
+const describeFlags = (tests, flags) => tests.reduce((reasons, test) => {
+  const testFlags = flags.filter((flag) => String(flag.testId) === String(test._id));
+  if (testFlags.length === 0) return reasons;
+
+  const directions = [...new Set(testFlags.map((flag) => flag.direction))].join('/');
+  const label = TEST_LABELS[test.type] || test.type;
+  reasons.push(`${label} ${formatMeasurement(test)} ${directions}`);
+  return reasons;
+}, []);
+
+// Evaluate the latest reading of each test type together against the clinical rules
+const evaluatePatientStatus = async (patientId) => {
+  const [tests, rules] = await Promise.all([getLatestTestsByType(patientId), loadRules()]);
+
+  const flags = tests.flatMap((test) => evaluateTest(test, rules));
+  const criticalFlags = flags.filter((flag) => flag.severity === 'critical');
+
+  return {
+    criticalCondition: criticalFlags.length > 0,
+    criticalReasons: describeFlags(tests, criticalFlags),
+    flags,
+    earlyWarningScore: calculateScore(tests),
+    latestTests: tests
+  };
+};
+
+// Helper function to update a patient's critical condition and early-warning score
+// based on their latest tests, called whenever a patient's tests change
+// An alert is raised when the patient becomes critical or recovers
+const refreshPatientStatus = async (patientId) => {
+  for (let attempt = 1; attempt <= STATUS_UPDATE_ATTEMPTS; attempt += 1) {
+    const [status, patient] = await Promise.all([
+      evaluatePatientStatus(patientId),
+      Patient.findById(patientId).select('name ward criticalCondition earlyWarningScore')
+    ]);
+    if (!patient) return;
+
+    const { criticalCondition, criticalReasons, flags, earlyWarningScore } = status;
+    const previousScore = patient.earlyWarningScore?.score;
+    earlyWarningScore.previousScore = previousScore;
+    earlyWarningScore.trend = scoreTrend(earlyWarningScore.score, previousScore);
+
+    // The update only applies if no concurrent refresh changed the critical condition read,
+    // so that a change is stored, and alerted, once
+    // Being derived from the tests, the status leaves the patient's version and ETag as they are
+    const wasCritical = Boolean(patient.criticalCondition);
+    const updated = await Patient.findOneAndUpdate({
+      _id: patientId,
+      criticalCondition: wasCritical ? true : { $ne: true }
+    }, {
+      $set: { criticalCondition, criticalReasons, flags, earlyWarningScore },
+      $push: {
+        scoreHistory: {
+          $each: [{
+            score: earlyWarningScore.score,
+            risk: earlyWarningScore.risk,
+            calculatedAt: earlyWarningScore.calculatedAt
+          }],
+          $slice: -SCORE_HISTORY_LIMIT
+        }
+      }
+    }, { projection: { _id: 1 }, versioned: false });
+    // Another refresh changed the condition first, so the status is evaluated again
+    if (!updated) continue;
+
+    if (wasCritical !== criticalCondition) {
+      await raiseAlert(patient, { criticalCondition, criticalReasons });
+    }
+    return;
+  }
+
+  throw new Error(`The status of patient ${patientId} kept changing while it was refreshed`);
+};
+
+export {
+  TEST_LABELS,
+  getLatestTestsByType,
+  describeFlags,
+  evaluatePatientStatus,
+  refreshPatientStatus,
+};
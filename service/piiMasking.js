@@ -0,0 +1,90 @@
+/**
+ * PII Masking
+ *
+ * Description: This module applies the masking policy to the patients returned by the API, and
+ * to the copies of their details held by alerts and audit entries. Responses show the initials
+ * of a patient's name, the last digits of their phone number and no address. The fields are
+ * only sent in full to callers who ask for it with ?unmask=true and whose role is allowed to
+ * see them. Masked values sent back to be saved are refused, as they would replace the real ones.
+ */
+
+import { PII_FIELDS } from "./patientPii.js";
+import { BadRequestError, ForbiddenError } from "./errors.js";
+
+// Roles allowed to unmask patient PII
+const UNMASK_ROLES = ['nurse', 'doctor', 'admin'];
+
+// Number of trailing phone digits left visible
+const VISIBLE_PHONE_DIGITS = 4;
+
+// Part of every masked value, which no real name, address or phone number contains
+const MASK_MARKER = '***';
+
+// Mask each field, e.g. "Jane Doe" as "J*** D***" and "555-010-1234" as "***-***-1234"
+const MASKS = {
+  name: (name) => name.split(/\s+/).filter(Boolean).map((word) => `${[...word][0]}***`).join(' '),
+  address: () => '***',
+  phoneNumber: (phoneNumber) => `***-***-${phoneNumber.replace(/\D/g, '').slice(-VISIBLE_PHONE_DIGITS)}`
+};
+
+// Whether the patients sent in response to a request are masked
+// Unmasking must be asked for, and is refused to the roles not allowed it
+const isMasked = (req) => {
+  if (req.query.unmask !== 'true') return true;
+  if (!UNMASK_ROLES.includes(req.user?.role)) {
+    throw new ForbiddenError('Your role is not allowed to unmask patient details');
+  }
+  return false;
+};
+
+// Mask a value of one of a patient's PII fields, leaving missing values as they are
+const maskField = (field, value) => (value ? MASKS[field](String(value)) : value);
+
+// Copy a patient with their PII masked
+const maskPatient = (patient) => {
+  const masked = typeof patient.toJSON === 'function' ? patient.toJSON() : { ...patient };
+  for (const field of PII_FIELDS) {
+    if (masked[field]) masked[field] = maskField(field, masked[field]);
+  }
+  return masked;
+};
+
+// Copy an alert with the name of its patient masked
+const maskAlert = (alert) => {
+  const masked = typeof alert.toJSON === 'function' ? alert.toJSON() : { ...alert };
+  if (masked.patientName) masked.patientName = maskField('name', masked.patientName);
+  return masked;
+};
+
+// Copy a search result with its patient masked and without the highlights of their PII
+const maskSearchResult = ({ patient, highlights, ...result }) => ({
+  ...result,
+  patient: maskPatient(patient),
+  highlights: Object.fromEntries(Object.entries(highlights).filter(([field]) => !PII_FIELDS.includes(field)))
+});
+
+// Refuse a body holding masked PII, as sent back by a client that read the patient masked
+const rejectMaskedValues = (body) => {
+  const fields = PII_FIELDS.filter((field) => typeof body?.[field] === 'string' && body[field].includes(MASK_MARKER));
+  if (fields.length > 0) {
+    throw new BadRequestError(`Masked values cannot be saved, send the unmasked ${fields.join(', ')}`, { fields });
+  }
+};
+
+// Build the function applying a request's masking policy to the patients it returns
+const piiPolicy = (req) => (isMasked(req) ? maskPatient : (patient) => patient);
+
+// Build the function applying a request's masking policy to the alerts it returns
+const alertPolicy = (req) => (isMasked(req) ? maskAlert : (alert) => alert);
+
+export {
+  UNMASK_ROLES,
+  isMasked,
+  maskField,
+  maskPatient,
+  maskAlert,
+  maskSearchResult,
+  rejectMaskedValues,
+  piiPolicy,
+  alertPolicy,
+};
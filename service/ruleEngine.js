@@ -0,0 +1,121 @@
+/**
+ * Rule Engine
+ *
+ * Description: This module evaluates medical tests against the clinical threshold rules
+ * stored in MongoDB. It extracts the measured metrics from a test, checks them against
+ * each rule's bands and returns the flags raised, recording the rule and rule version
+ * that triggered each one. It also seeds the default rules on first start.
+ */
+
+import Rule from "../model/ruleModel.js";
+import { readingsOf } from "./measurement.js";
+
+// Rank of each severity, used to keep the most severe band breached
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+// Default rules seeded when the rules collection is empty
+const DEFAULT_RULES = [
+  {
+    testType: 'Blood Pressure',
+    metric: 'systolic',
+    description: 'Systolic pressure above 180 or below 90 mmHg',
+    bands: [{ severity: 'critical', min: 90, max: 180 }]
+  },
+  {
+    testType: 'Blood Pressure',
+    metric: 'diastolic',
+    description: 'Diastolic pressure above 120 or below 60 mmHg',
+    bands: [{ severity: 'critical', min: 60, max: 120 }]
+  },
+  {
+    testType: 'Respiratory Rate',
+    metric: 'value',
+    description: 'Respiratory rate above 30 or below 12 breaths per minute',
+    bands: [{ severity: 'critical', min: 12, max: 30 }]
+  },
+  {
+    testType: 'Blood Oxygen Level',
+    metric: 'value',
+    description: 'Blood oxygen saturation below 90%',
+    bands: [{ severity: 'critical', min: 90 }]
+  },
+  {
+    testType: 'Heartbeat Rate',
+    metric: 'value',
+    description: 'Heart rate above 100 or below 60 beats per minute',
+    bands: [{ severity: 'critical', min: 60, max: 100 }]
+  },
+  {
+    testType: 'Temperature',
+    metric: 'value',
+    description: 'Body temperature above 39 or below 35 degrees Celsius',
+    bands: [{ severity: 'critical', min: 35, max: 39 }]
+  }
+];
+
+// Insert the default rules if no rule has been configured yet
+const seedDefaultRules = async () => {
+  const count = await Rule.countDocuments();
+  if (count === 0) {
+    await Rule.insertMany(DEFAULT_RULES);
+  }
+};
+
+// Check a single reading against a rule and return the most severe band breached
+const evaluateReading = (reading, rule) => {
+  let breach = null;
+
+  for (const band of rule.bands) {
+    let direction = null;
+    if (band.min != null && reading < band.min) direction = 'low';
+    if (band.max != null && reading > band.max) direction = 'high';
+
+    if (direction && (!breach || SEVERITY_RANK[band.severity] > SEVERITY_RANK[breach.severity])) {
+      breach = { severity: band.severity, direction };
+    }
+  }
+
+  return breach;
+};
+
+// Evaluate a test against the given rules and return the flags it raises
+const evaluateTest = (test, rules) => {
+  const metrics = readingsOf(test);
+  const flags = [];
+
+  for (const rule of rules) {
+    if (rule.testType !== test.type) continue;
+
+    const reading = metrics[rule.metric];
+    // Missing readings cannot be evaluated
+    if (!Number.isFinite(reading)) continue;
+
+    const breach = evaluateReading(reading, rule);
+    if (breach) {
+      flags.push({
+        testId: test._id,
+        testType: test.type,
+        metric: rule.metric,
+        value: reading,
+        direction: breach.direction,
+        severity: breach.severity,
+        rule: rule._id,
+        ruleVersion: rule.version,
+        flaggedAt: new Date()
+      });
+    }
+  }
+
+  return flags;
+};
+
+// Load every rule that has not been archived
+const loadRules = () => Rule.find({ archived: { $ne: true } });
+
+export {
+  DEFAULT_RULES,
+  seedDefaultRules,
+  evaluateReading,
+  evaluateTest,
+  loadRules,
+};
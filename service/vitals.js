@@ -0,0 +1,126 @@
+/**
+ * Vital Signs
+ *
+ * Description: This module builds the vital-sign time series used to chart a patient's
+ * readings. Tests are aggregated in MongoDB into hourly or daily buckets with the minimum,
+ * maximum and average of each bucket, blood pressure being split into systolic and diastolic,
+ * and each series gets a trend direction computed from its bucket averages.
+ */
+
+import mongoose from "mongoose";
+import Test from "../model/testsModel.js";
+import { TEST_UNITS } from "./measurement.js";
+
+// Test types with numeric readings that can be charted
+const CHARTABLE_TYPES = ['Blood Pressure', 'Respiratory Rate', 'Blood Oxygen Level', 'Heartbeat Rate', 'Temperature'];
+
+// Bucket sizes supported by the series
+const BUCKETS = ['hour', 'day'];
+
+// Relative change over the series below which a trend is considered stable
+const STABLE_THRESHOLD = 0.05;
+
+// Build the aggregation pipeline grouping a patient's tests into buckets
+// $dateTrunc requires MongoDB 5.0 or later
+const buildVitalsPipeline = (patientId, { types, from, to, bucket }) => {
+  const match = {
+    patientId: new mongoose.Types.ObjectId(String(patientId)),
+    type: { $in: types },
+    archived: { $ne: true }
+  };
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = from;
+    if (to) match.date.$lte = to;
+  }
+
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: { type: '$type', bucket: { $dateTrunc: { date: '$date', unit: bucket } } },
+        count: { $sum: 1 },
+        min: { $min: '$value' },
+        max: { $max: '$value' },
+        avg: { $avg: '$value' },
+        systolicMin: { $min: '$systolic' },
+        systolicMax: { $max: '$systolic' },
+        systolicAvg: { $avg: '$systolic' },
+        diastolicMin: { $min: '$diastolic' },
+        diastolicMax: { $max: '$diastolic' },
+        diastolicAvg: { $avg: '$diastolic' }
+      }
+    },
+    { $sort: { '_id.type': 1, '_id.bucket': 1 } }
+  ];
+};
+
+// Compute the direction of a series from the slope of its values over time
+const trendDirection = (values) => {
+  if (values.length < 2) return 'stable';
+
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, index) => {
+    numerator += (index - meanX) * (value - meanY);
+    denominator += (index - meanX) ** 2;
+  });
+
+  // Change predicted across the whole series, relative to its average
+  const change = (numerator / denominator) * (n - 1);
+  if (meanY === 0 || Math.abs(change / meanY) < STABLE_THRESHOLD) return 'stable';
+  return change > 0 ? 'rising' : 'falling';
+};
+
+// Round a statistic for display
+const round = (value) => (value == null ? null : Math.round(value * 10) / 10);
+
+// Shape the aggregated buckets into one series per test type
+const toSeries = (buckets, bucket) => {
+  const series = new Map();
+
+  for (const row of buckets) {
+    const { type } = row._id;
+    if (!series.has(type)) {
+      series.set(type, { type, unit: TEST_UNITS[type], bucket, points: [] });
+    }
+
+    const point = { bucket: row._id.bucket, count: row.count };
+    if (type === 'Blood Pressure') {
+      point.systolic = { min: round(row.systolicMin), max: round(row.systolicMax), avg: round(row.systolicAvg) };
+      point.diastolic = { min: round(row.diastolicMin), max: round(row.diastolicMax), avg: round(row.diastolicAvg) };
+    } else {
+      Object.assign(point, { min: round(row.min), max: round(row.max), avg: round(row.avg) });
+    }
+    series.get(type).points.push(point);
+  }
+
+  for (const entry of series.values()) {
+    entry.trend = entry.type === 'Blood Pressure'
+      ? {
+        systolic: trendDirection(entry.points.map((point) => point.systolic.avg)),
+        diastolic: trendDirection(entry.points.map((point) => point.diastolic.avg))
+      }
+      : trendDirection(entry.points.map((point) => point.avg));
+  }
+
+  return [...series.values()];
+};
+
+// Retrieve the vital-sign series of a patient
+const getVitalSeries = async (patientId, options) => {
+  const buckets = await Test.aggregate(buildVitalsPipeline(patientId, options));
+  return toSeries(buckets, options.bucket);
+};
+
+export {
+  CHARTABLE_TYPES,
+  BUCKETS,
+  buildVitalsPipeline,
+  trendDirection,
+  toSeries,
+  getVitalSeries,
+};
@@ -0,0 +1,179 @@
+/**
+ * Webhooks
+ *
+ * Description: This module delivers patient and test lifecycle events to the subscribed
+ * webhooks. Each callback is a JSON POST signed with the webhook's secret, and every delivery
+ * is logged. Failed deliveries are retried with exponential backoff, starting after
+ * WEBHOOK_RETRY_BASE_SECONDS (30 by default), until WEBHOOK_MAX_ATTEMPTS (5 by default)
+ * attempts were made. Callbacks identify patients by their ID only: the name, address and
+ * phone number are left out of the records sent, and so of the delivery log.
+ */
+
+import crypto from "crypto";
+import Webhook from "../model/webhookModel.js";
+import WebhookDelivery from "../model/webhookDeliveryModel.js";
+import eventBus, { DOMAIN_EVENT } from "./eventBus.js";
+import { logError } from "./logger.js";
+import { PII_FIELDS } from "./patientPii.js";
+
+// Time allowed for the receiver to answer a callback
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Interval at which deliveries due for a retry are checked
+const RETRY_CHECK_INTERVAL = 15 * 1000;
+
+// Time a delivery being attempted is held back from the retries, well past the request timeout
+// A delivery whose attempt never completed, e.g. as the server stopped, is retried after it
+const CLAIM_DURATION = 6 * REQUEST_TIMEOUT;
+
+// Fields of the records sent that identify a patient: a patient's PII and an alert's patient name
+const PAYLOAD_PII_FIELDS = [...PII_FIELDS, 'patientName'];
+
+const maxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+
+// Delay before retrying a delivery after its given attempt, doubling with each attempt
+const retryDelay = (attempt) => (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000 * 2 ** (attempt - 1);
+
+// Sign a callback body sent at the given timestamp
+// Receivers recompute the HMAC-SHA256 of "<timestamp>.<body>" with their secret
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Copy the record an event is about as plain JSON without the fields identifying a patient
+const payloadData = (data) => {
+  const plain = JSON.parse(JSON.stringify(data));
+  for (const field of PAYLOAD_PII_FIELDS) delete plain[field];
+  return plain;
+};
+
+// Attempt to deliver a logged delivery to its webhook and record the outcome
+const attemptDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-WellCare-Event': delivery.event,
+        'X-WellCare-Delivery': String(delivery._id),
+        'X-WellCare-Timestamp': String(timestamp),
+        'X-WellCare-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    attempt.statusCode = response.status;
+    if (!response.ok) attempt.error = `Receiver responded with ${response.status}`;
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts.length < maxAttempts()) {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  }
+
+  return delivery.save();
+};
+
+// Log and attempt a delivery of an event to every active webhook subscribed to it
+// The delivery is logged as claimed by its first attempt so that no retry runs alongside it
+const dispatchEvent = async ({ event, data, occurredAt }) => {
+  const webhooks = await Webhook.find({ active: true, events: event }).select('+secret');
+
+  return Promise.all(webhooks.map(async (webhook) => {
+    const delivery = new WebhookDelivery({
+      webhook: webhook._id,
+      event,
+      status: 'pending',
+      nextAttemptAt: new Date(Date.now() + CLAIM_DURATION)
+    });
+    delivery.payload = { id: String(delivery._id), event, occurredAt, data: payloadData(data) };
+    await delivery.save();
+    return attemptDelivery(delivery, webhook);
+  }));
+};
+
+// Claim a due delivery for an attempt by moving its next attempt past the claim duration
+// Only one retry, of any server, can claim a delivery, so its receiver is not called twice
+const claimDelivery = async (delivery, now) => {
+  const nextAttemptAt = new Date(now.getTime() + CLAIM_DURATION);
+  const result = await WebhookDelivery.updateOne(
+    { _id: delivery._id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Retry the pending deliveries whose next attempt is due
+const retryDueDeliveries = async (now = new Date()) => {
+  const deliveries = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .populate({ path: 'webhook', select: '+secret' });
+
+  let retried = 0;
+  for (const delivery of deliveries) {
+    if (!(await claimDelivery(delivery, now))) continue;
+    retried += 1;
+
+    // Deliveries of deleted or deactivated webhooks are abandoned
+    if (!delivery.webhook || !delivery.webhook.active) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      await delivery.save();
+      continue;
+    }
+    await attemptDelivery(delivery, delivery.webhook);
+  }
+
+  return retried;
+};
+
+// Deliver lifecycle events to the webhooks and periodically retry failed deliveries
+// The timer does not keep the process alive on its own
+const startWebhookDispatch = () => {
+  eventBus.on(DOMAIN_EVENT, (domainEvent) => {
+    dispatchEvent(domainEvent).catch((error) => {
+      logError('background job failed', error, { job: 'webhook dispatch', event: domainEvent.event });
+    });
+  });
+
+  // A check is skipped while the previous one is still retrying deliveries
+  let retrying = false;
+  const timer = setInterval(() => {
+    if (retrying) return;
+    retrying = true;
+    retryDueDeliveries()
+      .catch((error) => {
+        logError('background job failed', error, { job: 'webhook retry' });
+      })
+      .finally(() => {
+        retrying = false;
+      });
+  }, RETRY_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+export {
+  retryDelay,
+  signPayload,
+  attemptDelivery,
+  dispatchEvent,
+  retryDueDeliveries,
+  startWebhookDispatch,
+};